@@ -28,6 +28,8 @@ try {
 const config = {
   port: configData.port || 3000,
   dataSources: configData.dataSources || [],
+  // Where the import wizard keeps its saved column mappings
+  imports: configData.imports || {},
 
   // Helper methods
   getPort() {
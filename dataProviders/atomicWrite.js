@@ -0,0 +1,52 @@
+// dataProviders/atomicWrite.js - Replacing a file without a half-written state
+//
+// withFileLock() serialises read-modify-write cycles on one file, across
+// every provider in the process; writeFileAtomic() replaces the file whole.
+const fs = require('fs').promises;
+const path = require('path');
+
+let tempFileCounter = 0;
+const fileLocks = new Map();
+
+// Run a read-modify-write cycle with exclusive access to a file. Tasks for
+// the same file run one after another in arrival order.
+async function withFileLock(filePath, task) {
+  const key = path.resolve(filePath);
+  const previous = fileLocks.get(key) || Promise.resolve();
+  const run = previous.then(() => task());
+  const tail = run.catch(() => {});
+  fileLocks.set(key, tail);
+
+  try {
+    return await run;
+  } finally {
+    if (fileLocks.get(key) === tail) {
+      fileLocks.delete(key);
+    }
+  }
+}
+
+// Write to a temp file in the same directory and rename it over the target,
+// so a crash mid-write never leaves a truncated file behind
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+
+  try {
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic
+};
\ No newline at end of file
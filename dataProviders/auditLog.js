@@ -0,0 +1,157 @@
+// dataProviders/auditLog.js - Row change history
+//
+// MultiSourceManager records every insert, update, delete and revert as an
+// entry:
+//
+//   { id, timestamp, userId, source, table, rowId, action,
+//     before, after, revertOf }
+//
+// where before/after are the row as { field: value } (null when the row did
+// not exist). Each source keeps its own store: text and JSON file sources
+// append JSON lines to audit.log in their data directory, Supabase writes
+// to a table (see SupabaseAuditStore), anything else falls back to a log
+// file named after the source. Sources can share a store (a text and a JSON
+// source on one directory, say), so entries are always looked up by source.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function createEntry(fields) {
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    userId: fields.userId || null,
+    source: fields.source,
+    table: fields.table,
+    rowId: fields.rowId === undefined || fields.rowId === null ? null : String(fields.rowId),
+    action: fields.action,
+    before: fields.before || null,
+    after: fields.after || null,
+    revertOf: fields.revertOf || null
+  };
+}
+
+// Append-only JSON lines file
+class FileAuditStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve();
+  }
+
+  // Takes one entry or an array of them
+  append(entry) {
+    const entries = Array.isArray(entry) ? entry : [entry];
+    // Serialise appends so concurrent writes never interleave lines
+    const task = this.queue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable audit entry at ${this.filePath}:${index + 1}`);
+      }
+    });
+    return entries;
+  }
+
+  async getEntries(source, table, rowId) {
+    const entries = await this.readAll();
+    return entries.filter(e => e.source === source && e.table === table && (rowId === undefined || e.rowId === String(rowId)));
+  }
+
+  async getEntry(source, entryId) {
+    const entries = await this.readAll();
+    return entries.find(e => e.source === source && e.id === entryId) || null;
+  }
+}
+
+// Supabase table; create it with:
+//
+//   create table audit_log (
+//     id uuid primary key,
+//     created_at timestamptz not null default now(),
+//     user_id text,
+//     source text,
+//     table_name text not null,
+//     row_id text,
+//     action text not null,
+//     before jsonb,
+//     after jsonb,
+//     revert_of uuid
+//   );
+class SupabaseAuditStore {
+  constructor(supabase, tableName = 'audit_log') {
+    this.supabase = supabase;
+    this.tableName = tableName;
+  }
+
+  toEntry(record) {
+    return {
+      id: record.id,
+      timestamp: record.created_at,
+      userId: record.user_id,
+      source: record.source,
+      table: record.table_name,
+      rowId: record.row_id,
+      action: record.action,
+      before: record.before,
+      after: record.after,
+      revertOf: record.revert_of
+    };
+  }
+
+  // Takes one entry or an array of them
+  async append(entry) {
+    const entries = Array.isArray(entry) ? entry : [entry];
+    const { error } = await this.supabase.from(this.tableName).insert(entries.map(e => ({
+      id: e.id,
+      created_at: e.timestamp,
+      user_id: e.userId,
+      source: e.source,
+      table_name: e.table,
+      row_id: e.rowId,
+      action: e.action,
+      before: e.before,
+      after: e.after,
+      revert_of: e.revertOf
+    })));
+    if (error) throw error;
+  }
+
+  async getEntries(source, table, rowId) {
+    let query = this.supabase.from(this.tableName).select('*').eq('source', source).eq('table_name', table);
+    if (rowId !== undefined) query = query.eq('row_id', String(rowId));
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(record => this.toEntry(record));
+  }
+
+  async getEntry(source, entryId) {
+    const { data, error } = await this.supabase.from(this.tableName).select('*').eq('source', source).eq('id', entryId).maybeSingle();
+    if (error) throw error;
+    return data ? this.toEntry(data) : null;
+  }
+}
+
+module.exports = {
+  FileAuditStore,
+  SupabaseAuditStore,
+  createEntry
+};
\ No newline at end of file
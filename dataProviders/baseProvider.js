@@ -1,4 +1,6 @@
 // dataProviders/baseProvider.js - Base class for all data providers
+const { cellFor } = require('./rowRecords');
+
 class DataProvider {
   constructor(config) {
     this.config = config || {};
@@ -13,6 +15,12 @@ class DataProvider {
     throw new Error('getTableData() must be implemented by subclass');
   }
 
+  // Providers returning true accept query options (see queryOptions.js) as
+  // the third argument of getTableData() and add total/page/pageSize
+  supportsQuery() {
+    return false;
+  }
+
   async getRowById(tableName, id, userId) {
     throw new Error('getRowById() must be implemented by subclass');
   }
@@ -29,10 +37,123 @@ class DataProvider {
     throw new Error('deleteRow() must be implemented by subclass');
   }
 
+  // Batch forms of deleteRow() and updateRow(), where changes is the same
+  // { field: value } set for every row. Both resolve to one
+  // { id, success, error? } per id; providers override them to touch the
+  // table once instead of once per row.
+  async deleteRows(tableName, ids, userId) {
+    const results = [];
+    for (const id of ids) {
+      try {
+        await this.deleteRow(tableName, id, userId);
+        results.push({ id: String(id), success: true });
+      } catch (error) {
+        results.push({ id: String(id), success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async updateRows(tableName, ids, changes, userId) {
+    const results = [];
+    for (const id of ids) {
+      try {
+        const { headings, row } = await this.getRowById(tableName, id, userId);
+        const rowData = {};
+        headings.forEach((h, i) => {
+          const value = cellFor(headings, row, i);
+          rowData[h.name] = value == null ? '' : String(value);
+        });
+        await this.updateRow(tableName, id, { ...rowData, ...changes }, userId);
+        results.push({ id: String(id), success: true });
+      } catch (error) {
+        results.push({ id: String(id), success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Batch form of insertRow(). Resolves to one { success, id?, error? } per
+  // row, in order. With options.atomic either every row is kept or none
+  // are: if any row fails the others come back with rolledBack set. With
+  // options.keepIds rows are stored under their own id (row.id) rather than
+  // a new one. This fallback inserts row by row and deletes what it
+  // inserted on failure; providers override it to write the table once.
+  async insertRows(tableName, rows, userId, options = {}) {
+    if (options.keepIds) {
+      throw new Error('Keeping row ids is not supported by this source');
+    }
+    const results = [];
+    for (const row of rows) {
+      try {
+        const result = await this.insertRow(tableName, row, userId);
+        const id = result && result.id !== undefined && result.id !== null ? String(result.id) : undefined;
+        results.push({ success: true, id });
+      } catch (error) {
+        results.push({ success: false, error: error.message });
+        if (options.atomic) break;
+      }
+    }
+
+    if (options.atomic && results.some(r => !r.success)) {
+      for (const result of results.filter(r => r.success && r.id !== undefined)) {
+        await this.deleteRow(tableName, result.id, userId);
+        if (this.usesSoftDelete(tableName)) await this.purgeRow(tableName, result.id, userId);
+      }
+      return this.rolledBackResults(results, rows.length);
+    }
+    return results;
+  }
+
+  // Results for an atomic batch that was not kept: failures keep their
+  // error, every other row (including ones never attempted) is rolled back
+  rolledBackResults(results, count) {
+    return Array.from({ length: count }, (_, i) => results[i] && !results[i].success
+      ? results[i]
+      : { success: false, rolledBack: true, error: 'Not saved because another row in the batch failed' });
+  }
+
+  // Create an empty table: an id column followed by the given fields
+  // ({ name, type, ... } as parsed by fieldDefinitions.js)
+  async createTable(tableName, fields) {
+    throw new Error('Creating tables is not supported by this source');
+  }
+
   async getLookupValues(file, userId) {
     throw new Error('getLookupValues() must be implemented by subclass');
   }
 
+  // Soft delete: providers that support it set this.softDelete from their
+  // config (true, or a list of table names); deleteRow() then moves rows to
+  // the trash, where they stay until restored or purged
+  usesSoftDelete(tableName) {
+    const setting = this.softDelete;
+    return Array.isArray(setting) ? setting.includes(tableName) : setting === true;
+  }
+
+  async getDeletedRows(tableName, userId) {
+    throw new Error('Trash is not supported by this source');
+  }
+
+  async restoreRow(tableName, id, userId) {
+    throw new Error('Trash is not supported by this source');
+  }
+
+  async purgeRow(tableName, id, userId) {
+    throw new Error('Trash is not supported by this source');
+  }
+
+  // Permanently remove rows deleted before the cutoff date; returns the count
+  async purgeDeletedRows(cutoff) {
+    return 0;
+  }
+
+  // Where MultiSourceManager keeps this source's change history;
+  // null falls back to a log file named after the source
+  createAuditStore() {
+    return null;
+  }
+
   // Optional authentication methods (not all providers need these)
   isAuthRequired() {
     return false;
@@ -0,0 +1,177 @@
+// dataProviders/csv.js - RFC 4180 CSV parsing and serialisation
+//
+// CsvParser is incremental: feed it chunks with write() and call end() once
+// the input is exhausted. Each call returns the records completed so far as
+// { fields, line } where line is the 1-based line the record starts on.
+// Field values are returned exactly as written (no trimming); quoted fields
+// may contain delimiters, "" escapes and CR/LF line breaks.
+
+const START = 0;     // at the beginning of a field
+const UNQUOTED = 1;  // inside an unquoted field
+const QUOTED = 2;    // inside a quoted field
+const QUOTE = 3;     // just saw a quote inside a quoted field
+
+class CsvParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    this.state = START;
+    this.field = '';
+    this.fieldQuoted = false;
+    this.record = [];
+    this.recordQuoted = false;
+    this.line = 1;
+    this.recordLine = 1;
+    this.skipLF = false;
+    this.lastWasCR = false;
+    this.started = false;
+    this.bom = false;
+  }
+
+  write(chunk) {
+    const completed = [];
+    let i = 0;
+
+    if (!this.started && chunk.length > 0) {
+      this.started = true;
+      if (chunk.charCodeAt(0) === 0xFEFF) {
+        this.bom = true;
+        i = 1;
+      }
+    }
+
+    for (; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // Second half of a CRLF record terminator
+      if (this.skipLF) {
+        this.skipLF = false;
+        if (char === '\n') continue;
+      }
+
+      switch (this.state) {
+        case START:
+          if (char === '"') {
+            this.state = QUOTED;
+            this.fieldQuoted = true;
+            this.lastWasCR = false;
+          } else if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord(completed, char);
+          } else {
+            this.field += char;
+            this.state = UNQUOTED;
+          }
+          break;
+
+        case UNQUOTED:
+          if (char === this.delimiter) {
+            this.endField();
+            this.state = START;
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord(completed, char);
+          } else {
+            this.field += char;
+          }
+          break;
+
+        case QUOTED:
+          if (char === '"') {
+            this.state = QUOTE;
+          } else {
+            if (char === '\r' || (char === '\n' && !this.lastWasCR)) {
+              this.line++;
+            }
+            this.lastWasCR = char === '\r';
+            this.field += char;
+          }
+          break;
+
+        case QUOTE:
+          if (char === '"') {
+            this.field += '"';
+            this.state = QUOTED;
+            this.lastWasCR = false;
+          } else if (char === this.delimiter) {
+            this.endField();
+            this.state = START;
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord(completed, char);
+          } else {
+            throw new Error(`Malformed CSV at line ${this.line}: unexpected character after closing quote`);
+          }
+          break;
+      }
+    }
+
+    return completed;
+  }
+
+  end() {
+    const completed = [];
+
+    if (this.state === QUOTED) {
+      throw new Error(`Malformed CSV at line ${this.recordLine}: unterminated quoted field`);
+    }
+
+    if (this.state !== START || this.record.length > 0 || this.fieldQuoted) {
+      this.endField();
+      this.pushRecord(completed);
+    }
+
+    this.state = START;
+    return completed;
+  }
+
+  endField() {
+    this.record.push(this.field);
+    this.recordQuoted = this.recordQuoted || this.fieldQuoted;
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  endRecord(completed, terminator) {
+    this.endField();
+    this.pushRecord(completed);
+    this.state = START;
+    this.line++;
+    this.recordLine = this.line;
+    this.skipLF = terminator === '\r';
+  }
+
+  pushRecord(completed) {
+    const record = this.record;
+    const quoted = this.recordQuoted;
+    this.record = [];
+    this.recordQuoted = false;
+
+    // Blank (or whitespace-only) lines are not records
+    if (record.length === 1 && record[0].trim() === '' && !quoted) {
+      return;
+    }
+    completed.push({ fields: record, line: this.recordLine });
+  }
+}
+
+function formatCSVField(value, delimiter = ',') {
+  const fieldStr = value === null || value === undefined ? '' : String(value);
+  if (fieldStr.includes(delimiter) || fieldStr.includes('"') || fieldStr.includes('\n') ||
+      fieldStr.includes('\r') || fieldStr !== fieldStr.trim()) {
+    return '"' + fieldStr.replace(/"/g, '""') + '"';
+  }
+  return fieldStr;
+}
+
+function formatCSVRow(fields, delimiter = ',') {
+  // A lone empty field would otherwise be written as a blank line
+  if (fields.length === 1 && (fields[0] === '' || fields[0] == null)) {
+    return '""';
+  }
+  return fields.map(field => formatCSVField(field, delimiter)).join(delimiter);
+}
+
+module.exports = {
+  CsvParser,
+  formatCSVField,
+  formatCSVRow
+};
\ No newline at end of file
@@ -0,0 +1,239 @@
+// dataProviders/fieldDefinitions.js - Shared field definition format
+//
+// A field is written as "name:type", the same way text file headers are,
+// optionally followed by extra segments:
+//
+//   Country:lu:countries           lookup into another table
+//   Status:enum:Open|Done          fixed set of options
+//
+// and then any of these modifiers:
+//
+//   required                       value must not be empty
+//   default=Open                   used when an inserted value is empty
+//   min=0 / max=120                range for integer and number fields
+//   pattern=[A-Z]{3}               whole value must match (must come last,
+//                                  so the pattern itself may contain colons)
+//
+// e.g. "Status:enum:Open|Done:required:default=Open" or "Age:int:min=0:max=120"
+
+function mapTypeCode(code) {
+  if (!code) return 'text';
+
+  switch (code.toLowerCase()) {
+    case 'int':
+    case 'integer':
+      return 'integer';
+    case 'num':
+    case 'number':
+      return 'number';
+    case 'dat':
+    case 'date':
+      return 'date';
+    case 'bool':
+    case 'boolean':
+      return 'boolean';
+    case 'lu':
+    case 'lookup':
+      return 'lu';
+    case 'enum':
+      return 'enum';
+    case 'str':
+    case 'string':
+    case 'text':
+    default:
+      return 'text';
+  }
+}
+
+function getTypeCode(type) {
+  switch (type) {
+    case 'integer': return 'int';
+    case 'number': return 'num';
+    case 'date': return 'dat';
+    case 'boolean': return 'bool';
+    case 'lu': return 'lu';
+    case 'enum': return 'enum';
+    case 'text':
+    default: return 'str';
+  }
+}
+
+function parseOptions(options) {
+  if (Array.isArray(options)) return options.map(String);
+  if (typeof options === 'string') return options.split('|').map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+// Parse a field definition written either as a header string or as an object
+// ({ name, type, luFile, options, required, default, min, max, pattern }).
+// A missing type is left as null so callers can infer it.
+function parseFieldDefinition(def) {
+  if (def && typeof def === 'object') {
+    const field = { name: def.name || 'Unknown', type: def.type ? mapTypeCode(def.type) : null };
+    if (field.type === 'lu' && (def.luFile || def.lookup)) field.luFile = def.luFile || def.lookup;
+    if (field.type === 'enum') field.options = parseOptions(def.options);
+    if (def.required) field.required = true;
+    if (def.default !== undefined && def.default !== null) field.default = String(def.default);
+    if (def.min !== undefined && def.min !== null && def.min !== '') field.min = Number(def.min);
+    if (def.max !== undefined && def.max !== null && def.max !== '') field.max = Number(def.max);
+    if (def.pattern) field.pattern = String(def.pattern);
+    return field;
+  }
+
+  const parts = String(def).split(':');
+  const field = {
+    name: parts[0].trim() || 'Unknown',
+    type: parts[1] && parts[1].trim() ? mapTypeCode(parts[1].trim()) : null
+  };
+
+  let index = 2;
+  if (field.type === 'lu' && parts[2] !== undefined && !isModifier(parts[2])) {
+    field.luFile = parts[2].trim();
+    index = 3;
+  } else if (field.type === 'enum') {
+    field.options = parts[2] !== undefined && !isModifier(parts[2]) ? parseOptions(parts[2]) : [];
+    index = field.options.length > 0 ? 3 : 2;
+  }
+
+  for (; index < parts.length; index++) {
+    const part = parts[index];
+    const eq = part.indexOf('=');
+    const key = (eq === -1 ? part : part.slice(0, eq)).trim().toLowerCase();
+    const value = eq === -1 ? '' : part.slice(eq + 1);
+
+    if (key === 'pattern') {
+      field.pattern = [value, ...parts.slice(index + 1)].join(':');
+      break;
+    }
+
+    switch (key) {
+      case 'required':
+      case 'req':
+        field.required = true;
+        break;
+      case 'default':
+        field.default = value;
+        break;
+      case 'min':
+        if (value.trim() !== '' && !isNaN(Number(value))) field.min = Number(value);
+        break;
+      case 'max':
+        if (value.trim() !== '' && !isNaN(Number(value))) field.max = Number(value);
+        break;
+    }
+  }
+
+  return field;
+}
+
+function isModifier(part) {
+  return /^\s*(required|req|default=|min=|max=|pattern=)/i.test(part);
+}
+
+// Inverse of parseFieldDefinition for string definitions
+function formatFieldDefinition(field) {
+  let definition = `${field.name}:${getTypeCode(field.type)}`;
+
+  if (field.type === 'lu' && field.luFile) {
+    definition += `:${field.luFile}`;
+  } else if (field.type === 'enum' && field.options && field.options.length > 0) {
+    definition += `:${field.options.join('|')}`;
+  }
+
+  if (field.required) definition += ':required';
+  if (field.default !== undefined) definition += `:default=${field.default}`;
+  if (field.min !== undefined) definition += `:min=${field.min}`;
+  if (field.max !== undefined) definition += `:max=${field.max}`;
+  if (field.pattern) definition += `:pattern=${field.pattern}`;
+
+  return definition;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Fill in defaults for empty values of a row about to be inserted
+function applyDefaults(fields, rowData) {
+  const result = { ...rowData };
+  fields.forEach(field => {
+    if (!field.readonly && field.default !== undefined && isEmpty(result[field.name])) {
+      result[field.name] = field.default;
+    }
+  });
+  return result;
+}
+
+// Check a row against the constraints in its field definitions.
+// Returns an object of field name -> message, empty when the row is valid.
+function validateConstraints(fields, rowData) {
+  const errors = {};
+
+  fields.forEach(field => {
+    if (field.readonly) return;
+
+    const value = rowData[field.name];
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors[field.name] = `${field.name} is required`;
+      }
+      return;
+    }
+
+    const text = String(value);
+
+    if (field.type === 'enum' && field.options && field.options.length > 0 && !field.options.includes(text)) {
+      errors[field.name] = `${field.name} must be one of: ${field.options.join(', ')}`;
+      return;
+    }
+
+    if (field.min !== undefined || field.max !== undefined) {
+      const number = Number(text);
+      if (!isNaN(number)) {
+        if (field.min !== undefined && number < field.min) {
+          errors[field.name] = `${field.name} must be at least ${field.min}`;
+          return;
+        }
+        if (field.max !== undefined && number > field.max) {
+          errors[field.name] = `${field.name} must be at most ${field.max}`;
+          return;
+        }
+      }
+    }
+
+    if (field.pattern) {
+      let regex;
+      try {
+        // Anchored like the HTML pattern attribute the form uses
+        regex = new RegExp(`^(?:${field.pattern})$`);
+      } catch (error) {
+        console.warn(`Invalid pattern for ${field.name}:`, error.message);
+        return;
+      }
+      if (!regex.test(text)) {
+        errors[field.name] = `${field.name} does not match the required format`;
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Throw if a row breaks its field constraints, for providers to call before writing
+function assertConstraints(fields, rowData) {
+  const errors = validateConstraints(fields, rowData);
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    throw new Error(messages.join('; '));
+  }
+}
+
+module.exports = {
+  mapTypeCode,
+  getTypeCode,
+  parseFieldDefinition,
+  formatFieldDefinition,
+  applyDefaults,
+  validateConstraints,
+  assertConstraints
+};
\ No newline at end of file
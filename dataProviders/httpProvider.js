@@ -0,0 +1,419 @@
+// dataProviders/httpProvider.js
+const DataProvider = require('./baseProvider');
+const { parseFieldDefinition, applyDefaults, assertConstraints } = require('./fieldDefinitions');
+const { QueryError, applyQuery } = require('./queryOptions');
+
+// Each table in the source config maps to a set of endpoints, e.g.
+//
+//   "tables": {
+//     "tickets": {
+//       "idField": "id",
+//       "rowsPath": "data.items",
+//       "list":   { "method": "GET",    "url": "/tickets" },
+//       "get":    { "method": "GET",    "url": "/tickets/{id}", "rowPath": "data" },
+//       "create": { "method": "POST",   "url": "/tickets" },
+//       "update": { "method": "PUT",    "url": "/tickets/{id}" },
+//       "delete": { "method": "DELETE", "url": "/tickets/{id}" }
+//     }
+//   }
+//
+// An endpoint may also be given as a plain URL string, in which case the
+// method defaults by operation. "fields" is optional and uses the same
+// definitions as a text file header ("Country:lu:countries").
+const DEFAULT_METHODS = {
+  list: 'GET',
+  get: 'GET',
+  create: 'POST',
+  update: 'PUT',
+  delete: 'DELETE'
+};
+
+class HttpProvider extends DataProvider {
+  constructor(httpConfig) {
+    super();
+    this.baseUrl = httpConfig.baseUrl || '';
+    this.headers = httpConfig.headers || {};
+    this.auth = httpConfig.auth || null;
+    this.timeout = httpConfig.timeout || 10000;
+    this.tables = httpConfig.tables || {};
+    this.lookupConfig = httpConfig.lookups || {};
+    this.schemaCache = {};
+    console.log('HttpProvider initialized');
+  }
+
+  isAuthRequired() {
+    return false;
+  }
+
+  getTableConfig(tableName) {
+    const tableConfig = this.tables[tableName];
+    if (!tableConfig) {
+      throw new Error('Table not found');
+    }
+    return tableConfig;
+  }
+
+  getIdField(tableConfig) {
+    return tableConfig.idField || 'id';
+  }
+
+  getEndpoint(tableConfig, operation) {
+    const endpoint = tableConfig[operation];
+    if (!endpoint) return null;
+    if (typeof endpoint === 'string') {
+      return { method: DEFAULT_METHODS[operation], url: endpoint };
+    }
+    return { method: DEFAULT_METHODS[operation], ...endpoint };
+  }
+
+  buildUrl(template, tableName, id) {
+    const url = template
+      .replace(/\{table\}/g, encodeURIComponent(tableName))
+      .replace(/\{id\}/g, encodeURIComponent(id ?? ''));
+
+    if (/^https?:\/\//i.test(url)) {
+      return url;
+    }
+    return this.baseUrl.replace(/\/+$/, '') + '/' + url.replace(/^\/+/, '');
+  }
+
+  buildHeaders(tableConfig) {
+    const headers = {
+      'Accept': 'application/json',
+      ...this.headers,
+      ...(tableConfig.headers || {})
+    };
+
+    const auth = tableConfig.auth || this.auth;
+    if (auth) {
+      if (auth.type === 'bearer') {
+        headers['Authorization'] = `Bearer ${auth.token}`;
+      } else if (auth.type === 'basic') {
+        headers['Authorization'] = 'Basic ' + Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+      } else if (auth.header) {
+        headers[auth.header] = auth.value;
+      }
+    }
+
+    return headers;
+  }
+
+  // Resolve a dotted path ("data.items") inside a response body
+  getPath(obj, pathString) {
+    if (!pathString) return obj;
+    return pathString.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+  }
+
+  async request(tableName, operation, { id, body } = {}) {
+    const tableConfig = this.getTableConfig(tableName);
+    const endpoint = this.getEndpoint(tableConfig, operation);
+    if (!endpoint) {
+      throw new Error(`Operation "${operation}" is not configured for ${tableName}`);
+    }
+
+    const headers = this.buildHeaders(tableConfig);
+    const options = { method: endpoint.method.toUpperCase(), headers };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(endpoint.bodyPath ? { [endpoint.bodyPath]: body } : body);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    options.signal = controller.signal;
+
+    // The timeout covers reading the body too, not just the headers
+    let response;
+    let text;
+    try {
+      response = await fetch(this.buildUrl(endpoint.url, tableName, id), options);
+      text = await response.text();
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? 'Request timed out' : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        data = text;
+      }
+    }
+
+    if (response.status === 404 && id !== undefined) {
+      throw new Error('Row not found');
+    }
+    if (!response.ok) {
+      const message = (data && (data.error || data.message)) || response.statusText;
+      throw new Error(`HTTP ${response.status}: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+    }
+
+    return { data, endpoint };
+  }
+
+  async fetchRecords(tableName) {
+    const tableConfig = this.getTableConfig(tableName);
+    const { data } = await this.request(tableName, 'list');
+    const records = this.getPath(data, tableConfig.rowsPath);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`Expected an array at "${tableConfig.rowsPath || '(root)'}" in the list response`);
+    }
+    return records;
+  }
+
+  async discoverTableSchema(tableName, sampleRecords = null) {
+    if (this.schemaCache[tableName]) {
+      return this.schemaCache[tableName];
+    }
+
+    const tableConfig = this.getTableConfig(tableName);
+    const idField = this.getIdField(tableConfig);
+    let fields;
+
+    if (tableConfig.fields) {
+      fields = tableConfig.fields.map(def => {
+        const field = parseFieldDefinition(def);
+        field.type = field.type || 'text';
+        return field;
+      });
+    } else {
+      const records = sampleRecords || await this.fetchRecords(tableName);
+      if (records.length === 0) {
+        return [{ name: idField, type: 'integer', readonly: true }];
+      }
+      fields = Object.entries(records[0]).map(([name, value]) => ({
+        name,
+        type: this.inferType(value, name)
+      }));
+    }
+
+    fields.forEach(field => {
+      field.readonly = field.name === idField;
+      if (this.lookupConfig[tableName] && this.lookupConfig[tableName][field.name]) {
+        field.type = 'lu';
+        field.luFile = this.lookupConfig[tableName][field.name];
+      }
+    });
+
+    // Ensure the id is first, since rows are addressed by row[0]
+    if (!fields.some(f => f.name === idField)) {
+      fields.unshift({ name: idField, type: 'integer', readonly: true });
+    }
+    fields.sort((a, b) => {
+      if (a.name === idField) return -1;
+      if (b.name === idField) return 1;
+      return 0;
+    });
+
+    this.schemaCache[tableName] = fields;
+    return fields;
+  }
+
+  inferType(value, columnName) {
+    if (value === null || value === undefined) {
+      return 'text';
+    }
+
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+
+    if (typeof value === 'boolean') {
+      return 'boolean';
+    }
+
+    if (typeof value === 'string' && !isNaN(Date.parse(value)) && value.match(/^\d{4}-\d{2}-\d{2}/)) {
+      return 'date';
+    }
+
+    return 'text';
+  }
+
+  // Convert a submitted form value into the JSON value sent to the service
+  toJsonValue(field, value) {
+    if (value === undefined || value === null) return null;
+    if (value === '' && field.type !== 'text' && field.type !== 'lu') return null;
+
+    switch (field.type) {
+      case 'integer': {
+        const parsed = parseInt(value, 10);
+        return isNaN(parsed) ? value : parsed;
+      }
+      case 'number': {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? value : parsed;
+      }
+      case 'boolean':
+        return value === true || value === 'true' || value === '1';
+      default:
+        return value;
+    }
+  }
+
+  toRow(fields, record) {
+    return fields.map(f => {
+      const value = record[f.name];
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'object') return JSON.stringify(value);
+      return f.type === 'boolean' ? String(value) : value;
+    });
+  }
+
+  buildBody(fields, rowData) {
+    const body = {};
+    fields.forEach(field => {
+      if (!field.readonly) {
+        body[field.name] = this.toJsonValue(field, rowData[field.name]);
+      }
+    });
+    return body;
+  }
+
+  formatTitle(tableName) {
+    return tableName
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/_/g, ' ')
+      .trim()
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+
+  getTitle(tableName) {
+    return this.tables[tableName]?.title || this.formatTitle(tableName);
+  }
+
+  // The APIs are not assumed to filter or page, so queries run over the fetched list
+  supportsQuery() {
+    return true;
+  }
+
+  async getTableData(tableName, userId, options = null) {
+    try {
+      const records = await this.fetchRecords(tableName);
+      const fields = await this.discoverTableSchema(tableName, records);
+      const rows = records.map(record => this.toRow(fields, record));
+
+      if (options) {
+        const result = applyQuery(fields, rows, options);
+        return {
+          object: tableName,
+          title: this.getTitle(tableName),
+          headings: fields,
+          rows: result.rows,
+          total: result.total,
+          page: options.page,
+          pageSize: options.pageSize
+        };
+      }
+
+      return {
+        object: tableName,
+        title: this.getTitle(tableName),
+        headings: fields,
+        rows: rows
+      };
+    } catch (error) {
+      if (error instanceof QueryError) throw error;
+      throw new Error(`Failed to fetch data: ${error.message}`);
+    }
+  }
+
+  async getRowById(tableName, id, userId) {
+    try {
+      const tableConfig = this.getTableConfig(tableName);
+      const idField = this.getIdField(tableConfig);
+      let record;
+
+      if (this.getEndpoint(tableConfig, 'get')) {
+        const { data, endpoint } = await this.request(tableName, 'get', { id });
+        record = this.getPath(data, endpoint.rowPath);
+      } else {
+        // No single-row endpoint configured: fall back to scanning the list
+        const records = await this.fetchRecords(tableName);
+        record = records.find(r => String(r[idField]) === String(id));
+      }
+
+      if (!record || typeof record !== 'object') {
+        throw new Error('Row not found');
+      }
+
+      const fields = await this.discoverTableSchema(tableName);
+
+      return {
+        object: tableName,
+        title: this.getTitle(tableName),
+        headings: fields,
+        row: this.toRow(fields, record)
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch row: ${error.message}`);
+    }
+  }
+
+  async insertRow(tableName, rowData, userId) {
+    try {
+      const fields = await this.discoverTableSchema(tableName);
+      rowData = applyDefaults(fields, rowData);
+      assertConstraints(fields, rowData);
+      const { data, endpoint } = await this.request(tableName, 'create', { body: this.buildBody(fields, rowData) });
+
+      // Most APIs echo the created record; use it to report the new id
+      const record = this.getPath(data, endpoint.rowPath);
+      const idField = this.getIdField(this.getTableConfig(tableName));
+      return { success: true, id: record && typeof record === 'object' ? record[idField] : undefined };
+    } catch (error) {
+      throw new Error(`Failed to insert row: ${error.message}`);
+    }
+  }
+
+  async updateRow(tableName, id, rowData, userId) {
+    try {
+      const fields = await this.discoverTableSchema(tableName);
+      assertConstraints(fields, rowData);
+      await this.request(tableName, 'update', { id, body: this.buildBody(fields, rowData) });
+
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to update row: ${error.message}`);
+    }
+  }
+
+  async deleteRow(tableName, id, userId) {
+    try {
+      await this.request(tableName, 'delete', { id });
+
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to delete row: ${error.message}`);
+    }
+  }
+
+  async getLookupValues(tableName, fieldName) {
+    try {
+      const records = await this.fetchRecords(tableName);
+      const fields = await this.discoverTableSchema(tableName, records);
+
+      const firstField = fields.find(f => !f.readonly) || fields[0];
+
+      const values = records.map(record => record[firstField.name]);
+
+      return { values };
+    } catch (error) {
+      throw new Error(`Failed to fetch lookup values: ${error.message}`);
+    }
+  }
+
+  async getAvailableTables() {
+    return Object.keys(this.tables).map(tableName => ({
+      name: tableName,
+      title: this.getTitle(tableName)
+    })).sort((a, b) => a.title.localeCompare(b.title));
+  }
+}
+
+module.exports = HttpProvider;
\ No newline at end of file
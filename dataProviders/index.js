@@ -1,11 +1,23 @@
 // dataProviders/index.js - Multi-source data provider factory
+const path = require('path');
 const config = require('../config');
 const SupabaseProvider = require('./supabaseProvider');
 const TextFileProvider = require('./textFileProvider');
+const SqliteProvider = require('./sqliteProvider');
+const JsonFileProvider = require('./jsonFileProvider');
+const HttpProvider = require('./httpProvider');
+const { FileAuditStore, createEntry } = require('./auditLog');
+const { recordFromRow } = require('./rowRecords');
+const { MAX_PAGE_SIZE, applyQuery } = require('./queryOptions');
+const { copyTable } = require('./tableSync');
+const { diffTables, applyDiff } = require('./tableDiff');
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
 class MultiSourceManager {
   constructor() {
     this.providers = new Map();
+    this.auditStores = new Map();
     this.initializeProviders();
   }
 
@@ -22,6 +34,15 @@ class MultiSourceManager {
         case 'textfiles':
           provider = new TextFileProvider(source.config);
           break;
+        case 'sqlite':
+          provider = new SqliteProvider(source.config);
+          break;
+        case 'jsonfiles':
+          provider = new JsonFileProvider(source.config);
+          break;
+        case 'http':
+          provider = new HttpProvider(source.config);
+          break;
         default:
           console.warn(`Unknown data source type: ${source.type}`);
           return;
@@ -33,6 +54,13 @@ class MultiSourceManager {
       provider.sourceType = source.type;
       
       this.providers.set(source.id, provider);
+
+      // Change history, unless the source opts out with "audit": false
+      if (!source.config || source.config.audit !== false) {
+        const auditStore = provider.createAuditStore() ||
+          new FileAuditStore((source.config && source.config.auditLog) || path.join('./data', `audit-${source.id}.log`));
+        this.auditStores.set(source.id, auditStore);
+      }
       console.log(`Initialized data source: ${source.name} (${source.id})`);
     });
   }
@@ -81,9 +109,36 @@ class MultiSourceManager {
   }
 
   // Proxy methods that route to the appropriate provider
-  async getTableData(sourceId, tableName, userId) {
+  async getTableData(sourceId, tableName, userId, options = null) {
     const provider = this.getProvider(sourceId);
-    return await provider.getTableData(tableName, userId);
+    const result = options && provider.supportsQuery && provider.supportsQuery()
+      ? await provider.getTableData(tableName, userId, options)
+      // Sources without query support return every row for the client to page
+      : await provider.getTableData(tableName, userId);
+    result.softDelete = provider.usesSoftDelete(tableName);
+    return result;
+  }
+
+  // Every row matching the query options (or the whole table), in batches
+  // of { headings, rows }: page by page from sources that query natively,
+  // filtered in memory for the rest
+  async *streamTableData(sourceId, tableName, userId, options = null) {
+    const query = { q: '', filters: [], sort: [], ...(options || {}), pageSize: MAX_PAGE_SIZE };
+
+    for (let page = 1; ; page++) {
+      const result = await this.getTableData(sourceId, tableName, userId, { ...query, page });
+      const headings = result.headings || [];
+      const rows = result.rows || [];
+
+      if (result.total === undefined) {
+        const filtered = applyQuery(headings, rows, { ...query, page: 1, pageSize: Math.max(rows.length, 1) });
+        yield { headings, rows: filtered.rows };
+        return;
+      }
+
+      yield { headings, rows };
+      if (rows.length === 0 || page * MAX_PAGE_SIZE >= result.total) return;
+    }
   }
 
   async getRowById(sourceId, tableName, id, userId) {
@@ -93,17 +148,248 @@ class MultiSourceManager {
 
   async insertRow(sourceId, tableName, row, userId) {
     const provider = this.getProvider(sourceId);
-    return await provider.insertRow(tableName, row, userId);
+    const result = await provider.insertRow(tableName, row, userId);
+
+    if (this.auditStores.has(sourceId)) {
+      const hasId = result && result.id !== undefined && result.id !== null;
+      await this.recordChange(sourceId, {
+        table: tableName,
+        rowId: hasId ? result.id : null,
+        action: 'insert',
+        after: (hasId && await this.getRowSnapshot(sourceId, tableName, result.id, userId)) || { ...row },
+        userId
+      });
+    }
+    return result;
+  }
+
+  // Inserted rows are audited with the values sent rather than re-read one
+  // by one, so large imports stay a single pass over the table
+  async insertRows(sourceId, tableName, rows, userId, options = {}) {
+    const provider = this.getProvider(sourceId);
+    const results = await provider.insertRows(tableName, rows, userId, options);
+
+    await this.recordChanges(sourceId, results
+      .map((result, i) => result.success ? {
+        table: tableName,
+        rowId: result.id === undefined ? null : result.id,
+        action: 'insert',
+        after: result.id === undefined ? { ...rows[i] } : { ...rows[i], id: result.id },
+        userId
+      } : null)
+      .filter(Boolean));
+    return results;
   }
 
   async updateRow(sourceId, tableName, id, row, userId) {
     const provider = this.getProvider(sourceId);
-    return await provider.updateRow(tableName, id, row, userId);
+    const audited = this.auditStores.has(sourceId);
+    const before = audited ? await this.getRowSnapshot(sourceId, tableName, id, userId) : null;
+    const result = await provider.updateRow(tableName, id, row, userId);
+
+    if (audited) {
+      await this.recordChange(sourceId, {
+        table: tableName,
+        rowId: id,
+        action: 'update',
+        before,
+        after: await this.getRowSnapshot(sourceId, tableName, id, userId),
+        userId
+      });
+    }
+    return result;
   }
 
   async deleteRow(sourceId, tableName, id, userId) {
     const provider = this.getProvider(sourceId);
-    return await provider.deleteRow(tableName, id, userId);
+    const audited = this.auditStores.has(sourceId);
+    const before = audited ? await this.getRowSnapshot(sourceId, tableName, id, userId) : null;
+    const result = await provider.deleteRow(tableName, id, userId);
+
+    if (audited) {
+      await this.recordChange(sourceId, { table: tableName, rowId: id, action: 'delete', before, userId });
+    }
+    return result;
+  }
+
+  // Bulk changes run as one batch in the provider; each row is audited
+  async deleteRows(sourceId, tableName, ids, userId) {
+    const provider = this.getProvider(sourceId);
+    const befores = await this.getRowSnapshots(sourceId, tableName, ids, userId);
+    const results = await provider.deleteRows(tableName, ids, userId);
+
+    for (const result of results.filter(r => r.success)) {
+      await this.recordChange(sourceId, { table: tableName, rowId: result.id, action: 'delete', before: befores[result.id], userId });
+    }
+    return results;
+  }
+
+  async updateRows(sourceId, tableName, ids, changes, userId) {
+    const provider = this.getProvider(sourceId);
+    const befores = await this.getRowSnapshots(sourceId, tableName, ids, userId);
+    const results = await provider.updateRows(tableName, ids, changes, userId);
+
+    const updated = results.filter(r => r.success).map(r => r.id);
+    const afters = await this.getRowSnapshots(sourceId, tableName, updated, userId);
+    for (const id of updated) {
+      await this.recordChange(sourceId, { table: tableName, rowId: id, action: 'update', before: befores[id], after: afters[id], userId });
+    }
+    return results;
+  }
+
+  // Copy or one-way sync a table into another source (see tableSync.js);
+  // options: targetTable, mode, fieldMap, create, deletes, dryRun
+  async copyTable(fromSourceId, tableName, toSourceId, userId, options = {}) {
+    return await copyTable(this, { ...options, fromSourceId, tableName, toSourceId, userId });
+  }
+
+  // Rows added, removed and changed between two tables matched on a key
+  // field (see tableDiff.js); left and right are { source, table }
+  async diffTables(left, right, userId, options = {}) {
+    return await diffTables(this, { ...options, left, right, userId });
+  }
+
+  // options: key, keys (the differences to apply), direction
+  async applyDiff(left, right, userId, options = {}) {
+    return await applyDiff(this, { ...options, left, right, userId });
+  }
+
+  // Trash (sources with soft delete turned on)
+  async getDeletedRows(sourceId, tableName, userId) {
+    const provider = this.getProvider(sourceId);
+    return await provider.getDeletedRows(tableName, userId);
+  }
+
+  async restoreRow(sourceId, tableName, id, userId) {
+    const provider = this.getProvider(sourceId);
+    const result = await provider.restoreRow(tableName, id, userId);
+
+    if (this.auditStores.has(sourceId)) {
+      await this.recordChange(sourceId, {
+        table: tableName,
+        rowId: id,
+        action: 'restore',
+        after: await this.getRowSnapshot(sourceId, tableName, id, userId),
+        userId
+      });
+    }
+    return result;
+  }
+
+  async purgeRow(sourceId, tableName, id, userId) {
+    const provider = this.getProvider(sourceId);
+    const result = await provider.purgeRow(tableName, id, userId);
+    await this.recordChange(sourceId, { table: tableName, rowId: id, action: 'purge', userId });
+    return result;
+  }
+
+  // Permanently remove trashed rows older than each source's
+  // trashRetentionDays (30 by default, 0 keeps them forever)
+  async purgeExpiredRows() {
+    let purged = 0;
+    for (const source of config.getEnabledSources()) {
+      const provider = this.providers.get(source.id);
+      if (!provider || !provider.softDelete) continue;
+
+      const setting = source.config && source.config.trashRetentionDays;
+      const days = setting === undefined ? DEFAULT_TRASH_RETENTION_DAYS : Number(setting);
+      if (!(days > 0)) continue;
+
+      try {
+        purged += await provider.purgeDeletedRows(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+      } catch (error) {
+        console.error(`Failed to purge trash of ${source.id}:`, error.message || error);
+      }
+    }
+    return purged;
+  }
+
+  // Audit trail
+  async getRowSnapshot(sourceId, tableName, id, userId) {
+    try {
+      const result = await this.getProvider(sourceId).getRowById(tableName, id, userId);
+      return result && result.row ? recordFromRow(result.headings || [], result.row) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getRowSnapshots(sourceId, tableName, ids, userId) {
+    const snapshots = {};
+    if (!this.auditStores.has(sourceId)) return snapshots;
+    for (const id of ids) {
+      snapshots[String(id)] = await this.getRowSnapshot(sourceId, tableName, id, userId);
+    }
+    return snapshots;
+  }
+
+  // The change has already been written, so a failing audit store is
+  // reported rather than turned into a failed request
+  async recordChange(sourceId, fields) {
+    const store = this.auditStores.get(sourceId);
+    if (!store) return;
+    try {
+      await store.append(createEntry({ source: sourceId, ...fields }));
+    } catch (error) {
+      console.error(`Failed to record ${fields.action} on ${sourceId}/${fields.table}:`, error.message || error);
+    }
+  }
+
+  // Several changes in one append
+  async recordChanges(sourceId, changes) {
+    const store = this.auditStores.get(sourceId);
+    if (!store || changes.length === 0) return;
+    try {
+      await store.append(changes.map(fields => createEntry({ source: sourceId, ...fields })));
+    } catch (error) {
+      console.error(`Failed to record ${changes.length} changes on ${sourceId}/${changes[0].table}:`, error.message || error);
+    }
+  }
+
+  async getRowHistory(sourceId, tableName, id) {
+    this.getProvider(sourceId);
+    const store = this.auditStores.get(sourceId);
+    return store ? await store.getEntries(sourceId, tableName, id) : [];
+  }
+
+  // Put a row back to how it was right after the given history entry
+  async revertRow(sourceId, tableName, id, entryId, userId) {
+    const provider = this.getProvider(sourceId);
+    const store = this.auditStores.get(sourceId);
+    if (!store) {
+      throw new Error('History is not enabled for this source');
+    }
+
+    const entry = await store.getEntry(sourceId, entryId);
+    if (!entry || entry.table !== tableName || entry.rowId !== String(id)) {
+      throw new Error('History entry not found');
+    }
+
+    const before = await this.getRowSnapshot(sourceId, tableName, id, userId);
+    let rowId = id;
+
+    if (!entry.after) {
+      if (before) await provider.deleteRow(tableName, id, userId);
+    } else if (before) {
+      await provider.updateRow(tableName, id, entry.after, userId);
+    } else {
+      // The row has since been deleted; it comes back under a new id
+      const result = await provider.insertRow(tableName, entry.after, userId);
+      if (result && result.id !== undefined && result.id !== null) rowId = result.id;
+    }
+
+    const after = entry.after ? await this.getRowSnapshot(sourceId, tableName, rowId, userId) : null;
+    await this.recordChange(sourceId, {
+      table: tableName,
+      rowId,
+      action: 'revert',
+      before,
+      after: after || entry.after,
+      revertOf: entry.id,
+      userId
+    });
+
+    return { success: true, id: rowId };
   }
 
   async getLookupValues(sourceId, file, userId) {
@@ -172,6 +458,23 @@ class DataProviderFactory {
         return new TextFileProvider({
           dataPath: process.env.TEXT_DATA_PATH || './data'
         });
+      case 'sqlite':
+        return new SqliteProvider({
+          dbPath: process.env.SQLITE_DB_PATH || './data/app.db'
+        });
+      case 'jsonfiles':
+        return new JsonFileProvider({
+          dataPath: process.env.JSON_DATA_PATH || './data'
+        });
+      case 'http': {
+        // Endpoints come from the first http source in config.json
+        const httpSource = config.dataSources.find(source => source.type === 'http');
+        const httpConfig = (httpSource && httpSource.config) || {};
+        return new HttpProvider({
+          ...httpConfig,
+          baseUrl: process.env.HTTP_BASE_URL || httpConfig.baseUrl
+        });
+      }
       default:
         throw new Error(`Unknown provider type: ${type}`);
     }
@@ -0,0 +1,470 @@
+// dataProviders/jsonFileProvider.js
+const fs = require('fs').promises;
+const path = require('path');
+const DataProvider = require('./baseProvider');
+const { parseFieldDefinition, applyDefaults, assertConstraints } = require('./fieldDefinitions');
+const { QueryError, applyQuery } = require('./queryOptions');
+const { FileAuditStore } = require('./auditLog');
+const { withFileLock, writeFileAtomic } = require('./atomicWrite');
+
+class JsonFileProvider extends DataProvider {
+  constructor(jsonFilesConfig) {
+    super();
+    this.dataDirectory = jsonFilesConfig.dataPath || './data';
+    this.lookupConfig = jsonFilesConfig.lookups || {};
+    console.log('JsonFileProvider initialized');
+  }
+
+  isAuthRequired() {
+    return false;
+  }
+
+  getFilePath(tableName) {
+    return path.join(this.dataDirectory, `${tableName}.json`);
+  }
+
+  // A table file is either a plain array of objects, or an object holding
+  // the records plus a "fields" (or "$schema") block. Field definitions may be
+  // written the same way as a text file header ("Country:lu:countries") or as
+  // objects ({ "name": "Country", "type": "lu", "luFile": "countries" }); see
+  // fieldDefinitions.js for the constraints either form can carry.
+  // Records without an id are numbered as they are read. Generated ids live
+  // only in memory until the table is next written, so browsing a file
+  // never changes it.
+  async readFile(tableName) {
+    try {
+      const filePath = this.getFilePath(tableName);
+      const content = await fs.readFile(filePath, 'utf8');
+      const parsed = content.trim() ? JSON.parse(content) : [];
+
+      let records;
+      let fieldDefs = null;
+      let document = null;
+
+      if (Array.isArray(parsed)) {
+        records = parsed;
+      } else if (parsed && typeof parsed === 'object') {
+        document = parsed;
+        document.rowsKey = 'data' in parsed && !('rows' in parsed) ? 'data' : 'rows';
+        records = parsed[document.rowsKey] || [];
+        fieldDefs = parsed.fields || (typeof parsed.$schema === 'object' ? parsed.$schema : null);
+      } else {
+        throw new Error('Expected an array of objects');
+      }
+
+      if (!Array.isArray(records)) {
+        throw new Error('Expected an array of objects');
+      }
+
+      const headers = fieldDefs
+        ? this.parseFieldDefinitions(tableName, fieldDefs)
+        : this.inferFields(tableName, records);
+
+      let nextId = 1;
+      records.forEach(record => {
+        const currentId = parseInt(record.id);
+        if (!isNaN(currentId) && currentId >= nextId) {
+          nextId = currentId + 1;
+        }
+      });
+      records.forEach(record => {
+        if (record.id === undefined || record.id === null || record.id === '' || isNaN(parseInt(record.id))) {
+          record.id = nextId++;
+        }
+      });
+
+      return { headers, records, document };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { headers: [{ name: 'id', type: 'integer' }], records: [], document: null };
+      }
+      throw error;
+    }
+  }
+
+  parseFieldDefinitions(tableName, fieldDefs) {
+    const fields = (Array.isArray(fieldDefs) ? fieldDefs : Object.entries(fieldDefs).map(([name, def]) => (
+      typeof def === 'string' ? `${name}:${def}` : { name, ...def }
+    ))).map(parseFieldDefinition);
+
+    fields.forEach(field => {
+      if (!field.type) {
+        field.type = 'text';
+      }
+      if (this.lookupConfig[tableName] && this.lookupConfig[tableName][field.name]) {
+        field.type = 'lu';
+        field.luFile = this.lookupConfig[tableName][field.name];
+      }
+    });
+
+    return this.ensureIdFirst(fields);
+  }
+
+  inferFields(tableName, records) {
+    const fields = [];
+    const seen = new Set();
+
+    records.forEach(record => {
+      Object.entries(record).forEach(([name, value]) => {
+        if (seen.has(name)) {
+          return;
+        }
+        seen.add(name);
+
+        const field = { name, type: this.inferType(value) };
+        if (this.lookupConfig[tableName] && this.lookupConfig[tableName][name]) {
+          field.type = 'lu';
+          field.luFile = this.lookupConfig[tableName][name];
+        }
+        fields.push(field);
+      });
+    });
+
+    return this.ensureIdFirst(fields);
+  }
+
+  ensureIdFirst(fields) {
+    const others = fields.filter(f => f.name !== 'id');
+    const idField = fields.find(f => f.name === 'id') || { name: 'id', type: 'integer' };
+    return [idField, ...others];
+  }
+
+  inferType(value) {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+
+    if (typeof value === 'boolean') {
+      return 'boolean';
+    }
+
+    if (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}/) && !isNaN(Date.parse(value))) {
+      return 'date';
+    }
+
+    return 'text';
+  }
+
+  // Writes the records back in the shape they were read in, keeping any
+  // schema block and other top-level properties of a wrapped document
+  async writeFile(tableName, records, document = null) {
+    try {
+      const filePath = this.getFilePath(tableName);
+
+      let content = records;
+      if (document) {
+        const { rowsKey, ...rest } = document;
+        content = { ...rest, [rowsKey]: records };
+      }
+
+      await writeFileAtomic(filePath, JSON.stringify(content, null, 2));
+    } catch (error) {
+      throw new Error(`Failed to write file: ${error.message}`);
+    }
+  }
+
+  // Run a read-modify-write cycle with exclusive access to a table file
+  withTableLock(tableName, task) {
+    return withFileLock(this.getFilePath(tableName), task);
+  }
+
+  // Convert a submitted form value into the JSON value stored for the field
+  toJsonValue(field, value) {
+    if (value === undefined || value === null) return null;
+    if (value === '' && field.type !== 'text' && field.type !== 'lu') return null;
+
+    switch (field.type) {
+      case 'integer': {
+        const parsed = parseInt(value, 10);
+        return isNaN(parsed) ? value : parsed;
+      }
+      case 'number': {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? value : parsed;
+      }
+      case 'boolean':
+        return value === true || value === 'true' || value === '1';
+      default:
+        return value;
+    }
+  }
+
+  toRow(headers, record) {
+    return headers.map(h => {
+      const value = record[h.name];
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'object') return JSON.stringify(value);
+      return h.type === 'boolean' ? String(value) : value;
+    });
+  }
+
+  getFields(headers) {
+    return headers.map(h => ({
+      ...h,
+      readonly: h.name.toLowerCase() === 'id'
+    }));
+  }
+
+  formatTitle(tableName) {
+    return tableName
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/_/g, ' ')
+      .trim()
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+
+  supportsQuery() {
+    return true;
+  }
+
+  createAuditStore() {
+    return new FileAuditStore(path.join(this.dataDirectory, 'audit.log'));
+  }
+
+  async getTableData(tableName, userId, options = null) {
+    try {
+      const { headers, records } = await this.readFile(tableName);
+      const fields = this.getFields(headers);
+      const rows = records.map(record => this.toRow(headers, record));
+
+      if (options) {
+        const result = applyQuery(fields, rows, options);
+        return {
+          object: tableName,
+          title: this.formatTitle(tableName),
+          headings: fields,
+          rows: result.rows,
+          total: result.total,
+          page: options.page,
+          pageSize: options.pageSize
+        };
+      }
+
+      return {
+        object: tableName,
+        title: this.formatTitle(tableName),
+        headings: fields,
+        rows: rows
+      };
+    } catch (error) {
+      if (error instanceof QueryError) throw error;
+      throw new Error(`Failed to fetch data: ${error.message}`);
+    }
+  }
+
+  async getRowById(tableName, id, userId) {
+    try {
+      const { headers, records } = await this.readFile(tableName);
+      const record = records.find(r => String(r.id) === String(id));
+
+      if (!record) {
+        throw new Error('Row not found');
+      }
+
+      return {
+        object: tableName,
+        title: this.formatTitle(tableName),
+        headings: this.getFields(headers),
+        row: this.toRow(headers, record)
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch row: ${error.message}`);
+    }
+  }
+
+  async insertRow(tableName, rowData, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, records, document } = await this.readFile(tableName);
+
+        let maxId = 0;
+        records.forEach(r => {
+          const id = parseInt(r.id);
+          if (!isNaN(id) && id > maxId) {
+            maxId = id;
+          }
+        });
+
+        const fields = this.getFields(headers);
+        rowData = applyDefaults(fields, rowData);
+        assertConstraints(fields, rowData);
+
+        const record = { id: maxId + 1 };
+        headers.forEach(field => {
+          if (field.name !== 'id') {
+            record[field.name] = this.toJsonValue(field, rowData[field.name]);
+          }
+        });
+
+        records.push(record);
+        await this.writeFile(tableName, records, document);
+
+        return { success: true, id: record.id };
+      });
+    } catch (error) {
+      throw new Error(`Failed to insert row: ${error.message}`);
+    }
+  }
+
+  // One read and one write for the whole batch. Rows failing their
+  // constraints (or, with keepIds, whose id is taken) are reported; when
+  // atomic, any failure leaves the file untouched.
+  async insertRows(tableName, rowsData, userId, options = {}) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, records, document } = await this.readFile(tableName);
+        const fields = this.getFields(headers);
+        const taken = new Set(records.map(r => String(r.id)));
+
+        let nextId = 1;
+        records.concat(options.keepIds ? rowsData : []).forEach(r => {
+          const id = parseInt(r.id);
+          if (!isNaN(id) && id >= nextId) {
+            nextId = id + 1;
+          }
+        });
+
+        const results = rowsData.map(rowData => {
+          rowData = applyDefaults(fields, rowData);
+          try {
+            assertConstraints(fields, rowData);
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+
+          const ownId = options.keepIds && rowData.id !== undefined && rowData.id !== null && String(rowData.id) !== '';
+          if (ownId && taken.has(String(rowData.id))) {
+            return { success: false, error: `id ${rowData.id} already exists` };
+          }
+          const record = { id: ownId ? this.toJsonValue(headers[0], rowData.id) : nextId++ };
+          headers.forEach(field => {
+            if (field.name !== 'id') {
+              record[field.name] = this.toJsonValue(field, rowData[field.name]);
+            }
+          });
+          taken.add(String(record.id));
+          records.push(record);
+          return { success: true, id: String(record.id) };
+        });
+
+        if (options.atomic && results.some(r => !r.success)) {
+          return this.rolledBackResults(results, rowsData.length);
+        }
+        if (results.some(r => r.success)) {
+          await this.writeFile(tableName, records, document);
+        }
+        return results;
+      });
+    } catch (error) {
+      throw new Error(`Failed to insert rows: ${error.message}`);
+    }
+  }
+
+  // A new file holding its field definitions and no rows, so the types
+  // survive until the first row is written
+  async createTable(tableName, fields) {
+    try {
+      if (!/^[\w][\w .-]*$/.test(tableName)) {
+        throw new Error('Table names may only use letters, digits, spaces, dots, dashes and underscores');
+      }
+      return await this.withTableLock(tableName, async () => {
+        const exists = await fs.access(this.getFilePath(tableName)).then(() => true, () => false);
+        if (exists) {
+          throw new Error('Table already exists');
+        }
+
+        const definitions = [{ name: 'id', type: 'integer' }].concat(fields
+          .filter(field => field.name.toLowerCase() !== 'id')
+          .map(({ readonly, ...field }) => field));
+        await this.writeFile(tableName, [], { fields: definitions, rowsKey: 'rows' });
+        return { success: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to create table: ${error.message}`);
+    }
+  }
+
+  async updateRow(tableName, id, rowData, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, records, document } = await this.readFile(tableName);
+        const record = records.find(r => String(r.id) === String(id));
+
+        if (!record) {
+          throw new Error('Row not found');
+        }
+
+        assertConstraints(this.getFields(headers), rowData);
+
+        // Only known fields are touched, so extra properties in the document survive an edit
+        headers.forEach(field => {
+          if (field.name !== 'id') {
+            record[field.name] = this.toJsonValue(field, rowData[field.name]);
+          }
+        });
+
+        await this.writeFile(tableName, records, document);
+
+        return { success: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to update row: ${error.message}`);
+    }
+  }
+
+  async deleteRow(tableName, id, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, records, document } = await this.readFile(tableName);
+        const filteredRecords = records.filter(r => String(r.id) !== String(id));
+
+        if (records.length === filteredRecords.length) {
+          throw new Error('Row not found');
+        }
+
+        await this.writeFile(tableName, filteredRecords, document);
+
+        return { success: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete row: ${error.message}`);
+    }
+  }
+
+  async getLookupValues(tableName, fieldName) {
+    try {
+      const { headers, records } = await this.readFile(tableName);
+
+      const firstField = headers.find(h => h.name !== 'id') || headers[0];
+
+      const values = records.map(record => record[firstField.name]);
+
+      return { values };
+    } catch (error) {
+      throw new Error(`Failed to fetch lookup values: ${error.message}`);
+    }
+  }
+
+  async getAvailableTables() {
+    try {
+      const files = await fs.readdir(this.dataDirectory);
+
+      const jsonFiles = files.filter(file => file.endsWith('.json'));
+
+      return jsonFiles.map(file => {
+        const tableName = file.replace(/\.json$/, '');
+        return {
+          name: tableName,
+          title: this.formatTitle(tableName)
+        };
+      }).sort((a, b) => a.title.localeCompare(b.title));
+    } catch (error) {
+      console.error('Error reading data directory:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = JsonFileProvider;
\ No newline at end of file
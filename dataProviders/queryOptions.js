@@ -0,0 +1,170 @@
+// dataProviders/queryOptions.js - Filtering, sorting and paging of table data
+//
+// /objectdata accepts:
+//   q=text                   rows with any value containing text (case-insensitive)
+//   filter[field]=op:value   op is eq, ne, gt, gte, lt, lte, like or in
+//                            (in takes a comma separated list); no op means eq
+//   sort=field,-other        ascending, or descending with a leading '-'
+//   page=1&pageSize=50       1-based page number and rows per page
+//
+// Providers that can query natively report supportsQuery() and receive the
+// parsed options as the third argument of getTableData(); applyQuery() is the
+// in-memory implementation for providers that load whole tables anyway.
+
+const { cellFor } = require('./rowRecords');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'like', 'in'];
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Build query options from an Express req.query; null when none were given
+function parseQueryOptions(query) {
+  const keys = ['q', 'filter', 'sort', 'page', 'pageSize'];
+  if (!keys.some(key => query[key] !== undefined)) {
+    return null;
+  }
+
+  const options = {
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    filters: [],
+    sort: [],
+    page: parsePositiveInt(query.page, 1, 'page'),
+    pageSize: Math.min(parsePositiveInt(query.pageSize, DEFAULT_PAGE_SIZE, 'pageSize'), MAX_PAGE_SIZE)
+  };
+
+  if (query.filter !== undefined) {
+    if (typeof query.filter !== 'object' || Array.isArray(query.filter)) {
+      throw new QueryError('filter must be given as filter[field]=op:value');
+    }
+    Object.entries(query.filter).forEach(([field, raw]) => {
+      (Array.isArray(raw) ? raw : [raw]).forEach(value => {
+        options.filters.push(parseFilter(field, String(value)));
+      });
+    });
+  }
+
+  if (typeof query.sort === 'string' && query.sort.trim() !== '') {
+    options.sort = query.sort.split(',').map(s => s.trim()).filter(Boolean).map(s => ({
+      field: s.startsWith('-') ? s.slice(1) : s,
+      descending: s.startsWith('-')
+    }));
+  }
+
+  return options;
+}
+
+function parsePositiveInt(value, fallback, name) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new QueryError(`${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+function parseFilter(field, value) {
+  const colon = value.indexOf(':');
+  const op = colon === -1 ? '' : value.slice(0, colon).toLowerCase();
+
+  if (OPERATORS.includes(op)) {
+    const operand = value.slice(colon + 1);
+    return {
+      field,
+      op,
+      value: op === 'in' ? operand.split(',').map(s => s.trim()) : operand
+    };
+  }
+  return { field, op: 'eq', value };
+}
+
+// Reject filters and sorts on columns the table does not have
+function checkQueryFields(fields, options) {
+  const names = fields.map(f => f.name);
+  [...options.filters, ...options.sort].forEach(({ field }) => {
+    if (!names.includes(field)) {
+      throw new QueryError(`Unknown field: ${field}`);
+    }
+  });
+}
+
+function isNumericField(field) {
+  return field.type === 'integer' || field.type === 'number';
+}
+
+function compareValues(field, a, b) {
+  const left = a === null || a === undefined ? '' : a;
+  const right = b === null || b === undefined ? '' : b;
+
+  if (isNumericField(field) && left !== '' && right !== '' && !isNaN(Number(left)) && !isNaN(Number(right))) {
+    return Number(left) - Number(right);
+  }
+  return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function matchesFilter(field, cell, filter) {
+  const value = cell === null || cell === undefined ? '' : String(cell);
+
+  switch (filter.op) {
+    case 'eq': return compareValues(field, value, filter.value) === 0;
+    case 'ne': return compareValues(field, value, filter.value) !== 0;
+    case 'gt': return value !== '' && compareValues(field, value, filter.value) > 0;
+    case 'gte': return value !== '' && compareValues(field, value, filter.value) >= 0;
+    case 'lt': return value !== '' && compareValues(field, value, filter.value) < 0;
+    case 'lte': return value !== '' && compareValues(field, value, filter.value) <= 0;
+    case 'like': return value.toLowerCase().includes(filter.value.toLowerCase());
+    case 'in': return filter.value.some(v => compareValues(field, value, v) === 0);
+    default: return true;
+  }
+}
+
+// Filter, sort and page rows held in memory (arrays in heading order, with
+// the extra id cell of headings that omit it; see rowRecords.js)
+function applyQuery(fields, rows, options) {
+  checkQueryFields(fields, options);
+  const indexOf = name => fields.findIndex(f => f.name === name);
+
+  let result = rows;
+
+  if (options.q) {
+    const q = options.q.toLowerCase();
+    result = result.filter(row => row.some(cell => cell !== null && cell !== undefined && String(cell).toLowerCase().includes(q)));
+  }
+
+  options.filters.forEach(filter => {
+    const index = indexOf(filter.field);
+    result = result.filter(row => matchesFilter(fields[index], cellFor(fields, row, index), filter));
+  });
+
+  if (options.sort.length > 0) {
+    const sorts = options.sort.map(s => ({ index: indexOf(s.field), descending: s.descending }));
+    result = result.slice().sort((a, b) => {
+      for (const { index, descending } of sorts) {
+        const diff = compareValues(fields[index], cellFor(fields, a, index), cellFor(fields, b, index));
+        if (diff !== 0) return descending ? -diff : diff;
+      }
+      return 0;
+    });
+  }
+
+  const start = (options.page - 1) * options.pageSize;
+  return {
+    rows: result.slice(start, start + options.pageSize),
+    total: result.length
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  QueryError,
+  parseQueryOptions,
+  checkQueryFields,
+  applyQuery
+};
\ No newline at end of file
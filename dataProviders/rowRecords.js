@@ -0,0 +1,40 @@
+// dataProviders/rowRecords.js - Row arrays and the headings they follow
+//
+// Providers return rows as arrays in heading order, always starting with
+// the id. Tables whose headings omit the id (persons.txt, for one) carry it
+// as an extra first cell, so cell i belongs to heading i - idOffset().
+
+// 1 when the row carries an id its headings do not name, else 0
+function idOffset(headings, row) {
+  return row && row.length > headings.length && !headings.some(h => h.name === 'id') ? 1 : 0;
+}
+
+// Value cell for heading i of a row
+function cellFor(headings, row, index) {
+  return row[index + idOffset(headings, row)];
+}
+
+function keepValue(field, value) {
+  return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Row array -> object keyed by heading name
+ * @param {Function} convert - (field, value) -> stored value; by default
+ *        values are kept as the provider returned them, missing ones as ''
+ */
+function recordFromRow(headings, row, convert = keepValue) {
+  const record = {};
+  const offset = idOffset(headings, row);
+  if (offset) record.id = row[0];
+  headings.forEach((h, i) => {
+    record[h.name] = convert(h, row[i + offset]);
+  });
+  return record;
+}
+
+module.exports = {
+  idOffset,
+  cellFor,
+  recordFromRow
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+// dataProviders/rowValidator.js - Validate rows against a table's headings
+//
+// Sits between the routes and MultiSourceManager: checks that values match
+// their column types, that lookup values exist in the referenced table and
+// that header constraints (required, enum, min/max, pattern) hold.
+// Errors are reported per field so the client can show them next to inputs.
+const { validateConstraints } = require('./fieldDefinitions');
+const { parseQueryOptions } = require('./queryOptions');
+
+// Cache key for the source's table names, next to the lookup sets
+const TABLES = Symbol('tables');
+
+class RowValidator {
+  constructor(dataProvider) {
+    this.dataProvider = dataProvider;
+  }
+
+  // One row is enough to get the headings, however large the table
+  async getHeadings(sourceId, tableName, userId) {
+    const tableData = await this.dataProvider.getTableData(sourceId, tableName, userId, parseQueryOptions({ pageSize: '1' }));
+    return tableData.headings || [];
+  }
+
+  /**
+   * Validate a single row
+   * @returns {Promise<Object>} { valid, errors } where errors maps field name -> message
+   */
+  async validateRow(sourceId, tableName, rowData, userId, options = {}) {
+    const [result] = await this.validateRows(sourceId, tableName, [rowData], userId, options);
+    return result;
+  }
+
+  /**
+   * Validate several rows of the same table, sharing the schema and lookup values
+   * @param {Object} options - headings: reuse already loaded headings,
+   *                           partial: only check fields present in each row
+   * @returns {Promise<Array>} One { valid, errors } per row, in order
+   */
+  async validateRows(sourceId, tableName, rows, userId, options = {}) {
+    const headings = options.headings || await this.getHeadings(sourceId, tableName, userId);
+    const lookupCache = new Map();
+    const results = [];
+
+    for (const rowData of rows) {
+      const fields = options.partial
+        ? headings.filter(field => Object.prototype.hasOwnProperty.call(rowData, field.name))
+        : headings;
+      const errors = validateConstraints(fields, rowData);
+
+      for (const field of fields) {
+        if (field.readonly || errors[field.name]) continue;
+
+        const value = rowData[field.name];
+        if (value === undefined || value === null || String(value).trim() === '') continue;
+
+        const typeError = this.checkType(field, String(value).trim());
+        if (typeError) {
+          errors[field.name] = typeError;
+          continue;
+        }
+
+        if (field.type === 'lu' && field.luFile) {
+          const values = await this.getLookupSet(sourceId, field.luFile, userId, lookupCache);
+          if (values && !values.has(String(value))) {
+            errors[field.name] = `${field.name} must be an existing ${field.luFile} value`;
+          }
+        }
+      }
+
+      results.push({ valid: Object.keys(errors).length === 0, errors });
+    }
+
+    return results;
+  }
+
+  checkType(field, value) {
+    switch (field.type) {
+      case 'integer':
+        if (!/^[-+]?\d+$/.test(value)) return `${field.name} must be a whole number`;
+        break;
+      case 'number':
+        if (isNaN(Number(value))) return `${field.name} must be a number`;
+        break;
+      case 'date':
+        if (!isValidDate(value)) return `${field.name} must be a valid date (YYYY-MM-DD)`;
+        break;
+      case 'boolean':
+        if (!/^(true|false|1|0)$/i.test(value)) return `${field.name} must be true or false`;
+        break;
+    }
+    return null;
+  }
+
+  // The allowed values, or null when they are unknown: a lookup table that
+  // is missing, empty or cannot be read should not block every save
+  async getLookupSet(sourceId, luFile, userId, cache) {
+    if (!cache.has(luFile)) {
+      try {
+        if (!cache.has(TABLES)) {
+          const tables = await this.dataProvider.getProvider(sourceId).getAvailableTables();
+          cache.set(TABLES, new Set(tables.map(table => table.name)));
+        }
+        if (!cache.get(TABLES).has(luFile)) {
+          console.warn(`Lookup table ${luFile} not found; its values are not checked`);
+          cache.set(luFile, null);
+        } else {
+          const result = await this.dataProvider.getLookupValues(sourceId, luFile, userId);
+          const values = (result.values || []).filter(value => value !== undefined && value !== null);
+          cache.set(luFile, values.length > 0 ? new Set(values.map(value => String(value))) : null);
+        }
+      } catch (error) {
+        console.warn(`Could not load lookup values from ${luFile}:`, error.message);
+        cache.set(luFile, null);
+      }
+    }
+    return cache.get(luFile);
+  }
+}
+
+// ISO dates, optionally with a time part; the calendar date must exist
+function isValidDate(value) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].+)?$/);
+  if (!match || isNaN(Date.parse(value))) return false;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+module.exports = RowValidator;
\ No newline at end of file
@@ -0,0 +1,478 @@
+// dataProviders/sqliteProvider.js
+const path = require('path');
+const Database = require('better-sqlite3');
+const DataProvider = require('./baseProvider');
+const { QueryError, checkQueryFields } = require('./queryOptions');
+
+class SqliteProvider extends DataProvider {
+  constructor(sqliteConfig) {
+    super();
+    this.dbPath = sqliteConfig.dbPath || './data/app.db';
+    this.db = new Database(path.resolve(this.dbPath));
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.metadataCache = null;
+    this.schemaCache = {};
+    this.foreignKeyCache = {};
+    this.lookupConfig = sqliteConfig.lookups || {};
+    console.log('SqliteProvider initialized');
+  }
+
+  isAuthRequired() {
+    return false;
+  }
+
+  quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+  }
+
+  // Discover foreign key relationships for a table
+  discoverForeignKeys(tableName) {
+    if (this.foreignKeyCache[tableName]) {
+      return this.foreignKeyCache[tableName];
+    }
+
+    try {
+      const data = this.db.prepare(`PRAGMA foreign_key_list(${this.quoteIdentifier(tableName)})`).all();
+
+      const foreignKeys = {};
+      data.forEach(fk => {
+        foreignKeys[fk.from] = {
+          referencedTable: fk.table,
+          referencedColumn: fk.to
+        };
+      });
+
+      this.foreignKeyCache[tableName] = foreignKeys;
+      console.log(`Found ${Object.keys(foreignKeys).length} foreign keys for ${tableName}`);
+      return foreignKeys;
+    } catch (error) {
+      console.warn(`Error discovering foreign keys for ${tableName}:`, error);
+      return {};
+    }
+  }
+
+  discoverTables() {
+    if (this.metadataCache) {
+      return this.metadataCache;
+    }
+
+    const data = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+      .all();
+
+    const tables = {};
+    for (const row of data) {
+      tables[row.name] = {
+        title: this.formatTitle(row.name),
+        tableName: row.name,
+        fields: this.discoverTableSchema(row.name)
+      };
+    }
+
+    this.metadataCache = tables;
+    console.log(`Discovered ${Object.keys(tables).length} tables from SQLite`);
+    return tables;
+  }
+
+  discoverTableSchema(tableName) {
+    if (this.schemaCache[tableName]) {
+      return this.schemaCache[tableName];
+    }
+
+    const foreignKeys = this.discoverForeignKeys(tableName);
+    const columns = this.db.prepare(`PRAGMA table_info(${this.quoteIdentifier(tableName)})`).all();
+
+    const fields = columns.map(column => {
+      const field = {
+        name: column.name,
+        type: this.mapColumnType(column.type),
+        readonly: column.pk > 0
+      };
+
+      // Manual lookup configuration wins over a detected foreign key
+      if (this.lookupConfig[tableName] && this.lookupConfig[tableName][column.name]) {
+        field.type = 'lu';
+        field.luFile = this.lookupConfig[tableName][column.name];
+      } else if (foreignKeys[column.name]) {
+        field.type = 'lu';
+        field.luFile = foreignKeys[column.name].referencedTable;
+      }
+
+      return field;
+    });
+
+    // Ensure the primary key is first, since rows are addressed by row[0]
+    fields.sort((a, b) => {
+      if (a.readonly && !b.readonly) return -1;
+      if (b.readonly && !a.readonly) return 1;
+      return 0;
+    });
+
+    this.schemaCache[tableName] = fields;
+    return fields;
+  }
+
+  // Map a declared SQLite column type onto the app's field types,
+  // following SQLite's own affinity rules where they apply
+  mapColumnType(declaredType) {
+    const type = (declaredType || '').toUpperCase();
+
+    if (type.includes('BOOL')) return 'boolean';
+    if (type.includes('DATE') || type.includes('TIME')) return 'date';
+    if (type.includes('INT')) return 'integer';
+    if (type.includes('REAL') || type.includes('FLOA') || type.includes('DOUB') ||
+        type.includes('NUMERIC') || type.includes('DECIMAL')) {
+      return 'number';
+    }
+    return 'text';
+  }
+
+  formatTitle(tableName) {
+    return tableName
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/_/g, ' ')
+      .trim()
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+
+  getTableMetadata(tableName) {
+    const allMetadata = this.discoverTables();
+    return allMetadata[tableName];
+  }
+
+  getKeyField(metadata) {
+    return metadata.fields.find(f => f.readonly) || { name: 'rowid' };
+  }
+
+  // Convert a submitted form value into what SQLite should store
+  toDbValue(field, value) {
+    if (value === undefined) return null;
+    if (value === '' && field.type !== 'text') return null;
+    if (field.type === 'boolean') {
+      return value === true || value === 'true' || value === '1' || value === 1 ? 1 : 0;
+    }
+    return value;
+  }
+
+  fromDbValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (field.type === 'boolean') return value ? 'true' : 'false';
+    return value;
+  }
+
+  supportsQuery() {
+    return true;
+  }
+
+  escapeLike(value) {
+    return value.replace(/[\\%_]/g, c => '\\' + c);
+  }
+
+  // Translate query options into a WHERE clause with bound parameters
+  buildWhereClause(fields, options) {
+    const conditions = [];
+    const params = [];
+
+    if (options.q) {
+      conditions.push('(' + fields.map(f => `CAST(${this.quoteIdentifier(f.name)} AS TEXT) LIKE ? ESCAPE '\\'`).join(' OR ') + ')');
+      const pattern = `%${this.escapeLike(options.q)}%`;
+      fields.forEach(() => params.push(pattern));
+    }
+
+    const operators = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+    options.filters.forEach(filter => {
+      const field = fields.find(f => f.name === filter.field);
+      const column = this.quoteIdentifier(field.name);
+
+      if (filter.op === 'like') {
+        conditions.push(`${column} LIKE ? ESCAPE '\\'`);
+        params.push(`%${this.escapeLike(filter.value)}%`);
+      } else if (filter.op === 'in') {
+        conditions.push(`${column} IN (${filter.value.map(() => '?').join(', ')})`);
+        filter.value.forEach(value => params.push(this.toDbValue(field, value)));
+      } else {
+        conditions.push(`${column} ${operators[filter.op]} ?`);
+        params.push(this.toDbValue(field, filter.value));
+      }
+    });
+
+    return {
+      where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async getTableData(tableName, userId, options = null) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const key = this.getKeyField(metadata);
+      const table = this.quoteIdentifier(tableName);
+      let sql = `SELECT * FROM ${table}`;
+      let orderBy = this.quoteIdentifier(key.name);
+      let params = [];
+      let total;
+
+      if (options) {
+        checkQueryFields(metadata.fields, options);
+        const { where, params: whereParams } = this.buildWhereClause(metadata.fields, options);
+        total = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}${where}`).get(...whereParams).count;
+
+        sql += where;
+        params = whereParams;
+        if (options.sort.length > 0) {
+          orderBy = options.sort
+            .map(s => `${this.quoteIdentifier(s.field)}${s.descending ? ' DESC' : ''}`)
+            .join(', ');
+        }
+      }
+
+      sql += ` ORDER BY ${orderBy}`;
+      if (options) {
+        sql += ' LIMIT ? OFFSET ?';
+        params = [...params, options.pageSize, (options.page - 1) * options.pageSize];
+      }
+
+      const data = this.db.prepare(sql).all(...params);
+
+      const rows = data.map(record =>
+        metadata.fields.map(f => this.fromDbValue(f, record[f.name]))
+      );
+
+      const result = {
+        object: tableName,
+        title: metadata.title,
+        headings: metadata.fields,
+        rows: rows
+      };
+
+      if (options) {
+        result.total = total;
+        result.page = options.page;
+        result.pageSize = options.pageSize;
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof QueryError) throw error;
+      throw new Error(`Failed to fetch data: ${error.message}`);
+    }
+  }
+
+  async getRowById(tableName, id, userId) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const key = this.getKeyField(metadata);
+      const data = this.db
+        .prepare(`SELECT * FROM ${this.quoteIdentifier(tableName)} WHERE ${this.quoteIdentifier(key.name)} = ?`)
+        .get(id);
+
+      if (!data) throw new Error('Row not found');
+
+      const row = metadata.fields.map(f => this.fromDbValue(f, data[f.name]));
+
+      return {
+        object: tableName,
+        title: metadata.title,
+        headings: metadata.fields,
+        row: row
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch row: ${error.message}`);
+    }
+  }
+
+  async insertRow(tableName, rowData, userId) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const fields = metadata.fields.filter(f => !f.readonly);
+      const columns = fields.map(f => this.quoteIdentifier(f.name)).join(', ');
+      const placeholders = fields.map(() => '?').join(', ');
+      const values = fields.map(f => this.toDbValue(f, rowData[f.name]));
+
+      const sql = fields.length > 0
+        ? `INSERT INTO ${this.quoteIdentifier(tableName)} (${columns}) VALUES (${placeholders})`
+        : `INSERT INTO ${this.quoteIdentifier(tableName)} DEFAULT VALUES`;
+      const info = this.db.prepare(sql).run(...values);
+
+      return { success: true, id: Number(info.lastInsertRowid) };
+    } catch (error) {
+      throw new Error(`Failed to insert row: ${error.message}`);
+    }
+  }
+
+  // All rows go in through one transaction. A failing row is reported and
+  // the rest kept, unless atomic, when SQLite rolls the whole batch back.
+  // Kept ids are written to the key column; SQLite numbers later rows past
+  // them by itself.
+  async insertRows(tableName, rowsData, userId, options = {}) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const key = this.getKeyField(metadata);
+      const fields = metadata.fields.filter(f => !f.readonly);
+      const statements = {};
+      const statementFor = ownId => {
+        if (!statements[ownId]) {
+          const columns = (ownId ? [key.name] : []).concat(fields.map(f => f.name));
+          statements[ownId] = this.db.prepare(columns.length > 0
+            ? `INSERT INTO ${this.quoteIdentifier(tableName)} (${columns.map(c => this.quoteIdentifier(c)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+            : `INSERT INTO ${this.quoteIdentifier(tableName)} DEFAULT VALUES`);
+        }
+        return statements[ownId];
+      };
+
+      const results = [];
+      const insertAll = this.db.transaction(() => {
+        rowsData.forEach(rowData => {
+          const ownId = !!options.keepIds && rowData.id !== undefined && rowData.id !== null && String(rowData.id) !== '';
+          const values = (ownId ? [rowData.id] : []).concat(fields.map(f => this.toDbValue(f, rowData[f.name])));
+          try {
+            const info = statementFor(ownId).run(...values);
+            results.push({ success: true, id: ownId ? String(rowData.id) : String(info.lastInsertRowid) });
+          } catch (error) {
+            results.push({ success: false, error: error.message });
+            if (options.atomic) throw error;
+          }
+        });
+      });
+
+      try {
+        insertAll();
+      } catch (error) {
+        if (!options.atomic || results.length === 0 || results[results.length - 1].success) throw error;
+        return this.rolledBackResults(results, rowsData.length);
+      }
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to insert rows: ${error.message}`);
+    }
+  }
+
+  // An integer primary key id and a column per field, declared so that
+  // mapColumnType() reads the same types back. Lookups in SQLite come from
+  // foreign keys or the lookups config, so lu fields become text columns.
+  async createTable(tableName, fields) {
+    try {
+      if (this.getTableMetadata(tableName)) {
+        throw new Error('Table already exists');
+      }
+
+      const columnTypes = { integer: 'INTEGER', number: 'REAL', date: 'DATE', boolean: 'BOOLEAN' };
+      const columns = [`${this.quoteIdentifier('id')} INTEGER PRIMARY KEY`].concat(fields
+        .filter(field => field.name.toLowerCase() !== 'id')
+        .map(field => `${this.quoteIdentifier(field.name)} ${columnTypes[field.type] || 'TEXT'}`));
+      this.db.prepare(`CREATE TABLE ${this.quoteIdentifier(tableName)} (${columns.join(', ')})`).run();
+      this.metadataCache = null;
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to create table: ${error.message}`);
+    }
+  }
+
+  async updateRow(tableName, id, rowData, userId) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const key = this.getKeyField(metadata);
+      const fields = metadata.fields.filter(f => !f.readonly);
+      if (fields.length === 0) {
+        return { success: true };
+      }
+
+      const assignments = fields.map(f => `${this.quoteIdentifier(f.name)} = ?`).join(', ');
+      const values = fields.map(f => this.toDbValue(f, rowData[f.name]));
+
+      const result = this.db
+        .prepare(`UPDATE ${this.quoteIdentifier(tableName)} SET ${assignments} WHERE ${this.quoteIdentifier(key.name)} = ?`)
+        .run(...values, id);
+
+      if (result.changes === 0) {
+        throw new Error('Row not found');
+      }
+
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to update row: ${error.message}`);
+    }
+  }
+
+  async deleteRow(tableName, id, userId) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const key = this.getKeyField(metadata);
+      const result = this.db
+        .prepare(`DELETE FROM ${this.quoteIdentifier(tableName)} WHERE ${this.quoteIdentifier(key.name)} = ?`)
+        .run(id);
+
+      if (result.changes === 0) {
+        throw new Error('Row not found');
+      }
+
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to delete row: ${error.message}`);
+    }
+  }
+
+  async getLookupValues(tableName, fieldName) {
+    try {
+      const metadata = this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const key = this.getKeyField(metadata);
+      const firstField = metadata.fields.find(f => !f.readonly) || key;
+
+      const data = this.db
+        .prepare(`SELECT ${this.quoteIdentifier(firstField.name)} AS value FROM ${this.quoteIdentifier(tableName)} ORDER BY ${this.quoteIdentifier(key.name)}`)
+        .all();
+
+      const values = data.map(record => record.value);
+
+      return { values };
+    } catch (error) {
+      throw new Error(`Failed to fetch lookup values: ${error.message}`);
+    }
+  }
+
+  async getAvailableTables() {
+    try {
+      const metadata = this.discoverTables();
+      return Object.keys(metadata).map(tableName => ({
+        name: tableName,
+        title: metadata[tableName].title
+      })).sort((a, b) => a.title.localeCompare(b.title));
+    } catch (error) {
+      console.error('Error reading SQLite schema:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = SqliteProvider;
\ No newline at end of file
@@ -1,8 +1,13 @@
 // dataProviders/supabaseProvider.js
 const { createClient } = require('@supabase/supabase-js');
 const DataProvider = require('./baseProvider');
+const { QueryError, checkQueryFields } = require('./queryOptions');
+const { SupabaseAuditStore } = require('./auditLog');
 const config = require('../config');
 
+// Rows per insert() call in insertRows()
+const DEFAULT_INSERT_CHUNK_SIZE = 500;
+
 class SupabaseProvider extends DataProvider {
 	constructor(supabaseConfig) {
 	super();
@@ -11,6 +16,10 @@ class SupabaseProvider extends DataProvider {
 	this.schemaCache = {};
 	this.foreignKeyCache = {};
 	this.lookupConfig = supabaseConfig.lookups || {};
+	this.auditTable = supabaseConfig.auditTable || 'audit_log';
+	this.softDelete = supabaseConfig.softDelete || false;
+	this.softDeleteColumn = supabaseConfig.softDeleteColumn || 'deleted_at';
+	this.insertChunkSize = supabaseConfig.insertChunkSize || DEFAULT_INSERT_CHUNK_SIZE;
 	console.log('SupabaseProvider initialized');
   }
 
@@ -18,6 +27,10 @@ class SupabaseProvider extends DataProvider {
     return true;
   }
 
+  createAuditStore() {
+    return new SupabaseAuditStore(this.supabase, this.auditTable);
+  }
+
   async login(email, password) {
     try {
       const { data, error } = await this.supabase.auth.signInWithPassword({
@@ -120,6 +133,7 @@ class SupabaseProvider extends DataProvider {
       const tables = {};
       for (const row of data) {
         const tableName = row.table_name;
+        if (tableName === this.auditTable) continue;
         tables[tableName] = {
           title: this.formatTitle(tableName),
           tableName: tableName,
@@ -147,6 +161,7 @@ class SupabaseProvider extends DataProvider {
     
     const tables = {};
     for (const tableName of tableList) {
+      if (tableName === this.auditTable) continue;
       try {
         tables[tableName] = {
           title: this.formatTitle(tableName),
@@ -188,7 +203,7 @@ class SupabaseProvider extends DataProvider {
       
       // Build fields from the sample row
       for (const [columnName, value] of Object.entries(sampleRow)) {
-        if (columnName === 'created_at' || columnName === 'updated_at') {
+        if (columnName === 'created_at' || columnName === 'updated_at' || columnName === this.softDeleteColumn) {
           continue;
         }
         
@@ -270,17 +285,86 @@ class SupabaseProvider extends DataProvider {
     return allMetadata[tableName];
   }
 
-  async getTableData(tableName, userId) {
+  supportsQuery() {
+    return true;
+  }
+
+  // Values inside PostgREST or() filters are quoted so commas and brackets are safe
+  quoteFilterValue(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+  }
+
+  escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, c => '\\' + c);
+  }
+
+  // Soft-deleted rows keep their data with a timestamp in softDeleteColumn
+  // (deleted_at unless configured), which the table must have
+  withoutDeleted(query, tableName) {
+    return this.usesSoftDelete(tableName) ? query.is(this.softDeleteColumn, null) : query;
+  }
+
+  applyQueryOptions(query, fields, options) {
+    if (options.q) {
+      const conditions = [];
+      fields.forEach(f => {
+        if (f.type === 'text' || f.type === 'lu') {
+          conditions.push(`${f.name}.ilike.${this.quoteFilterValue(`%${this.escapeLike(options.q)}%`)}`);
+        } else if ((f.type === 'integer' || f.type === 'number') && !isNaN(Number(options.q))) {
+          conditions.push(`${f.name}.eq.${Number(options.q)}`);
+        }
+      });
+      if (conditions.length > 0) {
+        query = query.or(conditions.join(','));
+      }
+    }
+
+    options.filters.forEach(filter => {
+      switch (filter.op) {
+        case 'ne': query = query.neq(filter.field, filter.value); break;
+        case 'gt': query = query.gt(filter.field, filter.value); break;
+        case 'gte': query = query.gte(filter.field, filter.value); break;
+        case 'lt': query = query.lt(filter.field, filter.value); break;
+        case 'lte': query = query.lte(filter.field, filter.value); break;
+        case 'like': query = query.ilike(filter.field, `%${this.escapeLike(filter.value)}%`); break;
+        case 'in': query = query.in(filter.field, filter.value); break;
+        default: query = query.eq(filter.field, filter.value);
+      }
+    });
+
+    if (options.sort.length > 0) {
+      options.sort.forEach(s => {
+        query = query.order(s.field, { ascending: !s.descending });
+      });
+    } else {
+      query = query.order('id', { ascending: true });
+    }
+
+    const from = (options.page - 1) * options.pageSize;
+    return query.range(from, from + options.pageSize - 1);
+  }
+
+  async getTableData(tableName, userId, options = null) {
     try {
       const metadata = await this.getTableMetadata(tableName);
       if (!metadata) {
         throw new Error('Table not found');
       }
 
-      const { data, error } = await this.supabase
-        .from(tableName)
-        .select('*')
-        .order('id', { ascending: true });
+      let query;
+      if (options) {
+        checkQueryFields(metadata.fields, options);
+        query = this.applyQueryOptions(
+          this.withoutDeleted(this.supabase.from(tableName).select('*', { count: 'exact' }), tableName),
+          metadata.fields,
+          options
+        );
+      } else {
+        query = this.withoutDeleted(this.supabase.from(tableName).select('*'), tableName)
+          .order('id', { ascending: true });
+      }
+
+      const { data, error, count } = await query;
       
       if (error) throw error;
       
@@ -288,13 +372,22 @@ class SupabaseProvider extends DataProvider {
         metadata.fields.map(f => record[f.name])
       );
       
-      return {
+      const result = {
         object: tableName,
         title: metadata.title,
         headings: metadata.fields,
         rows: rows
       };
+
+      if (options) {
+        result.total = count;
+        result.page = options.page;
+        result.pageSize = options.pageSize;
+      }
+
+      return result;
     } catch (error) {
+      if (error instanceof QueryError) throw error;
       throw new Error(`Failed to fetch data: ${error.message}`);
     }
   }
@@ -306,11 +399,9 @@ class SupabaseProvider extends DataProvider {
         throw new Error('Table not found');
       }
 
-      const { data, error } = await this.supabase
-        .from(tableName)
-        .select('*')
+      const { data, error } = await this.withoutDeleted(this.supabase.from(tableName).select('*'), tableName)
         .eq('id', id)
-        .single();
+        .maybeSingle();
       
       if (error) throw error;
       if (!data) throw new Error('Row not found');
@@ -342,18 +433,88 @@ class SupabaseProvider extends DataProvider {
         }
       });
       
-      const { error } = await this.supabase
+      const { data, error } = await this.supabase
         .from(tableName)
-        .insert([inserts]);
+        .insert([inserts])
+        .select('id');
       
       if (error) throw error;
       
-      return { success: true };
+      return { success: true, id: data && data[0] ? data[0].id : undefined };
     } catch (error) {
       throw new Error(`Failed to insert row: ${error.message}`);
     }
   }
 
+  // Multi-row insert() calls of insertChunkSize rows. Each call is a single
+  // statement, so a chunk is written whole or not at all and its failure is
+  // reported against every row in it. When atomic, chunks already written
+  // are deleted again if a later one fails. Kept ids are sent as they are;
+  // an identity column's sequence does not move past them by itself.
+  async insertRows(tableName, rowsData, userId, options = {}) {
+    try {
+      const metadata = await this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const records = rowsData.map(rowData => {
+        const inserts = {};
+        metadata.fields.forEach((field) => {
+          if (!field.readonly && field.name !== 'id') {
+            inserts[field.name] = rowData[field.name];
+          }
+        });
+        if (options.keepIds && rowData.id !== undefined && rowData.id !== null && rowData.id !== '') {
+          inserts.id = rowData.id;
+        }
+        return inserts;
+      });
+
+      const results = [];
+      for (let start = 0; start < records.length; start += this.insertChunkSize) {
+        const chunk = records.slice(start, start + this.insertChunkSize);
+        const { data, error } = await this.supabase
+          .from(tableName)
+          .insert(chunk)
+          .select('id');
+
+        if (error) {
+          chunk.forEach(() => results.push({ success: false, error: error.message }));
+          if (options.atomic) break;
+          continue;
+        }
+        chunk.forEach((_, i) => results.push({ success: true, id: data && data[i] ? String(data[i].id) : undefined }));
+      }
+
+      if (options.atomic && results.some(r => !r.success)) {
+        const ids = results.filter(r => r.success && r.id !== undefined).map(r => r.id);
+        for (let start = 0; start < ids.length; start += this.insertChunkSize) {
+          const { error } = await this.supabase
+            .from(tableName)
+            .delete()
+            .in('id', ids.slice(start, start + this.insertChunkSize));
+          if (error) throw new Error(`rolling back inserted rows failed: ${error.message}`);
+        }
+        return this.rolledBackResults(results, rowsData.length);
+      }
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to insert rows: ${error.message}`);
+    }
+  }
+
+  // Tables cannot be created through the Supabase API, so the error carries
+  // the SQL to run in the dashboard's SQL editor instead
+  async createTable(tableName, fields) {
+    const columnTypes = { integer: 'bigint', number: 'numeric', date: 'date', boolean: 'boolean' };
+    const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+    const columns = ['id bigint generated by default as identity primary key'].concat(fields
+      .filter(field => field.name !== 'id')
+      .map(field => `${quote(field.name)} ${columnTypes[field.type] || 'text'}`));
+    throw new Error(`Failed to create table: Supabase tables must be created in the database first, e.g. with: CREATE TABLE ${quote(tableName)} (${columns.join(', ')});`);
+  }
+
   async updateRow(tableName, id, rowData, userId) {
     try {
       const metadata = await this.getTableMetadata(tableName);
@@ -388,10 +549,16 @@ class SupabaseProvider extends DataProvider {
         throw new Error('Table not found');
       }
 
-      const { error } = await this.supabase
-        .from(tableName)
-        .delete()
-        .eq('id', id);
+      const { error } = this.usesSoftDelete(tableName)
+        ? await this.supabase
+          .from(tableName)
+          .update({ [this.softDeleteColumn]: new Date().toISOString() })
+          .eq('id', id)
+          .is(this.softDeleteColumn, null)
+        : await this.supabase
+          .from(tableName)
+          .delete()
+          .eq('id', id);
       
       if (error) throw error;
       
@@ -401,7 +568,67 @@ class SupabaseProvider extends DataProvider {
     }
   }
 
-  async getLookupValues(tableName, fieldName) {
+  // One in() query per batch; ids the query did not touch are reported
+  // as not found
+  batchResults(ids, data) {
+    const touched = new Set((data || []).map(record => String(record.id)));
+    return ids.map(id => touched.has(String(id))
+      ? { id: String(id), success: true }
+      : { id: String(id), success: false, error: 'Row not found' });
+  }
+
+  async updateRows(tableName, ids, changes, userId) {
+    try {
+      const metadata = await this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const updates = {};
+      metadata.fields.forEach((field) => {
+        if (!field.readonly && field.name !== 'id' && changes[field.name] !== undefined) {
+          updates[field.name] = changes[field.name];
+        }
+      });
+
+      const { data, error } = await this.withoutDeleted(this.supabase.from(tableName).update(updates), tableName)
+        .in('id', ids)
+        .select('id');
+
+      if (error) throw error;
+
+      return this.batchResults(ids, data);
+    } catch (error) {
+      throw new Error(`Failed to update rows: ${error.message}`);
+    }
+  }
+
+  async deleteRows(tableName, ids, userId) {
+    try {
+      const metadata = await this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const query = this.usesSoftDelete(tableName)
+        ? this.supabase
+          .from(tableName)
+          .update({ [this.softDeleteColumn]: new Date().toISOString() })
+          .is(this.softDeleteColumn, null)
+        : this.supabase
+          .from(tableName)
+          .delete();
+      const { data, error } = await query.in('id', ids).select('id');
+
+      if (error) throw error;
+
+      return this.batchResults(ids, data);
+    } catch (error) {
+      throw new Error(`Failed to delete rows: ${error.message}`);
+    }
+  }
+
+  async getDeletedRows(tableName, userId) {
     try {
       const metadata = await this.getTableMetadata(tableName);
       if (!metadata) {
@@ -411,6 +638,85 @@ class SupabaseProvider extends DataProvider {
       const { data, error } = await this.supabase
         .from(tableName)
         .select('*')
+        .not(this.softDeleteColumn, 'is', null)
+        .order(this.softDeleteColumn, { ascending: false });
+
+      if (error) throw error;
+
+      return {
+        object: tableName,
+        title: metadata.title,
+        headings: metadata.fields,
+        rows: data.map(record => metadata.fields.map(f => record[f.name])),
+        deleted: data.map(record => ({
+          id: String(record.id),
+          deletedAt: record[this.softDeleteColumn],
+          deletedBy: null
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch deleted rows: ${error.message}`);
+    }
+  }
+
+  async restoreRow(tableName, id, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from(tableName)
+        .update({ [this.softDeleteColumn]: null })
+        .eq('id', id)
+        .not(this.softDeleteColumn, 'is', null)
+        .select('id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) throw new Error('Row not found');
+
+      return { success: true, id: data[0].id };
+    } catch (error) {
+      throw new Error(`Failed to restore row: ${error.message}`);
+    }
+  }
+
+  async purgeRow(tableName, id, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from(tableName)
+        .delete()
+        .eq('id', id)
+        .not(this.softDeleteColumn, 'is', null)
+        .select('id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) throw new Error('Row not found');
+
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Failed to purge row: ${error.message}`);
+    }
+  }
+
+  async purgeDeletedRows(cutoff) {
+    const tables = Object.keys(await this.discoverTables()).filter(name => this.usesSoftDelete(name));
+    let purged = 0;
+    for (const tableName of tables) {
+      const { count, error } = await this.supabase
+        .from(tableName)
+        .delete({ count: 'exact' })
+        .lt(this.softDeleteColumn, cutoff.toISOString());
+      if (error) throw new Error(`Failed to purge ${tableName}: ${error.message}`);
+      purged += count || 0;
+    }
+    return purged;
+  }
+
+  async getLookupValues(tableName, fieldName) {
+    try {
+      const metadata = await this.getTableMetadata(tableName);
+      if (!metadata) {
+        throw new Error('Table not found');
+      }
+
+      const { data, error } = await this.withoutDeleted(this.supabase.from(tableName).select('*'), tableName)
         .order('id', { ascending: true });
       
       if (error) throw error;
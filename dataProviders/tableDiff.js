@@ -0,0 +1,236 @@
+// dataProviders/tableDiff.js - Comparing two tables row by row
+//
+// diffTables() matches the rows of a left and a right table (same or
+// different sources) on a key field, "id" unless another is chosen, and
+// lists every row that differs:
+//
+//   added     the key is only in the right table
+//   removed   the key is only in the left table
+//   changed   both have the key; changed names the (left) fields that differ
+//
+// Fields are paired by name, ignoring case; fields only one side has are
+// listed but not compared. Rows without a key value, or whose key appears
+// more than once in a table, cannot be matched and are reported instead.
+//
+// applyDiff() recomputes the diff and copies the chosen keys from one side
+// to the other: the target gets the row inserted, updated to match, or
+// deleted when the other side no longer has it.
+const { isEmpty, sameValue, readTable } = require('./tableSync');
+
+const DIRECTIONS = ['leftToRight', 'rightToLeft'];
+
+class DiffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiffError';
+  }
+}
+
+function findField(headings, name) {
+  if (name === 'id') return 'id';
+  const heading = headings.find(h => h.name.toLowerCase() === name.toLowerCase());
+  return heading ? heading.name : null;
+}
+
+function keyOf(record, field) {
+  return isEmpty(record[field]) ? '' : String(record[field]).trim();
+}
+
+// Key -> record, with rows that cannot be matched set aside
+function indexRecords(records, keyField, side, problems) {
+  const index = new Map();
+  const counts = new Map();
+  records.forEach(record => {
+    const key = keyOf(record, keyField);
+    if (key === '') {
+      problems.push({ side, id: String(record.id), error: `No ${keyField} value` });
+      return;
+    }
+    counts.set(key, (counts.get(key) || 0) + 1);
+    index.set(key, record);
+  });
+  counts.forEach((count, key) => {
+    if (count < 2) return;
+    index.delete(key);
+    problems.push({ side, key, error: `${keyField} ${key} appears on ${count} rows` });
+  });
+  return index;
+}
+
+async function readSide(manager, side, userId, label) {
+  if (!side || !side.source || !side.table) {
+    throw new DiffError(`The ${label} table needs a source and a table`);
+  }
+  const tables = await manager.getProvider(side.source).getAvailableTables();
+  if (!tables.some(table => table.name === side.table)) {
+    throw new DiffError(`Table "${side.table}" does not exist in ${side.source}`);
+  }
+  return readTable(manager, side.source, side.table, userId);
+}
+
+/**
+ * Compare two tables on a key field
+ * @param {Object} options - left and right ({ source, table }), key, userId
+ * @returns {Promise<Object>} { left, right, key, fields, leftOnlyFields,
+ *          rightOnlyFields, summary, rows, problems } where fields pairs the
+ *          compared fields as { left, right } and rows holds one
+ *          { key, status, left, right, changed } per differing row
+ * @throws {DiffError} For a missing table or an unknown key field
+ */
+async function diffTables(manager, options) {
+  const { left, right, userId } = options;
+  const key = options.key || 'id';
+  const leftTable = await readSide(manager, left, userId, 'left');
+  const rightTable = await readSide(manager, right, userId, 'right');
+
+  const leftKey = findField(leftTable.headings, key);
+  const rightKey = findField(rightTable.headings, key);
+  if (!leftKey || !rightKey) {
+    throw new DiffError(`Key field "${key}" is not in the ${leftKey ? 'right' : 'left'} table`);
+  }
+
+  const fields = [];
+  const leftOnlyFields = [];
+  leftTable.headings.forEach(h => {
+    if (h.name === 'id' || h.name === leftKey) return;
+    const match = findField(rightTable.headings, h.name);
+    if (match && match !== 'id') fields.push({ left: h.name, right: match });
+    else leftOnlyFields.push(h.name);
+  });
+  const rightOnlyFields = rightTable.headings
+    .map(h => h.name)
+    .filter(name => name !== 'id' && name !== rightKey && !fields.some(f => f.right === name));
+
+  const problems = [];
+  const leftIndex = indexRecords(leftTable.records, leftKey, 'left', problems);
+  const rightIndex = indexRecords(rightTable.records, rightKey, 'right', problems);
+
+  const rows = [];
+  let unchanged = 0;
+  leftIndex.forEach((record, value) => {
+    const other = rightIndex.get(value);
+    if (!other) {
+      rows.push({ key: value, status: 'removed', left: record, right: null });
+      return;
+    }
+    const changed = fields.filter(f => !sameValue(record[f.left], other[f.right])).map(f => f.left);
+    if (changed.length > 0) rows.push({ key: value, status: 'changed', left: record, right: other, changed });
+    else unchanged++;
+  });
+  rightIndex.forEach((record, value) => {
+    if (!leftIndex.has(value)) rows.push({ key: value, status: 'added', left: null, right: record });
+  });
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged };
+  rows.forEach(row => { summary[row.status]++; });
+
+  return {
+    left: { source: left.source, table: left.table },
+    right: { source: right.source, table: right.table },
+    key: { left: leftKey, right: rightKey },
+    fields,
+    leftOnlyFields,
+    rightOnlyFields,
+    summary,
+    rows,
+    problems
+  };
+}
+
+function destinationValue(value) {
+  return isEmpty(value) ? null : String(value);
+}
+
+/**
+ * Make the chosen differences match on the target side
+ * @param {Object} options - as diffTables(), plus keys (the key values to
+ *        apply) and direction (leftToRight or rightToLeft)
+ * @returns {Promise<Object>} { direction, inserted, updated, deleted,
+ *          failed, errors } where errors lists { key, action?, error }
+ */
+async function applyDiff(manager, options) {
+  const { keys, userId } = options;
+  const direction = options.direction || 'leftToRight';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new DiffError(`Unknown direction "${direction}" (use ${DIRECTIONS.join(', ')})`);
+  }
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new DiffError('Choose at least one difference to apply');
+  }
+
+  const diff = await diffTables(manager, options);
+  const toRight = direction === 'leftToRight';
+  const from = toRight ? 'left' : 'right';
+  const to = toRight ? 'right' : 'left';
+  const target = diff[to];
+  const byKey = new Map(diff.rows.map(row => [row.key, row]));
+  // Source field -> target field, with the key field itself included
+  const pairs = diff.fields.map(f => [f[from], f[to]]);
+  if (diff.key[from] !== 'id') pairs.push([diff.key[from], diff.key[to]]);
+
+  const errors = [];
+  const inserts = [];
+  const updates = [];
+  const removals = [];
+  keys.map(String).forEach(key => {
+    const row = byKey.get(key);
+    if (!row) {
+      errors.push({ key, error: 'No difference for this key (it may already have been applied)' });
+      return;
+    }
+    const source = row[from];
+    const current = row[to];
+    if (!source) {
+      removals.push({ key, id: String(current.id) });
+      return;
+    }
+    const values = {};
+    pairs.forEach(([fromField, toField]) => { values[toField] = destinationValue(source[fromField]); });
+    if (!current) {
+      inserts.push({ key, row: diff.key[to] === 'id' ? { id: key, ...values } : values });
+      return;
+    }
+    const full = {};
+    Object.keys(current).forEach(field => { full[field] = destinationValue(current[field]); });
+    updates.push({ key, id: String(current.id), row: { ...full, ...values } });
+  });
+
+  const result = { direction, inserted: 0, updated: 0, deleted: 0 };
+
+  if (inserts.length > 0) {
+    const results = await manager.insertRows(target.source, target.table, inserts.map(i => i.row), userId, {
+      keepIds: diff.key[to] === 'id'
+    });
+    results.forEach((r, i) => {
+      if (r.success) result.inserted++;
+      else errors.push({ key: inserts[i].key, action: 'insert', error: r.error });
+    });
+  }
+
+  for (const update of updates) {
+    try {
+      await manager.updateRow(target.source, target.table, update.id, update.row, userId);
+      result.updated++;
+    } catch (error) {
+      errors.push({ key: update.key, action: 'update', error: error.message });
+    }
+  }
+
+  if (removals.length > 0) {
+    const results = await manager.deleteRows(target.source, target.table, removals.map(r => r.id), userId);
+    const keyOfId = new Map(removals.map(r => [r.id, r.key]));
+    results.forEach(r => {
+      if (r.success) result.deleted++;
+      else errors.push({ key: keyOfId.get(String(r.id)), action: 'delete', error: r.error });
+    });
+  }
+
+  return { ...result, failed: errors.length, errors };
+}
+
+module.exports = {
+  DIRECTIONS,
+  DiffError,
+  diffTables,
+  applyDiff
+};
\ No newline at end of file
@@ -0,0 +1,237 @@
+// dataProviders/tableSync.js - Copying a table from one source to another
+//
+// copyTable() reads every row of a table and writes it to a table in
+// another source (or under another name in the same one), keeping row ids:
+//
+//   mode copy   insert every row; if any id already exists in the
+//               destination nothing is copied
+//   mode sync   one-way, keyed on id: insert rows the destination lacks,
+//               update rows whose values differ and, unless deletes is
+//               false, delete destination rows the source no longer has
+//
+// Fields are matched by name, ignoring case, unless a fieldMap
+// { sourceField: destinationField | null } is given. A missing destination
+// table is created from the source headings when create is set. With dryRun
+// nothing is written; the summary says what would change either way.
+const { recordFromRow } = require('./rowRecords');
+
+const MODES = ['copy', 'sync'];
+const MAX_LISTED_IDS = 100;
+
+class CopyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CopyError';
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value) === '';
+}
+
+function sameValue(a, b) {
+  return (isEmpty(a) ? '' : String(a)) === (isEmpty(b) ? '' : String(b));
+}
+
+async function readTable(manager, sourceId, tableName, userId) {
+  let headings = [];
+  const records = [];
+  for await (const batch of manager.streamTableData(sourceId, tableName, userId)) {
+    headings = batch.headings;
+    batch.rows.forEach(row => records.push(recordFromRow(headings, row)));
+  }
+  return { headings, records };
+}
+
+async function tableExists(provider, tableName) {
+  const tables = await provider.getAvailableTables();
+  return tables.some(table => table.name === tableName);
+}
+
+// { sourceField: destinationField } for every field that is copied
+function resolveFieldMap(sourceHeadings, destHeadings, fieldMap) {
+  const sourceNames = sourceHeadings.map(h => h.name).filter(name => name !== 'id');
+  const destNames = destHeadings.filter(h => !h.readonly && h.name !== 'id').map(h => h.name);
+  const map = {};
+
+  if (fieldMap) {
+    const used = {};
+    Object.entries(fieldMap).forEach(([from, to]) => {
+      if (!sourceNames.includes(from)) throw new CopyError(`Unknown source field "${from}"`);
+      if (to === null || to === '') return;
+      if (!destNames.includes(to)) throw new CopyError(`Unknown or read-only destination field "${to}"`);
+      if (used[to]) throw new CopyError(`Destination field "${to}" is mapped from both "${used[to]}" and "${from}"`);
+      used[to] = from;
+      map[from] = to;
+    });
+  } else {
+    sourceNames.forEach(name => {
+      const match = destNames.find(dest => dest.toLowerCase() === name.toLowerCase());
+      if (match) map[name] = match;
+    });
+  }
+
+  if (Object.keys(map).length === 0) {
+    throw new CopyError('None of the source fields match a destination field');
+  }
+  return map;
+}
+
+function toDestination(record, map) {
+  const row = {};
+  Object.entries(map).forEach(([from, to]) => {
+    row[to] = isEmpty(record[from]) ? null : String(record[from]);
+  });
+  return row;
+}
+
+function listIds(ids) {
+  return ids.slice(0, MAX_LISTED_IDS);
+}
+
+/**
+ * Copy or sync a table between sources through the manager, so every
+ * change is validated by the destination provider and audited
+ * @returns {Promise<Object>} Summary: { mode, dryRun, from, to, created,
+ *          fields, inserted, updated, deleted, unchanged, failed, errors, ids }
+ *          where ids lists (up to MAX_LISTED_IDS) the ids per change
+ * @throws {CopyError} For options that cannot work (unknown mode, missing
+ *         table, no matching fields, ids already present on copy)
+ */
+async function copyTable(manager, options) {
+  const { fromSourceId, tableName, toSourceId, userId, fieldMap } = options;
+  const targetTable = options.targetTable || tableName;
+  const mode = options.mode || 'copy';
+  const deletes = options.deletes !== false;
+  const dryRun = !!options.dryRun;
+
+  if (!MODES.includes(mode)) {
+    throw new CopyError(`Unknown copy mode "${mode}" (use ${MODES.join(', ')})`);
+  }
+  if (fromSourceId === toSourceId && targetTable === tableName) {
+    throw new CopyError('The destination is the same table as the source');
+  }
+
+  const destProvider = manager.getProvider(toSourceId);
+  const source = await readTable(manager, fromSourceId, tableName, userId);
+
+  let dest;
+  let created = false;
+  if (await tableExists(destProvider, targetTable)) {
+    dest = await readTable(manager, toSourceId, targetTable, userId);
+  } else if (!options.create) {
+    throw new CopyError(`Table "${targetTable}" does not exist in ${destProvider.sourceName || toSourceId}`);
+  } else {
+    const fields = source.headings.filter(h => h.name !== 'id');
+    if (!dryRun) {
+      await destProvider.createTable(targetTable, fields);
+      created = true;
+    }
+    dest = { headings: fields.map(({ readonly, ...field }) => field), records: [] };
+  }
+
+  const map = resolveFieldMap(source.headings, dest.headings, fieldMap);
+  const existing = new Map(dest.records.map(record => [String(record.id), record]));
+  const inserts = [];
+  const updates = [];
+  const errors = [];
+  let unchanged = 0;
+
+  source.records.forEach(record => {
+    const id = isEmpty(record.id) ? '' : String(record.id);
+    if (id === '') {
+      errors.push({ action: 'copy', error: 'Source row has no id' });
+      return;
+    }
+    const row = toDestination(record, map);
+    const current = existing.get(id);
+    if (!current) {
+      inserts.push({ id, ...row });
+      return;
+    }
+    if (mode === 'copy') {
+      errors.push({ id, action: 'insert', error: `id ${id} already exists in the destination` });
+      return;
+    }
+    const changed = Object.keys(row).some(field => !sameValue(row[field], current[field]));
+    if (changed) updates.push({ id, current, row });
+    else unchanged++;
+  });
+
+  const sourceIds = new Set(source.records.map(record => String(record.id)));
+  const removals = mode === 'sync' && deletes
+    ? dest.records.map(record => String(record.id)).filter(id => !sourceIds.has(id))
+    : [];
+
+  if (mode === 'copy' && errors.length > 0) {
+    throw new CopyError(`${errors.length} rows already exist in the destination (for example id ${errors[0].id}); use sync to update them`);
+  }
+
+  const summary = {
+    mode,
+    dryRun,
+    from: { source: fromSourceId, table: tableName },
+    to: { source: toSourceId, table: targetTable },
+    created,
+    fields: map,
+    inserted: inserts.length,
+    updated: updates.length,
+    deleted: removals.length,
+    unchanged,
+    failed: errors.length,
+    errors,
+    ids: {
+      inserted: listIds(inserts.map(row => row.id)),
+      updated: listIds(updates.map(update => update.id)),
+      deleted: listIds(removals)
+    }
+  };
+  if (dryRun) return summary;
+
+  if (inserts.length > 0) {
+    const results = await manager.insertRows(toSourceId, targetTable, inserts, userId, { keepIds: true, atomic: mode === 'copy' });
+    const failed = results
+      .map((result, i) => ({ result, id: inserts[i].id }))
+      .filter(({ result }) => !result.success && !result.rolledBack);
+    if (mode === 'copy' && failed.length > 0) {
+      throw new CopyError(`Row ${failed[0].id} could not be copied (${failed[0].result.error}); nothing was copied`);
+    }
+    failed.forEach(({ id, result }) => errors.push({ id, action: 'insert', error: result.error }));
+    summary.inserted = results.filter(result => result.success).length;
+    summary.ids.inserted = listIds(inserts.filter((_, i) => results[i].success).map(row => row.id));
+  }
+
+  let updated = 0;
+  for (const update of updates) {
+    const full = {};
+    Object.keys(update.current).forEach(field => {
+      full[field] = isEmpty(update.current[field]) ? null : String(update.current[field]);
+    });
+    try {
+      await manager.updateRow(toSourceId, targetTable, update.id, { ...full, ...update.row }, userId);
+      updated++;
+    } catch (error) {
+      errors.push({ id: update.id, action: 'update', error: error.message });
+    }
+  }
+  summary.updated = updated;
+
+  if (removals.length > 0) {
+    const results = await manager.deleteRows(toSourceId, targetTable, removals, userId);
+    results.filter(result => !result.success)
+      .forEach(result => errors.push({ id: result.id, action: 'delete', error: result.error }));
+    summary.deleted = results.filter(result => result.success).length;
+  }
+
+  summary.failed = errors.length;
+  return summary;
+}
+
+module.exports = {
+  MODES,
+  CopyError,
+  isEmpty,
+  sameValue,
+  readTable,
+  copyTable
+};
\ No newline at end of file
@@ -1,7 +1,15 @@
 // dataProviders/textFileProvider.js
 const fs = require('fs').promises;
+const { createReadStream, watch } = require('fs');
 const path = require('path');
 const DataProvider = require('./baseProvider');
+const { CsvParser, formatCSVField, formatCSVRow } = require('./csv');
+const { parseFieldDefinition, formatFieldDefinition, applyDefaults, assertConstraints } = require('./fieldDefinitions');
+const { QueryError, applyQuery } = require('./queryOptions');
+const { FileAuditStore } = require('./auditLog');
+const { FileTrashStore } = require('./trash');
+const { recordFromRow } = require('./rowRecords');
+const { withFileLock, writeFileAtomic } = require('./atomicWrite');
 const config = require('../config');
 
 class TextFileProvider extends DataProvider {
@@ -10,9 +18,66 @@ class TextFileProvider extends DataProvider {
     this.dataDirectory = textFilesConfig.dataPath || './data';
     this.authRequired = textFilesConfig.authRequired || false;
     this.lookupConfig = textFilesConfig.lookups || {};
+    this.softDelete = textFilesConfig.softDelete || false;
+    this.trash = new FileTrashStore(path.join(this.dataDirectory, '.trash'));
+    this.tableCache = new Map();
+    this.cacheGenerations = new Map();
+    this.cacheEnabled = textFilesConfig.cache !== false && this.startWatching();
     console.log('TextFileProvider initialized');
   }
 
+  // Watch the data directory so edits made outside the app invalidate the
+  // parsed-table cache. Without a watcher the cache stays off, since stale
+  // tables could otherwise be served indefinitely.
+  startWatching() {
+    try {
+      this.watcher = watch(this.dataDirectory, { persistent: false }, (eventType, filename) => {
+        if (filename) {
+          this.invalidateTable(filename.toString());
+        } else {
+          this.clearTableCache();
+        }
+      });
+      this.watcher.on('error', (error) => {
+        console.warn('Data directory watcher failed, disabling table cache:', error.message);
+        this.cacheEnabled = false;
+        this.clearTableCache();
+        this.watcher.close();
+      });
+      return true;
+    } catch (error) {
+      console.warn(`Could not watch ${this.dataDirectory}, table cache disabled:`, error.message);
+      return false;
+    }
+  }
+
+  getCacheKey(tableName) {
+    return path.basename(this.getFilePath(tableName));
+  }
+
+  // Bumping the generation stops a read that started before the change
+  // from caching what it parsed
+  invalidateTable(fileName) {
+    this.tableCache.delete(fileName);
+    this.cacheGenerations.set(fileName, (this.cacheGenerations.get(fileName) || 0) + 1);
+  }
+
+  clearTableCache() {
+    for (const fileName of this.tableCache.keys()) {
+      this.invalidateTable(fileName);
+    }
+    this.tableCache.clear();
+  }
+
+  // Callers modify the rows they get back, so the cache hands out copies
+  cloneTable(table) {
+    return {
+      headers: table.headers ? table.headers.map(h => ({ ...h })) : null,
+      rows: table.rows.map(row => row.slice()),
+      format: { ...table.format }
+    };
+  }
+
   isAuthRequired() {
     return this.authRequired;
   }
@@ -39,85 +104,162 @@ class TextFileProvider extends DataProvider {
     };
   }
 
+  // .txt tables are named after the file; .csv and .tsv tables keep their
+  // extension so they can sit next to a .txt file of the same name
   getFilePath(tableName) {
+    if (/\.(csv|tsv)$/i.test(tableName)) {
+      return path.join(this.dataDirectory, tableName);
+    }
     return path.join(this.dataDirectory, `${tableName}.txt`);
   }
 
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+  // Work out how a table file is laid out so it can be written back the same way.
+  // header is 'typed' (name:type), 'plain' (names only) or null (no header row)
+  getFileFormat(tableName, firstLine) {
+    const extension = path.extname(this.getFilePath(tableName)).toLowerCase();
+    let delimiter = extension === '.tsv' ? '\t' : ',';
+
+    if (extension !== '.tsv' && firstLine && !firstLine.includes(',')) {
+      if (firstLine.includes('\t')) {
+        delimiter = '\t';
+      } else if (firstLine.includes(';')) {
+        delimiter = ';';
+      }
+    }
+
+    return {
+      delimiter,
+      header: extension === '.txt' ? null : 'plain',
+      newline: '\n',
+      bom: false
+    };
+  }
+
+  // Stream a table file through the CSV parser. The format (delimiter, line
+  // endings, BOM) is sniffed from the first chunk so writeFile can reproduce it.
+  async parseFile(tableName) {
+    const filePath = this.getFilePath(tableName);
+    const stream = createReadStream(filePath, { encoding: 'utf8' });
+    const records = [];
+    let parser = null;
+    let format = null;
     
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
+    try {
+      for await (const chunk of stream) {
+        if (!parser) {
+          const text = chunk.replace(/^\uFEFF/, '');
+          const newlineIndex = text.search(/\r|\n/);
+          format = this.getFileFormat(tableName, newlineIndex === -1 ? text : text.slice(0, newlineIndex));
+          format.newline = newlineIndex !== -1 && text[newlineIndex] === '\r' ? '\r\n' : '\n';
+          parser = new CsvParser({ delimiter: format.delimiter });
+        }
+        for (const record of parser.write(chunk)) {
+          records.push(record.fields);
+        }
+      }
       
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
+      if (parser) {
+        for (const record of parser.end()) {
+          records.push(record.fields);
+        }
+        format.bom = parser.bom;
       }
+    } catch (error) {
+      stream.destroy();
+      if (error.code) throw error;
+      throw new Error(`${path.basename(filePath)}: ${error.message}`);
     }
     
-    result.push(current.trim());
+    return { records, format: format || this.getFileFormat(tableName) };
+  }
+
+  // Run a read-modify-write cycle with exclusive access to a table file
+  withTableLock(tableName, task) {
+    return withFileLock(this.getFilePath(tableName), task);
+  }
+
+  // Pass locked = true when the caller already holds the table lock. Locked
+  // reads are about to rewrite the file, so they always parse it afresh.
+  async readFile(tableName, locked = false) {
+    if (!this.cacheEnabled || locked) {
+      return await this.loadFile(tableName);
+    }
+    
+    const cacheKey = this.getCacheKey(tableName);
+    const cached = this.tableCache.get(cacheKey);
+    if (cached) {
+      return this.cloneTable(cached);
+    }
     
-    return result;
+    const generation = this.cacheGenerations.get(cacheKey) || 0;
+    const table = await this.loadFile(tableName);
+    
+    if (table.exists && (this.cacheGenerations.get(cacheKey) || 0) === generation) {
+      this.tableCache.set(cacheKey, this.cloneTable(table));
+    }
+    return table;
   }
 
-  async readFile(tableName) {
+  // Rows without an id are numbered as they are read. Generated ids live
+  // only in memory until the table is next written, so browsing a file
+  // never changes it.
+  async loadFile(tableName) {
     try {
-      const filePath = this.getFilePath(tableName);
-      const content = await fs.readFile(filePath, 'utf8');
-      const lines = content.split('\n').filter(line => line.trim());
+      const { records, format } = await this.parseFile(tableName);
       
-      if (lines.length === 0) {
-        return { headers: null, rows: [] };
+      if (records.length === 0) {
+        return { headers: null, rows: [], format, exists: true };
       }
       
-      const firstLine = this.parseCSVLine(lines[0]);
+      const firstLine = records[0];
       let headers = null;
       let startIndex = 0;
       
-      if (firstLine.some(field => field.includes(':'))) {
+      if (firstLine.some(field => field.includes(':')) || format.header === 'plain') {
+        if (firstLine.some(field => field.includes(':'))) {
+          format.header = 'typed';
+        }
         headers = firstLine.map(field => {
-          const parts = field.split(':').map(s => s.trim());
-          const name = parts[0] || 'Unknown';
-          let type = this.mapTypeCode(parts[1]);
-          let luFile = null;
+          // Columns without a declared type come back as null and are inferred below
+          const fieldDef = format.header === 'typed'
+            ? parseFieldDefinition(field)
+            : { name: field.trim() || 'Unknown', type: null };
           
-          // Check if this is a lookup field (format: "fieldname:lu:tablename")
-          if (parts[1] && parts[1].toLowerCase() === 'lu' && parts[2]) {
-            type = 'lu';
-            luFile = parts[2];
-          }
           // Check manual lookup configuration
-          else if (this.lookupConfig[tableName] && this.lookupConfig[tableName][name]) {
-            type = 'lu';
-            luFile = this.lookupConfig[tableName][name];
+          if (!fieldDef.luFile && this.lookupConfig[tableName] && this.lookupConfig[tableName][fieldDef.name]) {
+            fieldDef.type = 'lu';
+            fieldDef.luFile = this.lookupConfig[tableName][fieldDef.name];
           }
           
-          const fieldDef = { name, type };
-          if (luFile) {
-            fieldDef.luFile = luFile;
-          }
           return fieldDef;
         });
         startIndex = 1;
       }
       
       const rows = [];
-      let needsUpdate = false;
       let nextId = 1;
       
-      for (let i = startIndex; i < lines.length; i++) {
-        const fields = this.parseCSVLine(lines[i]);
+      // Spreadsheet exports often have no id column; give them one
+      const addIdColumn = headers && format.header === 'plain' && headers[0].name.toLowerCase() !== 'id';
+      if (addIdColumn) {
+        headers.unshift({ name: 'id', type: 'integer' });
+      }
+      
+      for (let i = startIndex; i < records.length; i++) {
+        const fields = records[i];
+        
+        if (addIdColumn) {
+          fields.unshift('');
+        }
         
         if (!fields[0] || fields[0].trim() === '' || isNaN(parseInt(fields[0]))) {
-          fields.unshift(String(nextId));
+          // An empty id cell is filled in place; otherwise the row has no id column
+          if (fields[0] === '' && headers && fields.length >= headers.length) {
+            fields[0] = String(nextId);
+          } else {
+            fields.unshift(String(nextId));
+          }
           nextId++;
-          needsUpdate = true;
         } else {
           const currentId = parseInt(fields[0]);
           if (currentId >= nextId) {
@@ -128,123 +270,120 @@ class TextFileProvider extends DataProvider {
         rows.push(fields);
       }
       
-      if (needsUpdate) {
-        console.log(`Adding missing IDs to ${tableName} and saving...`);
-        await this.writeFile(tableName, rows, headers);
+      if (headers) {
+        headers.forEach((h, idx) => {
+          if (!h.type) {
+            h.type = idx === 0 && h.name.toLowerCase() === 'id' ? 'integer' : this.inferType(rows, idx);
+          }
+        });
       }
       
-      return { headers, rows };
+      return { headers, rows, format, exists: true };
     } catch (error) {
       if (error.code === 'ENOENT') {
-        return { headers: null, rows: [] };
+        return { headers: null, rows: [], format: this.getFileFormat(tableName) };
       }
       throw error;
     }
   }
 
-  mapTypeCode(code) {
-    if (!code) return 'text';
+  // Infer a column's type by sampling its non-empty values
+  inferType(rows, index) {
+    const samples = [];
+    for (const row of rows) {
+      const value = row[index];
+      if (value !== undefined && String(value).trim() !== '') {
+        samples.push(String(value).trim());
+      }
+      if (samples.length >= 100) break;
+    }
+    
+    if (samples.length === 0) return 'text';
+    if (samples.every(v => /^-?(0|[1-9]\d*)$/.test(v))) return 'integer';
+    if (samples.every(v => /^-?\d*\.?\d+(e[+-]?\d+)?$/i.test(v))) return 'number';
+    if (samples.every(v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)))) return 'date';
+    if (samples.every(v => /^(true|false)$/i.test(v))) return 'boolean';
+    return 'text';
+  }
+
+  // Field definitions for a table, falling back to generated column names
+  // (with inferred types) when the file has no header row
+  getFields(headers, rows) {
+    if (headers) {
+      return headers.map(h => ({
+        ...h,
+        readonly: h.name.toLowerCase() === 'id'
+      }));
+    }
     
-    const lowerCode = code.toLowerCase();
-    switch (lowerCode) {
-      case 'int':
-      case 'integer':
-        return 'integer';
-      case 'num':
-      case 'number':
-        return 'number';
-      case 'dat':
-      case 'date':
-        return 'date';
-      case 'bool':
-      case 'boolean':
-        return 'boolean';
-      case 'lu':
-      case 'lookup':
-        return 'lu';
-      case 'str':
-      case 'string':
-      case 'text':
-      default:
-        return 'text';
+    if (rows.length > 0) {
+      return rows[0].map((_, idx) => ({
+        name: idx === 0 ? 'id' : `Column${idx}`,
+        type: idx === 0 ? 'integer' : this.inferType(rows, idx),
+        readonly: idx === 0
+      }));
     }
+    
+    return [{ name: 'id', type: 'integer', readonly: true }];
   }
 
-  async writeFile(tableName, rows, headers = null) {
+  async writeFile(tableName, rows, headers = null, format = null) {
     try {
       const filePath = this.getFilePath(tableName);
+      const { delimiter, header, newline, bom } = format || this.getFileFormat(tableName);
       
       const allLines = [];
       
-      if (headers) {
-        const headerLine = headers.map(h => {
-          if (h.type === 'lu' && h.luFile) {
-            return `${h.name}:lu:${h.luFile}`;
-          }
-          const typeCode = this.getTypeCode(h.type);
-          return `${h.name}:${typeCode}`;
-        }).join(',');
+      if (headers && header === 'plain') {
+        allLines.push(formatCSVRow(headers.map(h => h.name), delimiter));
+      } else if (headers) {
+        const headerLine = headers.map(h => formatCSVField(formatFieldDefinition(h), delimiter)).join(delimiter);
         allLines.push(headerLine);
       }
       
-      const csvRows = rows.map(row => {
-        return row.map(field => {
-          const fieldStr = String(field || '');
-          if (fieldStr.includes(',') || fieldStr.includes('"') || fieldStr.includes('\n')) {
-            return '"' + fieldStr.replace(/"/g, '""') + '"';
-          }
-          return fieldStr;
-        }).join(',');
-      });
+      rows.forEach(row => allLines.push(formatCSVRow(row, delimiter)));
       
-      allLines.push(...csvRows);
-      const content = allLines.join('\n');
-      await fs.writeFile(filePath, content, 'utf8');
+      const content = (bom ? '\uFEFF' : '') + allLines.join(newline || '\n');
+      await writeFileAtomic(filePath, content);
+      this.invalidateTable(this.getCacheKey(tableName));
     } catch (error) {
       throw new Error(`Failed to write file: ${error.message}`);
     }
   }
 
-  getTypeCode(type) {
-    switch (type) {
-      case 'integer': return 'int';
-      case 'number': return 'num';
-      case 'date': return 'dat';
-      case 'boolean': return 'bool';
-      case 'lu': return 'lu';
-      case 'text':
-      default: return 'str';
-    }
+  supportsQuery() {
+    return true;
   }
 
-  async getTableData(tableName, userId) {
+  createAuditStore() {
+    return new FileAuditStore(path.join(this.dataDirectory, 'audit.log'));
+  }
+
+  async getTableData(tableName, userId, options = null) {
     try {
       const { headers, rows } = await this.readFile(tableName);
       
-      let fields;
-      if (headers) {
-        fields = headers.map((h, idx) => ({
-          ...h,
-          readonly: h.name.toLowerCase() === 'id'
-        }));
-      } else {
-        if (rows.length > 0) {
-          fields = rows[0].map((_, idx) => ({
-            name: idx === 0 ? 'id' : `Column${idx}`,
-            type: 'text',
-            readonly: idx === 0
-          }));
-        } else {
-          fields = [{ name: 'id', type: 'integer', readonly: true }];
-        }
-      }
+      const fields = this.getFields(headers, rows);
       
       const metadata = {
-        title: this.formatTitle(tableName),
+        title: this.getTitle(tableName),
         tableName: tableName,
         fields: fields
       };
       
+      if (options) {
+        const result = applyQuery(fields, rows, options);
+        return {
+          object: tableName,
+          title: metadata.title,
+          headings: metadata.fields,
+          rows: result.rows,
+          total: result.total,
+          page: options.page,
+          pageSize: options.pageSize
+        };
+      }
+      
       return {
         object: tableName,
         title: metadata.title,
@@ -252,10 +391,19 @@ class TextFileProvider extends DataProvider {
         rows: rows
       };
     } catch (error) {
+      if (error instanceof QueryError) throw error;
       throw new Error(`Failed to fetch data: ${error.message}`);
     }
   }
 
+  getTitle(tableName) {
+    const match = tableName.match(/^(.*)\.(csv|tsv)$/i);
+    if (match) {
+      return `${this.formatTitle(match[1])} (${match[2].toUpperCase()})`;
+    }
+    return this.formatTitle(tableName);
+  }
+
   formatTitle(tableName) {
     return tableName
       .replace(/([A-Z])/g, ' $1')
@@ -275,22 +423,10 @@ class TextFileProvider extends DataProvider {
         throw new Error('Row not found');
       }
       
-      let fields;
-      if (headers) {
-        fields = headers.map(h => ({
-          ...h,
-          readonly: h.name.toLowerCase() === 'id'
-        }));
-      } else {
-        fields = row.map((_, idx) => ({
-          name: idx === 0 ? 'id' : `Column${idx}`,
-          type: 'text',
-          readonly: idx === 0
-        }));
-      }
+      const fields = this.getFields(headers, rows);
       
       const metadata = {
-        title: this.formatTitle(tableName),
+        title: this.getTitle(tableName),
         tableName: tableName,
         fields: fields
       };
@@ -308,86 +444,328 @@ class TextFileProvider extends DataProvider {
 
   async insertRow(tableName, rowData, userId) {
     try {
-      const { headers, rows } = await this.readFile(tableName);
-      
-      const fields = headers || (rows.length > 0 ? rows[0].map((_, idx) => ({
-        name: idx === 0 ? 'id' : `Column${idx}`,
-        type: 'text',
-        readonly: idx === 0
-      })) : [{ name: 'id', type: 'integer', readonly: true }]);
-      
-      let maxId = 0;
-      rows.forEach(r => {
-        const id = parseInt(r[0]);
-        if (!isNaN(id) && id > maxId) {
-          maxId = id;
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        
+        const fields = this.getFields(headers, rows);
+        rowData = applyDefaults(fields, rowData);
+        assertConstraints(fields, rowData);
+        
+        const newId = await this.getMaxId(tableName, rows) + 1;
+        
+        rows.push(this.buildRow(fields, newId, rowData));
+        await this.writeFile(tableName, rows, headers, format);
+        
+        return { success: true, id: String(newId) };
+      });
+    } catch (error) {
+      throw new Error(`Failed to insert row: ${error.message}`);
+    }
+  }
+
+  // A file row: the id first (also for headings that do not name it, see
+  // rowRecords.js), then the value of every other field
+  buildRow(fields, id, rowData) {
+    const values = fields.map(field => field.name.toLowerCase() === 'id' ? String(id) : rowData[field.name] || '');
+    return fields.some(field => field.name.toLowerCase() === 'id') ? values : [String(id)].concat(values);
+  }
+
+  // Ids of rows in the trash stay taken so they can be restored
+  async getMaxId(tableName, rows) {
+    const trashed = await this.trash.list(tableName);
+    let maxId = 0;
+    rows.concat(...trashed.map(e => e.rows)).forEach(r => {
+      const id = parseInt(r[0]);
+      if (!isNaN(id) && id > maxId) {
+        maxId = id;
+      }
+    });
+    return maxId;
+  }
+
+  // One read and one write for the whole batch, so large imports do not
+  // rewrite the file per row. Rows failing their constraints are reported;
+  // when atomic, any failure leaves the file untouched.
+  async insertRows(tableName, rowsData, userId, options = {}) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        const fields = this.getFields(headers, rows);
+        let nextId = await this.getMaxId(tableName, rows) + 1;
+
+        // Kept ids must not clash with rows in the table or its trash
+        let taken = null;
+        if (options.keepIds) {
+          const trashed = await this.trash.list(tableName);
+          taken = new Set(rows.map(r => r[0]).concat(trashed.map(e => e.id)));
+          rowsData.forEach(rowData => {
+            const id = parseInt(rowData.id);
+            if (!isNaN(id) && id >= nextId) nextId = id + 1;
+          });
+        }
+
+        const results = rowsData.map(rowData => {
+          rowData = applyDefaults(fields, rowData);
+          try {
+            assertConstraints(fields, rowData);
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+
+          const ownId = taken && rowData.id !== undefined && rowData.id !== null && String(rowData.id) !== '';
+          if (ownId && taken.has(String(rowData.id))) {
+            return { success: false, error: `id ${rowData.id} already exists` };
+          }
+          const id = ownId ? String(rowData.id) : String(nextId++);
+          if (taken) taken.add(id);
+          rows.push(this.buildRow(fields, id, rowData));
+          return { success: true, id };
+        });
+
+        if (options.atomic && results.some(r => !r.success)) {
+          return this.rolledBackResults(results, rowsData.length);
         }
+        if (results.some(r => r.success)) {
+          await this.writeFile(tableName, rows, headers, format);
+        }
+        return results;
       });
-      const newId = maxId + 1;
-      
-      const newRow = fields.map((field, idx) => {
-        if (field.name.toLowerCase() === 'id') {
-          return String(newId);
+    } catch (error) {
+      throw new Error(`Failed to insert rows: ${error.message}`);
+    }
+  }
+
+  // A new table file with a typed header and no rows
+  async createTable(tableName, fields) {
+    try {
+      if (!/^[\w][\w .-]*$/.test(tableName)) {
+        throw new Error('Table names may only use letters, digits, spaces, dots, dashes and underscores');
+      }
+      return await this.withTableLock(tableName, async () => {
+        const exists = await fs.access(this.getFilePath(tableName)).then(() => true, () => false);
+        if (exists) {
+          throw new Error('Table already exists');
         }
-        return rowData[field.name] || '';
+
+        const headers = [{ name: 'id', type: 'integer' }].concat(fields
+          .filter(field => field.name.toLowerCase() !== 'id')
+          .map(({ readonly, ...field }) => field));
+        await this.writeFile(tableName, [], headers);
+        return { success: true };
       });
-      
-      rows.push(newRow);
-      await this.writeFile(tableName, rows, headers);
-      
-      return { success: true };
     } catch (error) {
-      throw new Error(`Failed to insert row: ${error.message}`);
+      throw new Error(`Failed to create table: ${error.message}`);
     }
   }
 
   async updateRow(tableName, id, rowData, userId) {
     try {
-      const { headers, rows } = await this.readFile(tableName);
-      const rowIndex = rows.findIndex(r => r[0] === String(id));
-      
-      if (rowIndex === -1) {
-        throw new Error('Row not found');
-      }
-      
-      const fields = headers || rows[0].map((_, idx) => ({
-        name: idx === 0 ? 'id' : `Column${idx}`,
-        type: 'text',
-        readonly: idx === 0
-      }));
-      
-      rows[rowIndex] = fields.map((field, idx) => {
-        if (field.readonly) {
-          return rows[rowIndex][idx];
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        const rowIndex = rows.findIndex(r => r[0] === String(id));
+        
+        if (rowIndex === -1) {
+          throw new Error('Row not found');
         }
-        return rowData[field.name] || '';
+        
+        const fields = this.getFields(headers, rows);
+        assertConstraints(fields, rowData);
+        
+        rows[rowIndex] = this.buildRow(fields, rows[rowIndex][0], rowData);
+        
+        await this.writeFile(tableName, rows, headers, format);
+        
+        return { success: true };
       });
-      
-      await this.writeFile(tableName, rows, headers);
-      
-      return { success: true };
     } catch (error) {
       throw new Error(`Failed to update row: ${error.message}`);
     }
   }
 
   async deleteRow(tableName, id, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        const filteredRows = rows.filter(r => r[0] !== String(id));
+        
+        if (rows.length === filteredRows.length) {
+          throw new Error('Row not found');
+        }
+
+        if (!this.usesSoftDelete(tableName)) {
+          await this.writeFile(tableName, filteredRows, headers, format);
+          return { success: true };
+        }
+
+        await this.trash.add(tableName, {
+          id: String(id),
+          rows: rows.filter(r => r[0] === String(id)),
+          deletedAt: new Date().toISOString(),
+          deletedBy: userId || null
+        });
+        try {
+          await this.writeFile(tableName, filteredRows, headers, format);
+        } catch (error) {
+          await this.trash.take(tableName, id);
+          throw error;
+        }
+        
+        return { success: true };
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete row: ${error.message}`);
+    }
+  }
+
+  // One read and one write for the whole batch; rows that fail their
+  // constraints are reported and left as they were
+  async updateRows(tableName, ids, changes, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        const fields = this.getFields(headers, rows);
+        const results = [];
+
+        ids.forEach(id => {
+          const rowIndex = rows.findIndex(r => r[0] === String(id));
+          if (rowIndex === -1) {
+            results.push({ id: String(id), success: false, error: 'Row not found' });
+            return;
+          }
+
+          const rowData = { ...recordFromRow(fields, rows[rowIndex]), ...changes };
+          try {
+            assertConstraints(fields, rowData);
+          } catch (error) {
+            results.push({ id: String(id), success: false, error: error.message });
+            return;
+          }
+
+          rows[rowIndex] = this.buildRow(fields, rows[rowIndex][0], rowData);
+          results.push({ id: String(id), success: true });
+        });
+
+        if (results.some(r => r.success)) {
+          await this.writeFile(tableName, rows, headers, format);
+        }
+        return results;
+      });
+    } catch (error) {
+      throw new Error(`Failed to update rows: ${error.message}`);
+    }
+  }
+
+  async deleteRows(tableName, ids, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        const wanted = new Set(ids.map(String));
+        const found = new Set(rows.filter(r => wanted.has(r[0])).map(r => r[0]));
+        const results = Array.from(wanted).map(id => found.has(id)
+          ? { id, success: true }
+          : { id, success: false, error: 'Row not found' });
+
+        if (found.size === 0) return results;
+        const remaining = rows.filter(r => !found.has(r[0]));
+
+        if (!this.usesSoftDelete(tableName)) {
+          await this.writeFile(tableName, remaining, headers, format);
+          return results;
+        }
+
+        const deletedAt = new Date().toISOString();
+        const entries = Array.from(found).map(id => ({
+          id,
+          rows: rows.filter(r => r[0] === id),
+          deletedAt,
+          deletedBy: userId || null
+        }));
+        await this.trash.add(tableName, entries);
+        try {
+          await this.writeFile(tableName, remaining, headers, format);
+        } catch (error) {
+          for (const entry of entries) await this.trash.take(tableName, entry.id);
+          throw error;
+        }
+        return results;
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete rows: ${error.message}`);
+    }
+  }
+
+  async getDeletedRows(tableName, userId) {
     try {
       const { headers, rows } = await this.readFile(tableName);
-      const filteredRows = rows.filter(r => r[0] !== String(id));
-      
-      if (rows.length === filteredRows.length) {
+      const entries = await this.trash.list(tableName);
+
+      const deleted = [];
+      const deletedRows = [];
+      entries.forEach(entry => {
+        entry.rows.forEach(row => {
+          deletedRows.push(row);
+          deleted.push({ id: entry.id, deletedAt: entry.deletedAt, deletedBy: entry.deletedBy });
+        });
+      });
+
+      return {
+        object: tableName,
+        title: this.getTitle(tableName),
+        headings: this.getFields(headers, rows.length > 0 ? rows : deletedRows),
+        rows: deletedRows,
+        deleted
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch deleted rows: ${error.message}`);
+    }
+  }
+
+  async restoreRow(tableName, id, userId) {
+    try {
+      return await this.withTableLock(tableName, async () => {
+        const { headers, rows, format } = await this.readFile(tableName, true);
+        if (rows.some(r => r[0] === String(id))) {
+          throw new Error(`Row id ${id} is already in use`);
+        }
+
+        const entry = await this.trash.take(tableName, id);
+        if (!entry) {
+          throw new Error('Row not found');
+        }
+
+        // Back where it was: ahead of the first row with a higher id
+        const position = rows.findIndex(r => Number(r[0]) > Number(id));
+        rows.splice(position === -1 ? rows.length : position, 0, ...entry.rows);
+        try {
+          await this.writeFile(tableName, rows, headers, format);
+        } catch (error) {
+          await this.trash.add(tableName, entry);
+          throw error;
+        }
+
+        return { success: true, id: String(id) };
+      });
+    } catch (error) {
+      throw new Error(`Failed to restore row: ${error.message}`);
+    }
+  }
+
+  async purgeRow(tableName, id, userId) {
+    try {
+      const entry = await this.trash.take(tableName, id);
+      if (!entry) {
         throw new Error('Row not found');
       }
-      
-      await this.writeFile(tableName, filteredRows, headers);
-      
       return { success: true };
     } catch (error) {
-      throw new Error(`Failed to delete row: ${error.message}`);
+      throw new Error(`Failed to purge row: ${error.message}`);
     }
   }
 
+  async purgeDeletedRows(cutoff) {
+    return await this.trash.purgeBefore(cutoff);
+  }
+
   async getLookupValues(tableName, fieldName) {
     try {
       const { headers, rows } = await this.readFile(tableName);
@@ -406,13 +784,13 @@ class TextFileProvider extends DataProvider {
     try {
       const files = await fs.readdir(this.dataDirectory);
       
-      const txtFiles = files.filter(file => file.endsWith('.txt'));
+      const tableFiles = files.filter(file => /\.(txt|csv|tsv)$/i.test(file));
       
-      return txtFiles.map(file => {
-        const tableName = file.replace('.txt', '');
+      return tableFiles.map(file => {
+        const tableName = file.replace(/\.txt$/i, '');
         return {
           name: tableName,
-          title: this.formatTitle(tableName)
+          title: this.getTitle(tableName)
         };
       }).sort((a, b) => a.title.localeCompare(b.title));
     } catch (error) {
@@ -0,0 +1,96 @@
+// dataProviders/trash.js - Soft-deleted rows of file based sources
+//
+// With soft delete on, TextFileProvider.deleteRow() moves the row out of the
+// table file and into .trash in the same directory (JSON, but without a
+// .json name so a JSON file source on that directory ignores it):
+//
+//   { "<table>": [ { id, rows, deletedAt, deletedBy }, ... ] }
+//
+// where rows holds the row arrays exactly as they were stored (more than
+// one when a file repeats an id), so restoring puts them back unchanged.
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomicWrite');
+
+class FileTrashStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve();
+  }
+
+  // Read-modify-write cycles run one at a time; the file is only written
+  // when the change altered something
+  update(change) {
+    const task = this.queue.then(async () => {
+      const trash = await this.read();
+      const before = JSON.stringify(trash);
+      const result = change(trash);
+      Object.keys(trash).forEach(table => {
+        if (trash[table].length === 0) delete trash[table];
+      });
+      if (JSON.stringify(trash) !== before) {
+        await writeFileAtomic(this.filePath, JSON.stringify(trash, null, 2));
+      }
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Unreadable trash file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async list(table) {
+    const trash = await this.read();
+    return trash[table] || [];
+  }
+
+  // Takes one entry or an array of them; a second delete of the same id
+  // joins the rows already in the trash
+  add(table, newEntries) {
+    return this.update(trash => {
+      const entries = trash[table] = trash[table] || [];
+      [].concat(newEntries).forEach(entry => {
+        const existing = entries.find(e => e.id === entry.id);
+        if (existing) {
+          existing.rows = existing.rows.concat(entry.rows);
+          existing.deletedAt = entry.deletedAt;
+          existing.deletedBy = entry.deletedBy;
+        } else {
+          entries.push(entry);
+        }
+      });
+    });
+  }
+
+  // Removes and returns the entry, or null when the row is not in the trash
+  take(table, id) {
+    return this.update(trash => {
+      const entries = trash[table] || [];
+      const index = entries.findIndex(e => e.id === String(id));
+      return index === -1 ? null : entries.splice(index, 1)[0];
+    });
+  }
+
+  // Drops every entry deleted before the cutoff; returns how many went
+  purgeBefore(cutoff) {
+    return this.update(trash => {
+      let purged = 0;
+      Object.keys(trash).forEach(table => {
+        const kept = trash[table].filter(e => new Date(e.deletedAt) >= cutoff);
+        purged += trash[table].length - kept.length;
+        trash[table] = kept;
+      });
+      return purged;
+    });
+  }
+}
+
+module.exports = {
+  FileTrashStore
+};
\ No newline at end of file
@@ -0,0 +1,192 @@
+// importers/coerce.js - Converting imported text to each field's type
+//
+// Files from other systems spell values the way their locale does. Before
+// validation every mapped value is trimmed and, for typed fields, rewritten
+// in the form the providers store:
+//
+//   date      27/04/1960, 04/27/1960, 1960-4-27, 19600427 or, for
+//             values read from an Excel file, a serial number   -> 1960-04-27
+//   number    1.234,5 or 1 234,5 (per locale)                       -> 1234.5
+//   integer   1,234                                                  -> 1234
+//   boolean   yes / no, y / n, on / off, 1 / 0 (and locale words)    -> true / false
+//
+// A format is a locale preset, optionally with dateOrder, decimal and
+// thousands overridden, and the type of the file the values came from.
+// Values that cannot be read are left as they are so that validation
+// reports them against the row; a bare year such as 2024 is one of them.
+const { ImportParseError } = require('./parse');
+
+const LOCALES = {
+  'en-GB': { label: 'English (UK) - 31/12/2024, 1,234.5', dateOrder: 'dmy', decimal: '.', thousands: ',' },
+  'en-US': { label: 'English (US) - 12/31/2024, 1,234.5', dateOrder: 'mdy', decimal: '.', thousands: ',' },
+  'de-DE': { label: 'German - 31.12.2024, 1.234,5', dateOrder: 'dmy', decimal: ',', thousands: '.', yes: ['ja'], no: ['nein'] },
+  'fr-FR': { label: 'French - 31/12/2024, 1 234,5', dateOrder: 'dmy', decimal: ',', thousands: ' ', yes: ['oui'], no: ['non'] },
+  'nl-NL': { label: 'Dutch - 31-12-2024, 1.234,5', dateOrder: 'dmy', decimal: ',', thousands: '.', yes: ['ja', 'waar'], no: ['nee', 'onwaar'] },
+  iso: { label: 'ISO - 2024-12-31, 1234.5', dateOrder: 'ymd', decimal: '.', thousands: '' }
+};
+
+const DEFAULT_LOCALE = 'en-GB';
+const DATE_ORDERS = ['dmy', 'mdy', 'ymd'];
+const TRUE_WORDS = ['true', 'yes', 'y', 't', 'on', '1'];
+const FALSE_WORDS = ['false', 'no', 'n', 'f', 'off', '0'];
+
+// Excel counts days from 1899-12-30 (allowing for its 1900 leap year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MAX_EXCEL_SERIAL = 2958465; // 9999-12-31
+
+/**
+ * Build a format from request options
+ * @param {Object} options - locale, and optionally dateOrder, decimal,
+ *        thousands and fileFormat (as detected by parse.js)
+ * @returns {Object} { locale, dateOrder, decimal, thousands, yes, no, excelSerials }
+ * @throws {ImportParseError} For an unknown locale or date order
+ */
+function resolveFormat(options = {}, defaultLocale = DEFAULT_LOCALE) {
+  const locale = options.locale || defaultLocale;
+  const preset = LOCALES[locale];
+  if (!preset) {
+    throw new ImportParseError(`Unknown locale "${locale}" (use ${Object.keys(LOCALES).join(', ')})`);
+  }
+
+  const dateOrder = options.dateOrder || preset.dateOrder;
+  if (!DATE_ORDERS.includes(dateOrder)) {
+    throw new ImportParseError(`Unknown date order "${dateOrder}" (use ${DATE_ORDERS.join(', ')})`);
+  }
+  const decimal = options.decimal || preset.decimal;
+  const thousands = options.thousands !== undefined ? options.thousands : preset.thousands;
+  if (decimal === thousands) {
+    throw new ImportParseError('Decimal and thousands separators must differ');
+  }
+
+  return {
+    locale,
+    dateOrder,
+    decimal,
+    thousands,
+    yes: TRUE_WORDS.concat(preset.yes || []),
+    no: FALSE_WORDS.concat(preset.no || []),
+    // Only Excel stores dates as day numbers; elsewhere digits are not a date
+    excelSerials: options.fileFormat === 'xlsx'
+  };
+}
+
+// Presets for clients to offer
+function listLocales() {
+  return Object.keys(LOCALES).map(id => ({ id, label: LOCALES[id].label, dateOrder: LOCALES[id].dateOrder }));
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${String(year).padStart(4, '0')}-${pad(month)}-${pad(day)}`;
+}
+
+// Two digit years up to 49 are 20xx, the rest 19xx
+function fullYear(text) {
+  const year = Number(text);
+  if (text.length > 2) return year;
+  return year < 50 ? 2000 + year : 1900 + year;
+}
+
+function coerceDate(text, format) {
+  let match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    if (!format.excelSerials) return null;
+    const serial = Math.floor(Number(text));
+    if (serial < 1 || serial > MAX_EXCEL_SERIAL) return null;
+    return new Date(EXCEL_EPOCH + serial * 86400000).toISOString().slice(0, 10);
+  }
+
+  // Year first is unambiguous whatever the locale
+  match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?: .*)?$/);
+  if (!match || format.dateOrder === 'ymd') return null;
+  const [first, second] = [Number(match[1]), Number(match[2])];
+  return format.dateOrder === 'mdy'
+    ? isoDate(fullYear(match[3]), first, second)
+    : isoDate(fullYear(match[3]), second, first);
+}
+
+function coerceNumber(text, format) {
+  let value = text.replace(/[\u00a0\u202f]/g, ' ');
+  const negative = /^-/.test(value) || /^\(.*\)$/.test(value);
+  value = value.replace(/^[-+(]\s*|\)$/g, '');
+
+  const [whole, fraction, extra] = value.split(format.decimal);
+  if (extra !== undefined) return null;
+  let digits = whole;
+  if (format.thousands && whole.includes(format.thousands)) {
+    // Grouping must be in threes, so a misread decimal point is not swallowed
+    const groups = whole.split(format.thousands);
+    if (!/^\d{1,3}$/.test(groups[0]) || !groups.slice(1).every(g => /^\d{3}$/.test(g))) return null;
+    digits = groups.join('');
+  }
+  const normalized = (negative ? '-' : '') + digits + (fraction !== undefined ? '.' + fraction : '');
+  if (!/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized)) return null;
+  return Number(normalized);
+}
+
+function coerceBoolean(text, format) {
+  const word = text.toLowerCase();
+  if (format.yes.includes(word)) return 'true';
+  if (format.no.includes(word)) return 'false';
+  return null;
+}
+
+/**
+ * Convert one value for a field
+ * @returns {string} The stored form, or the trimmed input when it cannot be read
+ */
+function coerceValue(field, value, format) {
+  if (value === undefined || value === null) return '';
+  const text = String(value).trim();
+  if (text === '') return '';
+
+  let converted = null;
+  switch (field.type) {
+    case 'date':
+      converted = coerceDate(text, format);
+      break;
+    case 'number': {
+      const number = coerceNumber(text, format);
+      if (number !== null && isFinite(number)) converted = String(number);
+      break;
+    }
+    case 'integer': {
+      const number = coerceNumber(text, format);
+      if (number !== null && Number.isInteger(number)) converted = String(number);
+      break;
+    }
+    case 'boolean':
+      converted = coerceBoolean(text, format);
+      break;
+  }
+  return converted === null ? text : converted;
+}
+
+// Mapped row -> the same row with every known field converted
+function coerceRow(headings, row, format) {
+  const result = { ...row };
+  headings.forEach(field => {
+    if (Object.prototype.hasOwnProperty.call(result, field.name)) {
+      result[field.name] = coerceValue(field, result[field.name], format);
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  resolveFormat,
+  listLocales,
+  coerceValue,
+  coerceRow
+};
\ No newline at end of file
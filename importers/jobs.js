@@ -0,0 +1,175 @@
+// importers/jobs.js - Imports running in the background
+//
+// An import job goes queued -> running -> completed | failed | cancelled.
+// While it runs its progress is kept in memory and every change is emitted
+// as an event for the job's listeners:
+//
+//   progress   { phase, processed, total, imported, updated, skipped, failed }
+//              where phase is reading, matching, validating or writing;
+//              while reading, processed and total count bytes of the file
+//              rather than rows
+//   rowerror   { row, error }
+//   done       the finished job
+//
+// Finished jobs are written to a JSON file (newest first, up to
+// maxHistory) so past results can still be listed after a restart. Only
+// the first MAX_JOB_ERRORS row errors are kept per job; failed counts all.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const MAX_JOB_ERRORS = 1000;
+const DEFAULT_MAX_HISTORY = 100;
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class ImportJobManager extends EventEmitter {
+  constructor({ historyPath, maxHistory = DEFAULT_MAX_HISTORY }) {
+    super();
+    this.historyPath = historyPath;
+    this.maxHistory = maxHistory;
+    this.active = new Map();
+    this.queue = Promise.resolve();
+    // Every open progress stream listens on this emitter
+    this.setMaxListeners(0);
+  }
+
+  create({ source, table, userId, fileName, mode }) {
+    const job = {
+      id: crypto.randomUUID(),
+      source,
+      table,
+      fileName: fileName || null,
+      mode,
+      userId: userId || null,
+      status: 'queued',
+      phase: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      total: 0,
+      processed: 0,
+      imported: 0,
+      updated: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+      error: null
+    };
+    this.active.set(job.id, { job, cancelled: false });
+    return job;
+  }
+
+  /**
+   * Run the task for a job without waiting for it. The task gets a context
+   * with progress(fields), rowError(error) and isCancelled(), and resolves
+   * to { imported, updated, skipped, cancelled? }
+   */
+  start(job, task) {
+    const entry = this.active.get(job.id);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emitEvent(job, 'progress', this.progressOf(job));
+
+    const context = {
+      progress: fields => {
+        Object.assign(job, fields);
+        this.emitEvent(job, 'progress', this.progressOf(job));
+      },
+      rowError: error => {
+        job.failed++;
+        if (job.errors.length < MAX_JOB_ERRORS) job.errors.push(error);
+        this.emitEvent(job, 'rowerror', error);
+      },
+      isCancelled: () => entry.cancelled
+    };
+
+    return Promise.resolve()
+      .then(() => task(context))
+      .then(result => {
+        Object.assign(job, {
+          imported: result.imported,
+          updated: result.updated,
+          skipped: result.skipped,
+          status: result.cancelled ? 'cancelled' : 'completed'
+        });
+      })
+      .catch(error => {
+        job.status = entry.cancelled ? 'cancelled' : 'failed';
+        job.error = error.message;
+        (error.errors || []).forEach(rowError => context.rowError(rowError));
+      })
+      .then(() => this.finish(job));
+  }
+
+  async finish(job) {
+    job.finishedAt = new Date().toISOString();
+    job.phase = null;
+    try {
+      await this.saveHistory(job);
+    } catch (error) {
+      console.error(`Failed to record import job ${job.id}:`, error.message);
+    }
+    this.active.delete(job.id);
+    this.emitEvent(job, 'done', job);
+  }
+
+  // Returns false when the job is unknown or already finished
+  cancel(id) {
+    const entry = this.active.get(id);
+    if (!entry) return false;
+    entry.cancelled = true;
+    return true;
+  }
+
+  emitEvent(job, type, data) {
+    this.emit(job.id, type, data);
+  }
+
+  progressOf(job) {
+    const { status, phase, processed, total, imported, updated, skipped, failed } = job;
+    return { status, phase, processed, total, imported, updated, skipped, failed };
+  }
+
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  async readHistory() {
+    try {
+      return JSON.parse(await fs.readFile(this.historyPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Unreadable import jobs file ${this.historyPath}: ${error.message}`);
+    }
+  }
+
+  saveHistory(job) {
+    const task = this.queue.then(async () => {
+      const history = await this.readHistory();
+      history.unshift(job);
+      await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+      await fs.writeFile(this.historyPath, JSON.stringify(history.slice(0, this.maxHistory), null, 2), 'utf8');
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async get(id) {
+    const entry = this.active.get(id);
+    if (entry) return entry.job;
+    return (await this.readHistory()).find(job => job.id === id) || null;
+  }
+
+  // Running jobs first, then past ones; without their row errors
+  async list({ source, table } = {}) {
+    const running = Array.from(this.active.values()).map(entry => entry.job).reverse();
+    return running.concat(await this.readHistory())
+      .filter(job => (!source || job.source === source) && (!table || job.table === table))
+      .map(({ errors, ...job }) => job);
+  }
+}
+
+module.exports = {
+  ImportJobManager
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+// importers/mapping.js - Matching uploaded columns to table fields
+//
+// A mapping says where each field of an imported row comes from:
+//
+//   {
+//     columns:   { "<file column>": "<field name>" | null },   null = ignore
+//     constants: { "<field name>": "<value>" }                  for unmapped fields
+//   }
+//
+// autoMatchColumns() proposes one by comparing names case-insensitively and
+// ignoring spaces and punctuation, falling back to edit distance so that
+// "Job Title", "job_title" and "JobTitel" all land on "Job title".
+
+const MATCH_THRESHOLD = 0.75;
+
+class MappingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MappingError';
+  }
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for the same name once normalised, down to 0 for nothing in common
+function similarity(column, field) {
+  const a = normalizeName(column);
+  const b = normalizeName(field);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length >= 3 && b.length >= 3 && (a.includes(b) || b.includes(a))) {
+    return 0.8 + 0.1 * Math.min(a.length, b.length) / Math.max(a.length, b.length);
+  }
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Propose a mapping for the given file columns
+ * @returns {Object} { columns, constants } with each field used at most once
+ */
+function autoMatchColumns(columns, headings) {
+  const candidates = [];
+  columns.forEach(column => {
+    headings.forEach(field => {
+      const score = similarity(column, field.name);
+      if (score >= MATCH_THRESHOLD) candidates.push({ column, field: field.name, score });
+    });
+  });
+  // Best matches claim their field first
+  candidates.sort((a, b) => b.score - a.score);
+
+  const mapped = {};
+  const usedFields = new Set();
+  candidates.forEach(({ column, field }) => {
+    if (mapped[column] !== undefined || usedFields.has(field)) return;
+    mapped[column] = field;
+    usedFields.add(field);
+  });
+
+  const result = { columns: {}, constants: {} };
+  columns.forEach(column => {
+    result.columns[column] = mapped[column] || null;
+  });
+  return result;
+}
+
+/**
+ * Check a mapping sent by a client against the file and the table
+ * @returns {Object} The mapping with every file column present
+ * @throws {MappingError} For unknown fields or a field fed twice
+ */
+function normalizeMapping(mapping, columns, headings) {
+  if (!mapping || typeof mapping !== 'object') {
+    throw new MappingError('Mapping must be an object with columns and constants');
+  }
+
+  const names = headings.map(h => h.name);
+  const result = { columns: {}, constants: {} };
+  const sources = {};
+
+  columns.forEach(column => {
+    const field = mapping.columns && mapping.columns[column];
+    if (field === undefined || field === null || field === '') {
+      result.columns[column] = null;
+      return;
+    }
+    if (!names.includes(field)) {
+      throw new MappingError(`Column "${column}" is mapped to unknown field "${field}"`);
+    }
+    if (sources[field]) {
+      throw new MappingError(`Field "${field}" is mapped from both "${sources[field]}" and "${column}"`);
+    }
+    sources[field] = column;
+    result.columns[column] = field;
+  });
+
+  Object.entries(mapping.constants || {}).forEach(([field, value]) => {
+    if (!names.includes(field)) {
+      throw new MappingError(`Constant given for unknown field "${field}"`);
+    }
+    if (!sources[field] && value !== undefined && value !== null && value !== '') {
+      result.constants[field] = String(value);
+    }
+  });
+
+  return result;
+}
+
+// File row (array in column order) -> { field: value } for the providers
+function applyMapping(columns, values, mapping) {
+  const row = { ...mapping.constants };
+  columns.forEach((column, index) => {
+    const field = mapping.columns[column];
+    if (field) row[field] = values[index] === undefined ? '' : values[index];
+  });
+  return row;
+}
+
+module.exports = {
+  MappingError,
+  autoMatchColumns,
+  normalizeMapping,
+  applyMapping
+};
\ No newline at end of file
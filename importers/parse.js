@@ -0,0 +1,299 @@
+// importers/parse.js - Reading uploaded files into columns and rows
+//
+// Every parser returns { columns, rows } where columns are the header names
+// (trimmed, blanks named "Column N", repeats numbered) and rows are arrays
+// of string values in column order. Supported formats:
+//
+//   csv      comma separated, first line is the header
+//   tsv      tab separated, first line is the header
+//   json     an array of objects (or of arrays, the first one the header),
+//            or an object holding that array under "rows" or "data"
+//   ndjson   one JSON object per line
+//   xlsx     one worksheet of an Excel workbook, first row is the header;
+//            the result also lists the workbook's sheets
+//
+// Object keys become columns in the order they are first seen; nested
+// values are kept as JSON text. CSV, TSV and NDJSON files are read from disk
+// a chunk at a time (and can report progress in bytes); JSON and Excel files
+// are read whole.
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { CsvParser } = require('../dataProviders/csv');
+
+const FORMATS = ['csv', 'tsv', 'json', 'ndjson', 'xlsx'];
+// Bytes read between progress reports
+const PROGRESS_BYTES = 4 * 1024 * 1024;
+
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx'
+};
+
+class ImportParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportParseError';
+  }
+}
+
+function uniqueColumns(names) {
+  const seen = {};
+  return names.map((raw, index) => {
+    const name = String(raw === undefined || raw === null ? '' : raw).trim() || `Column ${index + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] === 1 ? name : `${name} (${seen[name]})`;
+  });
+}
+
+// The format asked for, else the one the file name suggests, else CSV
+function detectFormat(fileName, requested) {
+  if (requested) {
+    if (!FORMATS.includes(requested)) {
+      throw new ImportParseError(`Unknown file format "${requested}" (use ${FORMATS.join(', ')})`);
+    }
+    return requested;
+  }
+  return EXTENSIONS[path.extname(fileName || '').toLowerCase()] || 'csv';
+}
+
+function rowOf(columns, fields) {
+  return columns.map((_, i) => fields[i] === undefined ? '' : fields[i]);
+}
+
+/**
+ * Hand a text file to onChunk a piece at a time
+ * @param {Object} hooks - onProgress({ processed, total }) in bytes, and
+ *        isCancelled(), which stops the read with an ImportParseError
+ */
+async function readChunks(filePath, onChunk, { onProgress, isCancelled } = {}) {
+  const { size } = await fs.stat(filePath);
+  const stream = createReadStream(filePath, { encoding: 'utf8' });
+  let reported = 0;
+  for await (const chunk of stream) {
+    if (isCancelled && isCancelled()) {
+      throw new ImportParseError('The import was cancelled');
+    }
+    onChunk(chunk);
+    if (onProgress && stream.bytesRead - reported >= PROGRESS_BYTES) {
+      reported = stream.bytesRead;
+      onProgress({ processed: reported, total: size });
+    }
+  }
+  if (onProgress) onProgress({ processed: size, total: size });
+}
+
+async function parseDelimitedFile(filePath, delimiter, label, hooks) {
+  const parser = new CsvParser({ delimiter });
+  let columns = null;
+  const rows = [];
+  const add = read => {
+    let records;
+    try {
+      records = read();
+    } catch (error) {
+      throw new ImportParseError(error.message);
+    }
+    records.forEach(record => {
+      if (columns) rows.push(rowOf(columns, record.fields));
+      else columns = uniqueColumns(record.fields);
+    });
+  };
+
+  await readChunks(filePath, chunk => add(() => parser.write(chunk)), hooks);
+  add(() => parser.end());
+  if (!columns) {
+    throw new ImportParseError(`${label} file is empty`);
+  }
+  return { columns, rows };
+}
+
+function textValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Objects (or header + value arrays) -> columns and rows
+function tabulate(records, label) {
+  if (records.length === 0) {
+    throw new ImportParseError(`${label} file has no rows`);
+  }
+
+  if (Array.isArray(records[0])) {
+    const columns = uniqueColumns(records[0]);
+    const rows = records.slice(1).map((values, i) => {
+      if (!Array.isArray(values)) throw new ImportParseError(`${label} row ${i + 1} is not an array`);
+      return columns.map((_, j) => textValue(values[j]));
+    });
+    return { columns, rows };
+  }
+
+  const keys = [];
+  const known = new Set();
+  records.forEach((record, i) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new ImportParseError(`${label} row ${i + 1} is not an object`);
+    }
+    Object.keys(record).forEach(key => {
+      if (!known.has(key)) {
+        known.add(key);
+        keys.push(key);
+      }
+    });
+  });
+
+  return {
+    columns: uniqueColumns(keys),
+    rows: records.map(record => keys.map(key => textValue(record[key])))
+  };
+}
+
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+function parseJsonBuffer(buffer) {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripBom(buffer.toString('utf8')));
+  } catch (error) {
+    throw new ImportParseError(`Invalid JSON: ${error.message}`);
+  }
+  if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+    parsed = Array.isArray(parsed.rows) ? parsed.rows : parsed.data;
+  }
+  if (!Array.isArray(parsed)) {
+    throw new ImportParseError('Expected a JSON array of objects');
+  }
+  return tabulate(parsed, 'JSON');
+}
+
+function addNdjsonLine(records, line, number) {
+  if (line.trim() === '') return;
+  try {
+    records.push(JSON.parse(line));
+  } catch (error) {
+    throw new ImportParseError(`Invalid JSON on line ${number}: ${error.message}`);
+  }
+}
+
+async function parseNdjsonFile(filePath, hooks) {
+  const records = [];
+  let pending = '';
+  let number = 0;
+  await readChunks(filePath, chunk => {
+    // The last piece may be the start of a line the next chunk finishes
+    const lines = (number === 0 ? stripBom(pending + chunk) : pending + chunk).split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach(line => addNdjsonLine(records, line, ++number));
+  }, hooks);
+  addNdjsonLine(records, number === 0 ? stripBom(pending) : pending, ++number);
+  return tabulate(records, 'NDJSON');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Excel cell value -> text. Dates without a time of day become YYYY-MM-DD.
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) {
+    if (value.getUTCHours() === 0 && value.getUTCMinutes() === 0 && value.getUTCSeconds() === 0) {
+      return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    }
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.formula !== undefined || value.sharedFormula !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.error !== undefined) return '';
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Read one worksheet of an .xlsx file
+ * @param {string} sheetName - Defaults to the first sheet
+ * @returns {Promise<Object>} { columns, rows, sheets, sheet }
+ */
+async function parseXlsxFile(filePath, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw new ImportParseError(`Not a readable Excel (.xlsx) file: ${error.message}`);
+  }
+
+  const sheets = workbook.worksheets.map(sheet => sheet.name);
+  if (sheets.length === 0) {
+    throw new ImportParseError('The workbook has no sheets');
+  }
+  const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw new ImportParseError(`No sheet named "${sheetName}" (the workbook has ${sheets.join(', ')})`);
+  }
+
+  const records = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, number) => {
+    const values = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      values.push(cellText(row.getCell(col).value));
+    }
+    records[number - 1] = values;
+  });
+  // Trailing blank rows are formatting, not data
+  while (records.length > 0 && (!records[records.length - 1] || records[records.length - 1].every(v => v === ''))) {
+    records.pop();
+  }
+  if (records.length === 0) {
+    throw new ImportParseError(`Sheet "${worksheet.name}" is empty`);
+  }
+
+  const columns = uniqueColumns(records[0]);
+  const rows = records.slice(1).map(values => values || columns.map(() => ''));
+  return { columns, rows, sheets, sheet: worksheet.name };
+}
+
+/**
+ * Read an uploaded file in any supported format
+ * @param {Object} options - fileName (used to guess the format), format,
+ *        sheet, and for streamed formats the onProgress and isCancelled
+ *        hooks of readChunks()
+ * @returns {Promise<Object>} { format, columns, rows } plus sheets and sheet for xlsx
+ */
+async function parseFile(filePath, { fileName, format, sheet, ...hooks } = {}) {
+  const type = detectFormat(fileName, format);
+  if (type === 'xlsx') {
+    return { format: type, ...await parseXlsxFile(filePath, sheet) };
+  }
+  if (type === 'json') {
+    return { format: type, ...parseJsonBuffer(await fs.readFile(filePath)) };
+  }
+
+  const parsers = {
+    csv: () => parseDelimitedFile(filePath, ',', 'CSV', hooks),
+    tsv: () => parseDelimitedFile(filePath, '\t', 'TSV', hooks),
+    ndjson: () => parseNdjsonFile(filePath, hooks)
+  };
+  return { format: type, ...await parsers[type]() };
+}
+
+module.exports = {
+  FORMATS,
+  ImportParseError,
+  detectFormat,
+  parseJsonBuffer,
+  parseXlsxFile,
+  parseFile
+};
\ No newline at end of file
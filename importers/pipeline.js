@@ -0,0 +1,294 @@
+// importers/pipeline.js - Mapped, validated import of parsed rows
+//
+// Parsed files ({ columns, rows } from parse.js) go through the column
+// mapping, have their values converted to the field types (coerce.js, using
+// the format given or the default locale) and are then planned row by row
+// against the table:
+//
+//   mode insert   new rows only; rows whose key already exists are skipped
+//   mode update   existing rows only; rows with no match are errors
+//   mode upsert   update the match, insert the rest
+//
+// Rows are matched on keyField ("id" unless another field is chosen) when
+// the mapping supplies a value for it. New rows always get an id from the
+// source. Each planned row is validated like a row from the form (updates
+// only check the fields the file changes) and the plan can be returned as a
+// dry run before anything is written. New rows are written in one
+// insertRows() batch; with atomic set the import is all-or-nothing, so any
+// failing row means nothing is kept. Row numbers count data rows from 1,
+// not including the header.
+const { MappingError, applyMapping } = require('./mapping');
+const { resolveFormat, coerceRow } = require('./coerce');
+const { recordFromRow } = require('../dataProviders/rowRecords');
+
+const MODES = ['insert', 'update', 'upsert'];
+// Rows per insertRows() call when the import need not be all-or-nothing
+const INSERT_BATCH_SIZE = 1000;
+const PROGRESS_EVERY = 100;
+
+class ImportValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ImportValidationError';
+    this.errors = errors;
+  }
+}
+
+function checkOptions({ mode, keyField }, headings) {
+  if (!MODES.includes(mode)) {
+    throw new MappingError(`Unknown import mode "${mode}" (use ${MODES.join(', ')})`);
+  }
+  if (keyField !== 'id' && !headings.some(h => h.name === keyField)) {
+    throw new MappingError(`Unknown key field "${keyField}"`);
+  }
+}
+
+function keyOf(row, keyField) {
+  const value = row[keyField];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Existing rows by key value; a key shared by several rows maps to all of them
+async function indexExistingRows(dataProvider, sourceId, tableName, headings, keyField, userId) {
+  const index = new Map();
+  for await (const batch of dataProvider.streamTableData(sourceId, tableName, userId)) {
+    batch.rows.forEach(row => {
+      const record = recordFromRow(headings, row);
+      const key = keyOf(record, keyField);
+      if (key === '') return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(record);
+    });
+  }
+  return index;
+}
+
+function describeErrors(errors) {
+  return Object.values(errors).join('; ');
+}
+
+/**
+ * Work out what would happen to every row of the file
+ * @returns {Promise<Array>} One { row, action, key?, id?, data?, reason?, error?, fields? }
+ *          per data row, where action is insert, update, skip or error
+ */
+async function planImport(options) {
+  const { dataProvider, rowValidator, sourceId, tableName, parsed, mapping, headings, userId } = options;
+  const { mode = 'insert', keyField = 'id', format = resolveFormat() } = options;
+  checkOptions({ mode, keyField }, headings);
+  const rows = parsed.rows.map(values => coerceRow(headings, applyMapping(parsed.columns, values, mapping), format));
+
+  const keyed = Object.values(mapping.columns).includes(keyField) || mapping.constants[keyField] !== undefined;
+  if (mode === 'update' && !keyed) {
+    throw new MappingError(`Updating needs a column mapped to the key field "${keyField}"`);
+  }
+  const onProgress = options.onProgress || (() => {});
+  onProgress({ phase: 'matching', processed: 0, total: rows.length });
+  const existing = keyed ? await indexExistingRows(dataProvider, sourceId, tableName, headings, keyField, userId) : new Map();
+
+  const writable = new Set(headings.filter(h => !h.readonly && h.name !== 'id').map(h => h.name));
+  const seenKeys = new Map();
+  const plan = rows.map((data, i) => {
+    const entry = { row: i + 1 };
+    const key = keyed ? keyOf(data, keyField) : '';
+    if (key !== '') entry.key = key;
+
+    if (key !== '' && seenKeys.has(key)) {
+      return { ...entry, action: 'error', error: `${keyField} ${key} already appears on row ${seenKeys.get(key)}` };
+    }
+    if (key !== '') seenKeys.set(key, entry.row);
+
+    const matches = key !== '' ? existing.get(key) || [] : [];
+    if (matches.length > 1) {
+      return { ...entry, action: 'error', error: `${keyField} ${key} matches ${matches.length} existing rows` };
+    }
+
+    if (matches.length === 1) {
+      if (mode === 'insert') {
+        return { ...entry, action: 'skip', id: String(matches[0].id), reason: `${keyField} ${key} already exists` };
+      }
+      // Only the fields the file supplies change; the rest keep their values
+      const changes = {};
+      Object.keys(data).forEach(name => {
+        if (writable.has(name)) changes[name] = data[name];
+      });
+      return { ...entry, action: 'update', id: String(matches[0].id), data: changes, existing: matches[0] };
+    }
+
+    if (mode === 'update') {
+      return { ...entry, action: 'error', error: key === '' ? `No ${keyField} given` : `No existing row with ${keyField} ${key}` };
+    }
+    return { ...entry, action: 'insert', data };
+  });
+
+  // Validate inserts as whole rows and updates as the fields they change
+  onProgress({ phase: 'validating', processed: 0, total: rows.length });
+  const inserts = plan.filter(p => p.action === 'insert');
+  const updates = plan.filter(p => p.action === 'update');
+  const insertChecks = await rowValidator.validateRows(sourceId, tableName, inserts.map(p => p.data), userId, { headings });
+  const updateChecks = await rowValidator.validateRows(sourceId, tableName, updates.map(p => p.data), userId, { headings, partial: true });
+  [[inserts, insertChecks], [updates, updateChecks]].forEach(([entries, checks]) => {
+    entries.forEach((p, i) => {
+      if (checks[i].valid) return;
+      p.action = 'error';
+      p.error = describeErrors(checks[i].errors);
+      p.fields = checks[i].errors;
+    });
+  });
+
+  return plan;
+}
+
+// The plan as sent to clients, without the row data
+function toReport(plan) {
+  return plan.map(({ data, existing, ...entry }) => entry);
+}
+
+// Row values as strings, the way updateRow() expects a full row
+function stringValues(record) {
+  const values = {};
+  Object.keys(record).forEach(name => { values[name] = record[name] === null ? '' : String(record[name]); });
+  return values;
+}
+
+function errorOf(p) {
+  return p.fields ? { row: p.row, error: p.error, fields: p.fields } : { row: p.row, error: p.error };
+}
+
+function summarize(plan) {
+  const summary = { insert: 0, update: 0, skip: 0, error: 0 };
+  plan.forEach(p => { summary[p.action]++; });
+  return summary;
+}
+
+// Put rows an all-or-nothing import already updated back as they were
+async function undoUpdates(dataProvider, sourceId, tableName, done, userId) {
+  for (const p of done.reverse()) {
+    await dataProvider.updateRow(sourceId, tableName, p.id, stringValues(p.existing), userId);
+  }
+}
+
+/**
+ * Plan the import and, unless dryRun, carry it out
+ * @param {Object} options - as planImport(), plus dryRun, atomic and the
+ *        optional hooks onProgress({ phase, processed, total, ... }),
+ *        onRowError({ row, error }) and isCancelled()
+ * @returns {Promise<Object>} { dryRun, total, summary, rows } for a dry run;
+ *          otherwise { imported, updated, skipped, total, errors, rows,
+ *          cancelled } where errors lists { row, error, fields? } for rows
+ *          with errors. A cancelled atomic import keeps nothing.
+ * @throws {ImportValidationError} When no row would be written, or when an
+ *         atomic import has any failing row (nothing is kept)
+ */
+async function importRows(options) {
+  const { dataProvider, sourceId, tableName, userId, dryRun, atomic } = options;
+  const onProgress = options.onProgress || (() => {});
+  const onRowError = options.onRowError || (() => {});
+  const isCancelled = options.isCancelled || (() => false);
+  const plan = await planImport(options);
+
+  if (dryRun) {
+    return { dryRun: true, total: plan.length, summary: summarize(plan), rows: toReport(plan) };
+  }
+
+  const errors = plan.filter(p => p.action === 'error').map(errorOf);
+  if (plan.length > 0 && plan.every(p => p.action === 'error')) {
+    throw new ImportValidationError('No rows passed validation', errors);
+  }
+  if (atomic && errors.length > 0) {
+    throw new ImportValidationError(`${errors.length} of ${plan.length} rows failed validation; nothing was imported`, errors);
+  }
+  errors.forEach(error => onRowError(error));
+
+  const failRow = (p, message) => {
+    p.action = 'error';
+    p.error = message;
+    errors.push({ row: p.row, error: message });
+    onRowError({ row: p.row, error: message });
+  };
+
+  const updates = plan.filter(p => p.action === 'update');
+  const inserts = plan.filter(p => p.action === 'insert');
+  const done = [];
+  let imported = 0;
+  let processed = plan.length - updates.length - inserts.length;
+  const progress = () => onProgress({ phase: 'writing', processed, total: plan.length, imported, updated: done.length });
+  progress();
+
+  // Updates go first so that an atomic import can still undo them if the
+  // insert batch fails or the job is cancelled
+  let cancelled = false;
+  for (const p of updates) {
+    if (isCancelled()) {
+      cancelled = true;
+      break;
+    }
+    try {
+      await dataProvider.updateRow(sourceId, tableName, p.id, { ...stringValues(p.existing), ...p.data }, userId);
+      done.push(p);
+    } catch (err) {
+      if (atomic) {
+        await undoUpdates(dataProvider, sourceId, tableName, done, userId);
+        throw new ImportValidationError(`Row ${p.row} could not be saved; nothing was imported`, [{ row: p.row, error: err.message }]);
+      }
+      failRow(p, err.message);
+    }
+    processed++;
+    if (processed % PROGRESS_EVERY === 0) progress();
+  }
+
+  // Atomic imports go in one batch; others in slices so progress shows and
+  // a cancel takes effect between them
+  const batchSize = atomic ? Math.max(inserts.length, 1) : INSERT_BATCH_SIZE;
+  for (let start = 0; start < inserts.length && !cancelled; start += batchSize) {
+    if (isCancelled()) {
+      cancelled = true;
+      break;
+    }
+    const batch = inserts.slice(start, start + batchSize);
+    const results = await dataProvider.insertRows(sourceId, tableName, batch.map(p => p.data), userId, { atomic });
+    if (atomic && results.some(r => !r.success)) {
+      await undoUpdates(dataProvider, sourceId, tableName, done, userId);
+      const failed = batch
+        .map((p, i) => ({ row: p.row, error: results[i].error, rolledBack: results[i].rolledBack }))
+        .filter(r => !r.rolledBack)
+        .map(({ row, error }) => ({ row, error }));
+      throw new ImportValidationError(`${failed.length} rows could not be saved; nothing was imported`, failed);
+    }
+    results.forEach((result, i) => {
+      const p = batch[i];
+      if (!result.success) return failRow(p, result.error);
+      if (result.id !== undefined) p.id = result.id;
+      imported++;
+    });
+    processed += batch.length;
+    progress();
+  }
+
+  let updated = done.length;
+  if (cancelled && atomic) {
+    await undoUpdates(dataProvider, sourceId, tableName, done, userId);
+    updated = 0;
+  }
+  progress();
+  errors.sort((a, b) => a.row - b.row);
+
+  const summary = summarize(plan);
+  return {
+    imported,
+    updated,
+    skipped: summary.skip,
+    total: plan.length,
+    errors,
+    rows: toReport(plan),
+    cancelled
+  };
+}
+
+module.exports = {
+  MODES,
+  ImportValidationError,
+  checkOptions,
+  planImport,
+  importRows
+};
\ No newline at end of file
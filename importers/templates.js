@@ -0,0 +1,78 @@
+// importers/templates.js - Saved import mappings
+//
+// Templates are kept per table in one JSON file:
+//
+//   { "<source>/<table>": { "<template name>": { columns, constants, savedAt, savedBy } } }
+const fs = require('fs').promises;
+const path = require('path');
+
+class ImportTemplateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve();
+  }
+
+  key(sourceId, tableName) {
+    return `${sourceId}/${tableName}`;
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Unreadable import templates file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Read-modify-write cycles run one at a time
+  update(change) {
+    const task = this.queue.then(async () => {
+      const templates = await this.read();
+      const result = change(templates);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(templates, null, 2), 'utf8');
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async list(sourceId, tableName) {
+    const templates = (await this.read())[this.key(sourceId, tableName)] || {};
+    return Object.keys(templates).sort().map(name => ({ name, ...templates[name] }));
+  }
+
+  async get(sourceId, tableName, name) {
+    const templates = (await this.read())[this.key(sourceId, tableName)] || {};
+    return templates[name] || null;
+  }
+
+  save(sourceId, tableName, name, mapping, userId) {
+    return this.update(templates => {
+      const key = this.key(sourceId, tableName);
+      templates[key] = templates[key] || {};
+      templates[key][name] = {
+        columns: mapping.columns,
+        constants: mapping.constants,
+        savedAt: new Date().toISOString(),
+        savedBy: userId || null
+      };
+    });
+  }
+
+  // Resolves to false when there was no such template
+  remove(sourceId, tableName, name) {
+    return this.update(templates => {
+      const key = this.key(sourceId, tableName);
+      if (!templates[key] || !templates[key][name]) return false;
+      delete templates[key][name];
+      if (Object.keys(templates[key]).length === 0) delete templates[key];
+      return true;
+    });
+  }
+}
+
+module.exports = {
+  ImportTemplateStore
+};
\ No newline at end of file
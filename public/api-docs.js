@@ -0,0 +1,24 @@
+// api-docs.js - Swagger UI set up for /api/openapi.json
+(function(){
+  window.onload = function() {
+    window.ui = SwaggerUIBundle({
+      url: '/api/openapi.json',
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      presets: [
+        SwaggerUIBundle.presets.apis,
+        SwaggerUIStandalonePreset
+      ],
+      layout: 'StandaloneLayout',
+      // Reuse the session from the main app so the document loads and
+      // "Try it out" works without pasting a session id
+      requestInterceptor: (request) => {
+        const sessionId = localStorage.getItem('sessionId');
+        if (sessionId && !request.headers['x-session-id'] && !request.headers['Authorization']) {
+          request.headers['x-session-id'] = sessionId;
+        }
+        return request;
+      }
+    });
+  };
+})();
\ No newline at end of file
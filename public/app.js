@@ -5,6 +5,8 @@
   }
   
   let _rows=[],_headings=[],_objectName='',_sourceId='',_filtered=[],_pageSize=10,_currentPage=1;
+  let _serverPaging=false,_total=0,_query='',_sort='';
+  let _selected=new Set();
   
   function toggleMobileMenu() {
     const sidebar = document.querySelector('.sidebar-wrapper');
@@ -25,6 +27,36 @@
     return fetch(url, options);
   }
 
+  // Server-Sent Events read through fetch, since EventSource cannot send the
+  // session header. Calls onEvent(type, data) per event until the stream ends.
+  async function readEventStream(url, onEvent) {
+    const res = await fetchWithAuth(url);
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.error || 'Failed to follow progress');
+    }
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        let type = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) type = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        });
+        if (data.length) onEvent(type, JSON.parse(data.join('\n')));
+      }
+    }
+  }
+
   async function refreshSitemap() {
     const refreshBtn = document.querySelector('.refresh-sitemap-btn');
     if (refreshBtn) {
@@ -61,6 +93,9 @@
 
   window.refreshSitemap = refreshSitemap;
 
+  // Import wizard: pick a file, check how its columns map onto the table
+  // (guessed by the server, or loaded from a saved template), fill in
+  // constants for fields the file lacks, then import
   function openImportModal(object, sourceId) {
     const overlay = document.createElement('div');
     overlay.className = 'overlay';
@@ -72,7 +107,7 @@
     header.className = 'modal-header';
     const title = document.createElement('div');
     title.className = 'modal-title';
-    title.textContent = 'Import CSV - ' + object;
+    title.textContent = 'Import - ' + object;
     const closeBtn = document.createElement('button');
     closeBtn.className = 'btn btn-sm';
     closeBtn.textContent = 'Close';
@@ -86,132 +121,577 @@
     const instructions = document.createElement('div');
     instructions.className = 'import-instructions';
     instructions.innerHTML = `
-      <h4>CSV Import Instructions</h4>
+      <h4>Import Instructions</h4>
       <ul>
-        <li>CSV file must have column headers matching table columns</li>
-        <li>Maximum file size: 10MB</li>
-        <li>Rows will be validated before import</li>
-        <li>Invalid rows will be skipped with error messages</li>
+        <li>CSV, TSV, JSON, NDJSON and Excel (.xlsx) files can be imported</li>
+        <li>The first line (or first row of the sheet) must hold column headers; JSON files hold an array of objects or one object per line</li>
+        <li>Columns are matched to table fields automatically; check and adjust the mapping before importing</li>
+        <li>Imports run in the background: progress is shown as rows are saved and an import can be cancelled</li>
+        <li>Rows will be validated before import; invalid rows will be skipped with error messages</li>
+        <li>Update and upsert match rows on the key field; use "Check" to see what would happen without changing anything</li>
+        <li>Tick "All or nothing" to import no rows at all if any row fails</li>
+        <li>Dates, numbers and yes/no values are read using the chosen locale and shown converted in the preview</li>
       </ul>
     `;
     body.appendChild(instructions);
 
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.csv';
+    fileInput.accept = '.csv,.tsv,.tab,.txt,.json,.ndjson,.jsonl,.xlsx';
     fileInput.className = 'form-control';
-    fileInput.style.marginTop = '20px';
     body.appendChild(fileInput);
 
+    // Worksheet choice, shown for Excel workbooks with more than one sheet
+    const sheetSelect = document.createElement('select');
+    sheetSelect.className = 'form-control';
+    sheetSelect.style.display = 'none';
+    sheetSelect.onchange = () => loadPreview('');
+    body.appendChild(sheetSelect);
+
+    const optionsDiv = document.createElement('div');
+    optionsDiv.className = 'import-options';
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'form-control';
+    [['insert', 'Insert new rows only'], ['update', 'Update existing rows only'], ['upsert', 'Update existing, insert the rest']].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      modeSelect.appendChild(opt);
+    });
+    const keySelect = document.createElement('select');
+    keySelect.className = 'form-control';
+    keySelect.title = 'Field that identifies existing rows';
+    const localeSelect = document.createElement('select');
+    localeSelect.className = 'form-control';
+    localeSelect.title = 'How dates and numbers are written in the file';
+    localeSelect.onchange = () => {
+      dateOrderSelect.value = '';
+      renderPreview();
+    };
+    const dateOrderSelect = document.createElement('select');
+    dateOrderSelect.className = 'form-control';
+    dateOrderSelect.title = 'Order of day, month and year in dates';
+    [['', 'Dates as the locale writes them'], ['dmy', 'Dates: day/month/year'], ['mdy', 'Dates: month/day/year'], ['ymd', 'Dates: year-month-day']].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      dateOrderSelect.appendChild(opt);
+    });
+    dateOrderSelect.onchange = () => renderPreview();
+    optionsDiv.appendChild(modeSelect);
+    optionsDiv.appendChild(keySelect);
+    const atomicLabel = document.createElement('label');
+    atomicLabel.className = 'import-atomic';
+    atomicLabel.title = 'If any row fails, import nothing';
+    const atomicInput = document.createElement('input');
+    atomicInput.type = 'checkbox';
+    atomicLabel.appendChild(atomicInput);
+    atomicLabel.appendChild(document.createTextNode(' All or nothing'));
+    optionsDiv.appendChild(localeSelect);
+    optionsDiv.appendChild(dateOrderSelect);
+    optionsDiv.appendChild(atomicLabel);
+    optionsDiv.style.display = 'none';
+    body.appendChild(optionsDiv);
+
+    const mappingDiv = document.createElement('div');
+    mappingDiv.className = 'import-mapping';
+    body.appendChild(mappingDiv);
+
     const preview = document.createElement('div');
     preview.className = 'csv-preview';
-    preview.style.marginTop = '20px';
     body.appendChild(preview);
 
     const statusDiv = document.createElement('div');
     statusDiv.className = 'import-status';
-    statusDiv.style.marginTop = '20px';
     body.appendChild(statusDiv);
 
-    fileInput.onchange = (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
+    // Server preview of the chosen file and the mapping being edited
+    let previewData = null;
+    let mapping = null;
 
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const text = event.target.result;
-        const lines = text.split('\n').filter(line => line.trim());
-        
-        if (lines.length === 0) {
-          preview.innerHTML = '<div class="error">CSV file is empty</div>';
-          return;
+    function uploadForm(extra) {
+      const formData = new FormData();
+      formData.append('csvFile', fileInput.files[0]);
+      formData.append('object', object);
+      formData.append('source', sourceId);
+      if (sheetSelect.value) formData.append('sheet', sheetSelect.value);
+      Object.keys(extra || {}).forEach(key => formData.append(key, extra[key]));
+      return formData;
+    }
+
+    async function loadPreview(template) {
+      mappingDiv.innerHTML = '<div class="info">Reading file...</div>';
+      preview.innerHTML = '';
+      statusDiv.innerHTML = '';
+      try {
+        const res = await fetchWithAuth('/import/preview', {
+          method: 'POST',
+          body: uploadForm(template ? { template } : null)
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Failed to read file');
+        previewData = json;
+        mapping = json.mapping;
+        sheetSelect.innerHTML = '';
+        (json.sheets || []).forEach(name => {
+          const opt = document.createElement('option');
+          opt.value = name;
+          opt.textContent = 'Sheet: ' + name;
+          sheetSelect.appendChild(opt);
+        });
+        sheetSelect.value = json.sheet || '';
+        sheetSelect.style.display = json.sheets && json.sheets.length > 1 ? '' : 'none';
+        const key = keySelect.value || 'id';
+        keySelect.innerHTML = '';
+        ['id'].concat(json.headings.map(h => h.name).filter(name => name !== 'id')).forEach(name => {
+          const opt = document.createElement('option');
+          opt.value = name;
+          opt.textContent = 'Match on: ' + name;
+          keySelect.appendChild(opt);
+        });
+        keySelect.value = Array.from(keySelect.options).some(o => o.value === key) ? key : 'id';
+        if (!localeSelect.options.length) {
+          json.locales.forEach(locale => {
+            const opt = document.createElement('option');
+            opt.value = locale.id;
+            opt.textContent = locale.label;
+            localeSelect.appendChild(opt);
+          });
+          localeSelect.value = json.locale;
         }
+        optionsDiv.style.display = '';
+        renderMapping(template || '');
+      } catch (err) {
+        previewData = null;
+        mappingDiv.innerHTML = `<div class="error">${escapeHtml(err.message)}</div>`;
+      }
+    }
 
-        const headers = lines[0].split(',').map(h => h.trim());
-        const previewRows = lines.slice(1, 6);
+    function mappedFields() {
+      return Object.values(mapping.columns).filter(Boolean);
+    }
 
-        let html = '<h4>Preview (first 5 rows)</h4>';
-        html += '<table class="table"><thead><tr>';
-        headers.forEach(h => html += `<th>${escapeHtml(h)}</th>`);
-        html += '</tr></thead><tbody>';
-        
-        previewRows.forEach(row => {
-          const cells = row.split(',').map(c => c.trim());
-          html += '<tr>';
-          cells.forEach(c => html += `<td>${escapeHtml(c)}</td>`);
-          html += '</tr>';
-        });
-        
-        html += '</tbody></table>';
-        html += `<p><strong>Total rows to import:</strong> ${lines.length - 1}</p>`;
-        preview.innerHTML = html;
+    function renderMapping(templateName) {
+      mappingDiv.innerHTML = '';
+      const headings = previewData.headings || [];
+
+      // Saved templates for this table
+      const templateRow = document.createElement('div');
+      templateRow.className = 'import-templates';
+      const templateSelect = document.createElement('select');
+      templateSelect.className = 'form-control';
+      const noTemplate = document.createElement('option');
+      noTemplate.value = '';
+      noTemplate.textContent = previewData.templates.length ? 'Load a saved mapping...' : 'No saved mappings';
+      templateSelect.appendChild(noTemplate);
+      previewData.templates.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        templateSelect.appendChild(opt);
+      });
+      templateSelect.value = templateName;
+      templateSelect.onchange = () => loadPreview(templateSelect.value);
+
+      const nameInput = document.createElement('input');
+      nameInput.className = 'form-control';
+      nameInput.placeholder = 'Mapping name';
+      nameInput.value = templateName;
+      const saveBtn = document.createElement('button');
+      saveBtn.className = 'btn btn-primary btn-sm';
+      saveBtn.textContent = 'Save mapping';
+      saveBtn.onclick = async () => {
+        const name = nameInput.value.trim();
+        if (!name) { alert('Please enter a name for the mapping'); return; }
+        try {
+          const res = await fetchWithAuth('/import/templates', {
+            method: 'POST',
+            body: JSON.stringify({ object, source: sourceId, name, mapping })
+          });
+          const json = await res.json();
+          if (!res.ok) throw new Error(json.error || 'Failed');
+          if (!previewData.templates.includes(name)) previewData.templates.push(name);
+          renderMapping(name);
+        } catch (err) { alert('Save failed: ' + err.message); }
       };
-      reader.readAsText(file);
+      templateRow.appendChild(templateSelect);
+      templateRow.appendChild(nameInput);
+      templateRow.appendChild(saveBtn);
+      mappingDiv.appendChild(templateRow);
+
+      // One row per file column: sample values and the field it feeds
+      const table = document.createElement('table');
+      table.className = 'table';
+      table.innerHTML = '<thead><tr><th>File column</th><th>Sample values</th><th>Import into</th></tr></thead>';
+      const tbody = document.createElement('tbody');
+      previewData.columns.forEach((column, index) => {
+        const tr = document.createElement('tr');
+        const nameTd = document.createElement('td');
+        nameTd.textContent = column;
+        const sampleTd = document.createElement('td');
+        sampleTd.className = 'import-sample';
+        sampleTd.textContent = previewData.sample.map(row => row[index]).filter(v => v !== '').slice(0, 3).join(', ');
+
+        const fieldTd = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        const ignore = document.createElement('option');
+        ignore.value = '';
+        ignore.textContent = '— Ignore —';
+        select.appendChild(ignore);
+        headings.forEach(h => {
+          const opt = document.createElement('option');
+          opt.value = h.name;
+          opt.textContent = h.name + (h.readonly ? ' (read-only)' : '');
+          select.appendChild(opt);
+        });
+        select.value = mapping.columns[column] || '';
+        select.onchange = () => {
+          // A field takes one column; moving it here frees the old one
+          Object.keys(mapping.columns).forEach(other => {
+            if (other !== column && select.value && mapping.columns[other] === select.value) mapping.columns[other] = null;
+          });
+          mapping.columns[column] = select.value || null;
+          renderMapping(templateName);
+        };
+        fieldTd.appendChild(select);
+
+        tr.appendChild(nameTd);
+        tr.appendChild(sampleTd);
+        tr.appendChild(fieldTd);
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+      mappingDiv.appendChild(table);
+
+      // Constant values for writable fields no column feeds
+      const used = mappedFields();
+      const unmapped = headings.filter(h => !h.readonly && !used.includes(h.name));
+      Object.keys(mapping.constants).forEach(name => {
+        if (used.includes(name)) delete mapping.constants[name];
+      });
+      if (unmapped.length > 0) {
+        const constants = document.createElement('div');
+        constants.className = 'import-constants';
+        constants.innerHTML = '<h4>Fields not in the file</h4><p>Give a value to use for every imported row, or leave blank.</p>';
+        unmapped.forEach(h => {
+          const row = document.createElement('div');
+          row.className = 'modal-row';
+          const label = document.createElement('div');
+          label.className = 'modal-label';
+          label.textContent = h.name;
+          if (h.required) {
+            const marker = document.createElement('span');
+            marker.className = 'required-marker';
+            marker.textContent = ' *';
+            label.appendChild(marker);
+          }
+          const wrap = document.createElement('div');
+          wrap.className = 'modal-input';
+          const input = document.createElement('input');
+          input.className = 'form-control';
+          input.value = mapping.constants[h.name] || '';
+          input.placeholder = h.default != null ? 'Default: ' + h.default : '';
+          input.oninput = () => {
+            if (input.value === '') delete mapping.constants[h.name];
+            else mapping.constants[h.name] = input.value;
+            renderPreview();
+          };
+          wrap.appendChild(input);
+          row.appendChild(label);
+          row.appendChild(wrap);
+          constants.appendChild(row);
+        });
+        mappingDiv.appendChild(constants);
+      }
+
+      renderPreview();
+    }
+
+    function formatOptions() {
+      const options = { locale: localeSelect.value };
+      if (dateOrderSelect.value) options.dateOrder = dateOrderSelect.value;
+      return options;
+    }
+
+    // The first rows as they will be imported, converted by the server
+    let previewRequest = 0;
+    async function renderPreview() {
+      const headings = (previewData.headings || []).filter(h => mappedFields().includes(h.name) || mapping.constants[h.name] !== undefined);
+      if (headings.length === 0) {
+        preview.innerHTML = '<div class="warning">No columns are mapped to a table field.</div>';
+        return;
+      }
+
+      const request = ++previewRequest;
+      let converted;
+      try {
+        const res = await fetchWithAuth('/import/convert', {
+          method: 'POST',
+          body: JSON.stringify({ object, source: sourceId, columns: previewData.columns, rows: previewData.sample, mapping, fileFormat: previewData.format, ...formatOptions() })
+        });
+        converted = await res.json();
+        if (!res.ok) throw new Error(converted.error || 'Failed to convert values');
+      } catch (err) {
+        if (request === previewRequest) preview.innerHTML = `<div class="error">${escapeHtml(err.message)}</div>`;
+        return;
+      }
+      // A later change has already asked for a newer preview
+      if (request !== previewRequest) return;
+
+      let html = '<h4>Preview (first ' + previewData.sample.length + ' rows, as they will be saved)</h4>';
+      html += '<table class="table"><thead><tr>';
+      headings.forEach(h => html += `<th>${escapeHtml(h.name)}</th>`);
+      html += '</tr></thead><tbody>';
+      previewData.sample.forEach((values, rowIndex) => {
+        html += '<tr>';
+        headings.forEach(h => {
+          const index = previewData.columns.findIndex(c => mapping.columns[c] === h.name);
+          const original = index === -1 ? mapping.constants[h.name] : values[index];
+          const value = converted.rows[rowIndex][h.name];
+          const error = converted.errors[rowIndex][h.name];
+          const changed = String(original == null ? '' : original).trim() !== value;
+          const cls = error ? 'import-invalid' : (changed ? 'import-converted' : '');
+          const title = error || (changed ? 'In file: ' + original : '');
+          html += `<td class="${cls}" title="${escapeHtml(title)}">${escapeHtml(value)}</td>`;
+        });
+        html += '</tr>';
+      });
+      html += '</tbody></table>';
+      html += `<p><strong>Total rows to import:</strong> ${previewData.totalRows}</p>`;
+      preview.innerHTML = html;
+    }
+
+    fileInput.onchange = () => {
+      // A new file starts on its own first sheet
+      sheetSelect.innerHTML = '';
+      if (fileInput.files[0]) loadPreview('');
     };
 
+    function importForm(dryRun) {
+      return uploadForm({
+        mapping: JSON.stringify(mapping),
+        mode: modeSelect.value,
+        keyField: keySelect.value || 'id',
+        dryRun: dryRun ? 'true' : 'false',
+        atomic: atomicInput.checked ? 'true' : 'false',
+        ...formatOptions()
+      });
+    }
+
+    const ACTION_LABELS = { insert: 'Would insert', update: 'Would update', skip: 'Would skip', error: 'Error' };
+
+    function renderReport(report) {
+      const s = report.summary;
+      let html = `<div class="info"><strong>Check complete:</strong> ${s.insert} to insert, ${s.update} to update,
+        ${s.skip} to skip, ${s.error} with errors (of ${report.total} rows). Nothing has been changed yet.</div>`;
+      html += '<table class="table import-report"><thead><tr><th>Row</th><th>Result</th><th>Details</th></tr></thead><tbody>';
+      report.rows.slice(0, 500).forEach(r => {
+        const details = r.error || r.reason || (r.id ? 'id ' + r.id : '');
+        html += `<tr class="report-${r.action}"><td>${r.row}</td><td>${ACTION_LABELS[r.action]}</td><td>${escapeHtml(details)}</td></tr>`;
+      });
+      html += '</tbody></table>';
+      if (report.rows.length > 500) html += `<p>Showing the first 500 of ${report.rows.length} rows.</p>`;
+      statusDiv.innerHTML = html;
+    }
+
+    const PHASE_LABELS = { reading: 'Reading file', matching: 'Matching existing rows', validating: 'Checking rows', writing: 'Saving rows' };
+    const STATUS_LABELS = { queued: 'Waiting', running: 'Running', completed: 'Completed', failed: 'Failed', cancelled: 'Cancelled' };
+    const MAX_SHOWN_ERRORS = 200;
+
+    // Live view of a background import until it finishes; the table is
+    // reloaded afterwards when this import changed it
+    async function watchJob(jobId, reloadWhenDone) {
+      statusDiv.innerHTML = `
+        <div class="import-job">
+          <div class="import-job-status">Starting...</div>
+          <progress max="1" value="0"></progress>
+          <button class="btn btn-sm btn-danger import-job-cancel">Cancel import</button>
+          <div class="import-job-result"></div>
+          <ul class="import-job-errors"></ul>
+        </div>`;
+      const statusText = statusDiv.querySelector('.import-job-status');
+      const bar = statusDiv.querySelector('progress');
+      const cancelJobBtn = statusDiv.querySelector('.import-job-cancel');
+      const resultDiv = statusDiv.querySelector('.import-job-result');
+      const errorList = statusDiv.querySelector('.import-job-errors');
+      let shownErrors = 0;
+
+      cancelJobBtn.onclick = async () => {
+        cancelJobBtn.disabled = true;
+        try {
+          const res = await fetchWithAuth('/import/jobs/' + encodeURIComponent(jobId) + '/cancel', { method: 'POST' });
+          const json = await res.json();
+          if (!res.ok) throw new Error(json.error || 'Cancel failed');
+          statusText.textContent = 'Cancelling...';
+        } catch (err) {
+          alert(err.message);
+        }
+      };
+
+      function showProgress(p) {
+        bar.max = p.total || 1;
+        bar.value = p.processed || 0;
+        const label = `${STATUS_LABELS[p.status] || p.status}${p.phase ? ' - ' + PHASE_LABELS[p.phase] : ''}: `;
+        // While the file is read, processed and total count bytes
+        statusText.textContent = p.phase === 'reading'
+          ? label + `${Math.floor(100 * (p.processed || 0) / (p.total || 1))}%`
+          : label + `${p.processed || 0} of ${p.total} rows (inserted ${p.imported}, updated ${p.updated}, failed ${p.failed})`;
+      }
+
+      function showError(err) {
+        shownErrors++;
+        if (shownErrors > MAX_SHOWN_ERRORS) return;
+        const li = document.createElement('li');
+        li.textContent = err.row ? `Row ${err.row}: ${err.error}` : err.error;
+        errorList.appendChild(li);
+      }
+
+      function showDone(job) {
+        cancelJobBtn.style.display = 'none';
+        bar.value = bar.max;
+        statusText.textContent = STATUS_LABELS[job.status] || job.status;
+        const cls = job.status === 'completed' ? 'success' : (job.status === 'cancelled' ? 'warning' : 'error');
+        resultDiv.innerHTML = `<div class="${cls}">
+          <strong>Import ${escapeHtml((STATUS_LABELS[job.status] || job.status).toLowerCase())}${job.error ? ': ' + escapeHtml(job.error) : ''}</strong><br>
+          Inserted: ${job.imported}, updated: ${job.updated}, skipped: ${job.skipped}, failed: ${job.failed} of ${job.total} rows
+        </div>`;
+        if (job.failed > MAX_SHOWN_ERRORS) {
+          resultDiv.innerHTML += `<p>Showing the first ${MAX_SHOWN_ERRORS} errors.</p>`;
+        }
+        importBtn.disabled = false;
+        importBtn.textContent = 'Import';
+        if (reloadWhenDone && (job.imported > 0 || job.updated > 0)) {
+          const main = document.querySelector('.content-area');
+          main.innerHTML = '<div>Loading...</div>';
+          loadTable(main, object, sourceId);
+        }
+      }
+
+      try {
+        await readEventStream('/import/jobs/' + encodeURIComponent(jobId) + '/events', (type, data) => {
+          if (type === 'job') {
+            showProgress(data);
+            (data.errors || []).forEach(showError);
+          } else if (type === 'progress') {
+            showProgress(data);
+          } else if (type === 'rowerror') {
+            showError(data);
+          } else if (type === 'done') {
+            showDone(data);
+          }
+        });
+      } catch (err) {
+        resultDiv.innerHTML = `<div class="error">${escapeHtml(err.message)}</div>`;
+        importBtn.disabled = false;
+        importBtn.textContent = 'Import';
+      }
+    }
+
+    // Earlier imports into this table
+    async function showJobs() {
+      statusDiv.innerHTML = '<div class="info">Loading past imports...</div>';
+      try {
+        const res = await fetchWithAuth('/import/jobs?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId));
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Failed to load imports');
+        if (json.jobs.length === 0) {
+          statusDiv.innerHTML = '<div class="info">No imports into this table yet.</div>';
+          return;
+        }
+        let html = '<table class="table import-jobs"><thead><tr><th>Started</th><th>File</th><th>Mode</th><th>Status</th>' +
+          '<th>Inserted</th><th>Updated</th><th>Skipped</th><th>Failed</th></tr></thead><tbody>';
+        json.jobs.forEach(job => {
+          html += `<tr data-job="${escapeHtml(job.id)}"><td>${escapeHtml(new Date(job.createdAt).toLocaleString())}</td>
+            <td>${escapeHtml(job.fileName || '')}</td><td>${escapeHtml(job.mode)}</td>
+            <td>${escapeHtml(STATUS_LABELS[job.status] || job.status)}</td><td>${job.imported}</td><td>${job.updated}</td>
+            <td>${job.skipped}</td><td>${job.failed}</td></tr>`;
+        });
+        statusDiv.innerHTML = html + '</tbody></table>';
+        statusDiv.querySelectorAll('tr[data-job]').forEach(tr => {
+          tr.onclick = () => watchJob(tr.dataset.job);
+        });
+      } catch (err) {
+        statusDiv.innerHTML = `<div class="error">${escapeHtml(err.message)}</div>`;
+      }
+    }
+
     const actions = document.createElement('div');
     actions.className = 'modal-actions';
 
+    const jobsBtn = document.createElement('button');
+    jobsBtn.className = 'btn btn-sm';
+    jobsBtn.textContent = 'Past imports';
+    jobsBtn.onclick = showJobs;
+    actions.appendChild(jobsBtn);
+
+    const checkBtn = document.createElement('button');
+    checkBtn.className = 'btn btn-primary';
+    checkBtn.textContent = 'Check';
+    checkBtn.onclick = async () => {
+      if (!fileInput.files[0] || !previewData) {
+        alert('Please select a file');
+        return;
+      }
+      checkBtn.disabled = true;
+      statusDiv.innerHTML = '<div class="info">Checking rows...</div>';
+      try {
+        const res = await fetchWithAuth('/import-csv', { method: 'POST', body: importForm(true) });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Check failed');
+        renderReport(json);
+      } catch (err) {
+        statusDiv.innerHTML = `<div class="error">Check failed: ${escapeHtml(err.message)}</div>`;
+      }
+      checkBtn.disabled = false;
+    };
+    actions.appendChild(checkBtn);
+
     const importBtn = document.createElement('button');
     importBtn.className = 'btn btn-success';
-    importBtn.textContent = 'Import CSV';
+    importBtn.textContent = 'Import';
     importBtn.onclick = async () => {
       const file = fileInput.files[0];
       if (!file) {
-        alert('Please select a CSV file');
+        alert('Please select a file');
+        return;
+      }
+      if (!previewData) {
+        alert('The file could not be read; please choose another');
         return;
       }
 
       importBtn.disabled = true;
       importBtn.textContent = 'Importing...';
-      statusDiv.innerHTML = '<div class="info">Importing data...</div>';
-
-      const formData = new FormData();
-      formData.append('csvFile', file);
-      formData.append('object', object);
-      formData.append('source', sourceId);
+      statusDiv.innerHTML = '<div class="info">Uploading file...</div>';
 
       try {
         const res = await fetchWithAuth('/import-csv', {
           method: 'POST',
-          body: formData
+          body: importForm(false)
         });
 
         const result = await res.json();
 
         if (!res.ok) {
-          throw new Error(result.error || 'Import failed');
+          const error = new Error(result.error || 'Import failed');
+          error.rows = result.errors;
+          throw error;
         }
 
-        let statusHtml = `<div class="success">
-          <strong>Import completed!</strong><br>
-          Successfully imported: ${result.imported} / ${result.total} rows
-        </div>`;
-
-        if (result.errors && result.errors.length > 0) {
-          statusHtml += '<div class="warning"><strong>Errors:</strong><ul>';
-          result.errors.forEach(err => {
-            statusHtml += `<li>Row ${err.row}: ${escapeHtml(err.error)}</li>`;
+        await watchJob(result.jobId, true);
+      } catch (err) {
+        let errorHtml = `<div class="error">Import failed: ${escapeHtml(err.message)}`;
+        if (err.rows && err.rows.length > 0) {
+          errorHtml += '<ul>';
+          err.rows.forEach(rowErr => {
+            errorHtml += `<li>Row ${rowErr.row}: ${escapeHtml(rowErr.error)}</li>`;
           });
-          statusHtml += '</ul></div>';
+          errorHtml += '</ul>';
         }
-
-        statusDiv.innerHTML = statusHtml;
-        importBtn.textContent = 'Import Complete';
-
-        setTimeout(() => {
-          const main = document.querySelector('.content-area');
-          main.innerHTML = '<div>Loading...</div>';
-          fetchWithAuth('/objectdata?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId))
-            .then(r => r.json())
-            .then(d => renderTableUI(main, d, sourceId));
-          document.body.removeChild(overlay);
-        }, 2000);
-
-      } catch (err) {
-        statusDiv.innerHTML = `<div class="error">Import failed: ${escapeHtml(err.message)}</div>`;
+        statusDiv.innerHTML = errorHtml + '</div>';
         importBtn.disabled = false;
-        importBtn.textContent = 'Import CSV';
+        importBtn.textContent = 'Import';
       }
     };
     actions.appendChild(importBtn);
@@ -231,13 +711,65 @@
 
   window.openImportModal = openImportModal;
 
+  function tableDataUrl(object, sourceId, page) {
+    let url = '/objectdata?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId) +
+      '&page=' + page + '&pageSize=' + _pageSize;
+    if (_query) url += '&q=' + encodeURIComponent(_query);
+    if (_sort) url += '&sort=' + encodeURIComponent(_sort);
+    return url;
+  }
+
+  // Downloads go through fetch so the session header is sent, then are
+  // handed to the browser as a file
+  function exportTable(object, sourceId, format, query) {
+    let url = '/export?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId) +
+      '&format=' + encodeURIComponent(format);
+    if (query) url += '&q=' + encodeURIComponent(query);
+    if (_sort) url += '&sort=' + encodeURIComponent(_sort);
+
+    fetchWithAuth(url)
+      .then(r => {
+        if (!r.ok) return r.json().then(json => { throw new Error(json.error || 'Export failed'); });
+        const disposition = r.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return r.blob().then(blob => ({ blob, fileName: match ? match[1] : object + '.' + format }));
+      })
+      .then(({ blob, fileName }) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      })
+      .catch(e => { console.error(e); alert('Export failed: ' + e.message); });
+  }
+
+  // Sources that support queries answer with one page and a total; the rest
+  // return every row and are searched and paged in the browser
+  function loadTable(container, object, sourceId) {
+    _query = '';
+    _sort = '';
+    return fetchWithAuth(tableDataUrl(object, sourceId, 1))
+      .then(r => r.json())
+      .then(d => renderTableUI(container, d, sourceId));
+  }
+
   function renderTableUI(container, data, sourceId){
     _objectName = data.object || '';
     _sourceId = sourceId;
     _headings = Array.isArray(data.headings) ? data.headings : [];
     _rows = Array.isArray(data.rows) ? data.rows : [];
+    _serverPaging = typeof data.total === 'number';
+    _total = _serverPaging ? data.total : _rows.length;
     _filtered = _rows.slice();
-    _currentPage = 1;
+    _selected = new Set();
+    _currentPage = _serverPaging ? (data.page || 1) : 1;
+    if (!_serverPaging) {
+      _query = '';
+      _sort = '';
+    }
 
     container.innerHTML = '';
     
@@ -247,7 +779,10 @@
 
     const subtitle = document.createElement('div');
     subtitle.className = 'table-subtitle';
-    subtitle.textContent = (_rows.length === 1) ? '1 record' : (_rows.length + ' records');
+    const updateSubtitle = () => {
+      subtitle.textContent = (_total === 1) ? '1 record' : (_total + ' records');
+    };
+    updateSubtitle();
 
     const toolbar = document.createElement('div');
     toolbar.className = 'table-toolbar';
@@ -259,7 +794,7 @@
 
     const importBtn = document.createElement('button');
     importBtn.className = 'btn btn-info btn-sm';
-    importBtn.textContent = 'Import CSV';
+    importBtn.textContent = 'Import';
     importBtn.style.marginLeft = '8px';
     importBtn.onclick = () => openImportModal(_objectName, _sourceId);
 
@@ -267,35 +802,327 @@
     search.className = 'table-search';
     search.placeholder = 'Search...';
     search.type = 'search';
+    search.value = _query;
+    let searchTimer = null;
     search.oninput = () => {
+      _selected.clear();
+      if (_serverPaging) {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+          _query = search.value.trim();
+          fetchPage(1);
+        }, 300);
+        return;
+      }
       const q = search.value.toLowerCase();
       _filtered = q ? _rows.filter(r => r.some(c => String(c).toLowerCase().includes(q))) : _rows.slice();
+      applyClientSort();
       _currentPage = 1;
       renderBodyAndPager();
     };
 
+    // Exports the rows matching the current search and sort, in every format
+    const exportSelect = document.createElement('select');
+    exportSelect.className = 'export-select';
+    [['', 'Export...'], ['csv', 'CSV'], ['json', 'JSON'], ['xlsx', 'Excel (XLSX)']].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      exportSelect.appendChild(opt);
+    });
+    exportSelect.onchange = () => {
+      const format = exportSelect.value;
+      exportSelect.value = '';
+      if (format) exportTable(_objectName, _sourceId, format, _serverPaging ? _query : search.value.trim());
+    };
+
     toolbar.appendChild(addBtn);
     toolbar.appendChild(importBtn);
+    toolbar.appendChild(exportSelect);
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn btn-sm history-btn';
+    copyBtn.textContent = 'Copy to...';
+    copyBtn.style.marginLeft = '8px';
+    copyBtn.onclick = () => openCopyModal(_objectName, _sourceId);
+    toolbar.appendChild(copyBtn);
+    const diffBtn = document.createElement('button');
+    diffBtn.className = 'btn btn-sm history-btn';
+    diffBtn.textContent = 'Compare...';
+    diffBtn.style.marginLeft = '8px';
+    diffBtn.onclick = () => openDiffModal(_objectName, _sourceId);
+    toolbar.appendChild(diffBtn);
+    if (data.softDelete) {
+      const trashBtn = document.createElement('button');
+      trashBtn.className = 'btn btn-sm history-btn';
+      trashBtn.textContent = 'Trash';
+      trashBtn.style.marginLeft = '8px';
+      trashBtn.onclick = () => openTrashModal(_objectName, _sourceId);
+      toolbar.appendChild(trashBtn);
+    }
     toolbar.appendChild(search);
     container.appendChild(title);
     container.appendChild(subtitle);
     container.appendChild(toolbar);
 
+    const bulkBar = document.createElement('div');
+    bulkBar.className = 'bulk-bar';
+    container.appendChild(bulkBar);
+
     const tableWrap = document.createElement('div');
     const pagerWrap = document.createElement('div');
     container.appendChild(tableWrap);
     container.appendChild(pagerWrap);
 
+    function fetchPage(page) {
+      fetchWithAuth(tableDataUrl(_objectName, _sourceId, page))
+        .then(r => r.json().then(d => {
+          if (!r.ok) throw new Error(d.error || 'Failed to load');
+          return d;
+        }))
+        .then(d => {
+          _rows = Array.isArray(d.rows) ? d.rows : [];
+          _filtered = _rows;
+          _total = d.total;
+          _currentPage = d.page || page;
+          updateSubtitle();
+          renderBodyAndPager();
+        })
+        .catch(e => { console.error(e); alert('Failed to load: ' + e.message); });
+    }
+
+    function applyClientSort() {
+      if (!_sort) return;
+      const descending = _sort.startsWith('-');
+      const index = _headings.findIndex(h => (h.name || h) === (descending ? _sort.slice(1) : _sort));
+      if (index === -1) return;
+      _filtered.sort((a, b) => {
+        const diff = String(a[index] == null ? '' : a[index]).localeCompare(String(b[index] == null ? '' : b[index]), undefined, { numeric: true });
+        return descending ? -diff : diff;
+      });
+    }
+
+    // Clicking a heading sorts by it; clicking again reverses the order
+    function toggleSort(name) {
+      _sort = _sort === name ? '-' + name : name;
+      if (_serverPaging) {
+        fetchPage(1);
+      } else {
+        const q = search.value.toLowerCase();
+        _filtered = q ? _rows.filter(r => r.some(c => String(c).toLowerCase().includes(q))) : _rows.slice();
+        applyClientSort();
+        _currentPage = 1;
+        renderBodyAndPager();
+      }
+    }
+
+    // Ids of every row matching the current search, across all pages
+    async function fetchAllIds() {
+      if (!_serverPaging) return _filtered.map(r => String(r[0]));
+      const ids = [];
+      for (let page = 1; ids.length < _total; page++) {
+        let url = '/objectdata?object=' + encodeURIComponent(_objectName) + '&source=' + encodeURIComponent(_sourceId) +
+          '&page=' + page + '&pageSize=1000';
+        if (_query) url += '&q=' + encodeURIComponent(_query);
+        const r = await fetchWithAuth(url);
+        const d = await r.json();
+        if (!r.ok) throw new Error(d.error || 'Failed to load');
+        if (!d.rows || d.rows.length === 0) break;
+        d.rows.forEach(row => ids.push(String(row[0])));
+      }
+      return ids;
+    }
+
+    function reportBulk(action, json) {
+      let message = action + ' ' + json.succeeded + ' row(s).';
+      const failures = (json.results || []).filter(r => !r.success);
+      if (failures.length > 0) {
+        message += '\n' + failures.length + ' failed:\n' +
+          failures.slice(0, 10).map(r => '#' + r.id + ': ' + r.error).join('\n') +
+          (failures.length > 10 ? '\n...' : '');
+      }
+      alert(message);
+      container.innerHTML = '<div>Loading...</div>';
+      loadTable(container, _objectName, _sourceId);
+    }
+
+    async function bulkDelete() {
+      if (!confirm('Delete ' + _selected.size + ' selected row(s)?')) return;
+      try {
+        const res = await fetchWithAuth('/bulkdelete', {
+          method: 'POST',
+          body: JSON.stringify({ object: _objectName, source: _sourceId, ids: Array.from(_selected) })
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Failed');
+        reportBulk('Deleted', json);
+      } catch (err) { alert('Delete failed: ' + err.message); }
+    }
+
+    function openBulkEditModal() {
+      const overlay = document.createElement('div');
+      overlay.className = 'overlay';
+
+      const card = document.createElement('div');
+      card.className = 'modal-card';
+
+      const header = document.createElement('div');
+      header.className = 'modal-header';
+      const title = document.createElement('div');
+      title.className = 'modal-title';
+      title.textContent = 'Set a field on ' + _selected.size + ' row(s)';
+      header.appendChild(title);
+
+      const body = document.createElement('div');
+      body.className = 'modal-body';
+
+      const fieldRow = document.createElement('div');
+      fieldRow.className = 'modal-row';
+      const fieldLabel = document.createElement('div');
+      fieldLabel.className = 'modal-label';
+      fieldLabel.textContent = 'Field';
+      const fieldWrap = document.createElement('div');
+      fieldWrap.className = 'modal-input';
+      const fieldSelect = document.createElement('select');
+      fieldSelect.className = 'form-control';
+      _headings.filter(h => h.name && !h.readonly).forEach(h => {
+        const opt = document.createElement('option');
+        opt.value = h.name;
+        opt.textContent = h.name;
+        fieldSelect.appendChild(opt);
+      });
+      fieldWrap.appendChild(fieldSelect);
+      fieldRow.appendChild(fieldLabel);
+      fieldRow.appendChild(fieldWrap);
+
+      const valueRow = document.createElement('div');
+      valueRow.className = 'modal-row';
+      const valueLabel = document.createElement('div');
+      valueLabel.className = 'modal-label';
+      valueLabel.textContent = 'Value';
+      const valueWrap = document.createElement('div');
+      valueWrap.className = 'modal-input';
+      const valueInput = document.createElement('input');
+      valueInput.className = 'form-control';
+      valueWrap.appendChild(valueInput);
+      valueRow.appendChild(valueLabel);
+      valueRow.appendChild(valueWrap);
+
+      body.appendChild(fieldRow);
+      body.appendChild(valueRow);
+
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+      const applyBtn = document.createElement('button');
+      applyBtn.className = 'btn btn-success';
+      applyBtn.textContent = 'Apply';
+      applyBtn.onclick = async () => {
+        try {
+          const res = await fetchWithAuth('/bulkupdate', {
+            method: 'POST',
+            body: JSON.stringify({
+              object: _objectName,
+              source: _sourceId,
+              ids: Array.from(_selected),
+              field: fieldSelect.value,
+              value: valueInput.value
+            })
+          });
+          const json = await res.json();
+          if (res.status === 422 && json.fields) {
+            alert(Object.values(json.fields).join('\n'));
+            return;
+          }
+          if (!res.ok) throw new Error(json.error || 'Failed');
+          document.body.removeChild(overlay);
+          reportBulk('Updated', json);
+        } catch (err) { alert('Update failed: ' + err.message); }
+      };
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn btn-sm';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.onclick = () => document.body.removeChild(overlay);
+      actions.appendChild(applyBtn);
+      actions.appendChild(cancelBtn);
+
+      card.appendChild(header);
+      card.appendChild(body);
+      card.appendChild(actions);
+      overlay.appendChild(card);
+      document.body.appendChild(overlay);
+    }
+
+    function renderBulkBar(pageIds) {
+      bulkBar.innerHTML = '';
+      if (_selected.size === 0) return;
+
+      const total = _serverPaging ? _total : _filtered.length;
+      const count = document.createElement('span');
+      count.textContent = _selected.size + ' selected';
+      bulkBar.appendChild(count);
+
+      if (pageIds.every(id => _selected.has(id)) && _selected.size < total) {
+        const allBtn = document.createElement('button');
+        allBtn.className = 'btn btn-sm';
+        allBtn.textContent = 'Select all ' + total + ' matching';
+        allBtn.onclick = () => {
+          fetchAllIds()
+            .then(ids => { ids.forEach(id => _selected.add(id)); renderBodyAndPager(); })
+            .catch(e => alert('Failed to select all: ' + e.message));
+        };
+        bulkBar.appendChild(allBtn);
+      }
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn btn-primary btn-sm';
+      editBtn.textContent = 'Set field...';
+      editBtn.onclick = openBulkEditModal;
+      const delBtn = document.createElement('button');
+      delBtn.className = 'btn btn-danger btn-sm';
+      delBtn.textContent = 'Delete selected';
+      delBtn.onclick = bulkDelete;
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn btn-sm';
+      clearBtn.textContent = 'Clear selection';
+      clearBtn.onclick = () => { _selected.clear(); renderBodyAndPager(); };
+      bulkBar.appendChild(editBtn);
+      bulkBar.appendChild(delBtn);
+      bulkBar.appendChild(clearBtn);
+    }
+
     function renderBodyAndPager(){
       const table = document.createElement('table');
       table.className = 'table';
       table.id = 'objectTable';
 
+      const total = _serverPaging ? _total : _filtered.length;
+      const totalPages = Math.max(1, Math.ceil(total / _pageSize));
+      if (!_serverPaging && _currentPage > totalPages) _currentPage = totalPages;
+      const start = (_currentPage - 1) * _pageSize;
+      const pageRows = _serverPaging ? _rows : _filtered.slice(start, start + _pageSize);
+      const pageIds = pageRows.map(row => String(row[0]));
+
       const thead = document.createElement('thead');
       const headRow = document.createElement('tr');
+      const selectTh = document.createElement('th');
+      selectTh.className = 'select-cell';
+      const selectAll = document.createElement('input');
+      selectAll.type = 'checkbox';
+      selectAll.title = 'Select all on this page';
+      selectAll.checked = pageIds.length > 0 && pageIds.every(id => _selected.has(id));
+      selectAll.onchange = () => {
+        pageIds.forEach(id => selectAll.checked ? _selected.add(id) : _selected.delete(id));
+        renderBodyAndPager();
+      };
+      selectTh.appendChild(selectAll);
+      headRow.appendChild(selectTh);
       _headings.forEach(h => {
         const th = document.createElement('th');
-        th.textContent = h.name || h;
+        const name = h.name || h;
+        th.textContent = name;
+        th.className = 'sortable';
+        if (_sort === name) th.textContent += ' ▲';
+        if (_sort === '-' + name) th.textContent += ' ▼';
+        th.onclick = () => toggleSort(name);
         headRow.appendChild(th);
       });
       const actionTh = document.createElement('th');
@@ -305,14 +1132,22 @@
       table.appendChild(thead);
 
       const tbody = document.createElement('tbody');
-      const total = _filtered.length;
-      const totalPages = Math.max(1, Math.ceil(total / _pageSize));
-      if (_currentPage > totalPages) _currentPage = totalPages;
-      const start = (_currentPage - 1) * _pageSize;
-      const pageRows = _filtered.slice(start, start + _pageSize);
 
       pageRows.forEach(row => {
         const tr = document.createElement('tr');
+        const id = String(row[0]);
+        const selectTd = document.createElement('td');
+        selectTd.className = 'select-cell';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = _selected.has(id);
+        checkbox.onchange = () => {
+          if (checkbox.checked) _selected.add(id); else _selected.delete(id);
+          selectAll.checked = pageIds.every(pid => _selected.has(pid));
+          renderBulkBar(pageIds);
+        };
+        selectTd.appendChild(checkbox);
+        tr.appendChild(selectTd);
         row.forEach(cell => {
           const td = document.createElement('td');
           td.textContent = cell;
@@ -328,8 +1163,13 @@
         delBtn.className = 'btn btn-danger btn-sm';
         delBtn.textContent = 'Delete';
         delBtn.onclick = () => openDeleteModal(_objectName, _sourceId, row[0]);
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'btn btn-sm history-btn';
+        historyBtn.textContent = 'History';
+        historyBtn.onclick = () => openHistoryModal(_objectName, _sourceId, row[0]);
         tdAction.appendChild(editBtn);
         tdAction.appendChild(delBtn);
+        tdAction.appendChild(historyBtn);
         tr.appendChild(tdAction);
         tbody.appendChild(tr);
       });
@@ -337,7 +1177,7 @@
       if (pageRows.length === 0) {
         const tr = document.createElement('tr');
         const td = document.createElement('td');
-        td.colSpan = _headings.length + 1;
+        td.colSpan = _headings.length + 2;
         td.textContent = 'No rows';
         td.style.textAlign = 'center';
         tr.appendChild(td);
@@ -354,14 +1194,14 @@
       prevBtn.className = 'page-btn';
       prevBtn.textContent = 'Prev';
       prevBtn.disabled = _currentPage <= 1;
-      prevBtn.onclick = () => { if (_currentPage > 1) { _currentPage--; renderBodyAndPager(); } };
+      prevBtn.onclick = () => { if (_currentPage > 1) goToPage(_currentPage - 1); };
       pager.appendChild(prevBtn);
 
       for (let p = Math.max(1, _currentPage - 2); p <= Math.min(totalPages, _currentPage + 2); p++) {
         const pBtn = document.createElement('button');
         pBtn.className = 'page-btn' + (p === _currentPage ? ' active' : '');
         pBtn.textContent = String(p);
-        pBtn.onclick = () => { _currentPage = p; renderBodyAndPager(); };
+        pBtn.onclick = () => goToPage(p);
         pager.appendChild(pBtn);
       }
 
@@ -369,12 +1209,23 @@
       nextBtn.className = 'page-btn';
       nextBtn.textContent = 'Next';
       nextBtn.disabled = _currentPage >= totalPages;
-      nextBtn.onclick = () => { if (_currentPage < totalPages) { _currentPage++; renderBodyAndPager(); } };
+      nextBtn.onclick = () => { if (_currentPage < totalPages) goToPage(_currentPage + 1); };
       pager.appendChild(nextBtn);
 
       pagerWrap.innerHTML = '';
       pagerWrap.appendChild(pager);
+      renderBulkBar(pageIds);
+    }
+
+    function goToPage(page) {
+      if (_serverPaging) {
+        fetchPage(page);
+      } else {
+        _currentPage = page;
+        renderBodyAndPager();
+      }
     }
+
     renderBodyAndPager();
   }
 
@@ -398,12 +1249,652 @@
       .catch(e => { console.error(e); alert('Failed to load'); });
   }
 
+  // Timeline of changes to one row, newest first, each with a revert button
+  function openHistoryModal(object, sourceId, id) {
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+
+    const card = document.createElement('div');
+    card.className = 'modal-card';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+    const title = document.createElement('div');
+    title.className = 'modal-title';
+    title.textContent = 'History - ' + object + ' #' + id;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-sm';
+    closeBtn.textContent = 'Close';
+    closeBtn.onclick = () => document.body.removeChild(overlay);
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    body.textContent = 'Loading...';
+
+    card.appendChild(header);
+    card.appendChild(body);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+
+    const describeValue = value => value === undefined || value === null || value === '' ? '(empty)' : String(value);
+
+    function changedFields(entry) {
+      const before = entry.before || {};
+      const after = entry.after || {};
+      const names = Array.from(new Set(Object.keys(before).concat(Object.keys(after))));
+      return names.filter(name => name !== 'id' && describeValue(before[name]) !== describeValue(after[name]));
+    }
+
+    async function revert(entry) {
+      if (!confirm('Revert this row to the version from ' + new Date(entry.timestamp).toLocaleString() + '?')) return;
+      try {
+        const res = await fetchWithAuth('/revertobject', {
+          method: 'POST',
+          body: JSON.stringify({ object, source: sourceId, id, entryId: entry.id })
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Failed');
+        document.body.removeChild(overlay);
+        const main = document.querySelector('.content-area');
+        main.innerHTML = '<div>Loading...</div>';
+        loadTable(main, object, sourceId);
+      } catch (err) { alert('Revert failed: ' + err.message); }
+    }
+
+    fetchWithAuth('/history?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId) + '&id=' + encodeURIComponent(id))
+      .then(r => r.json().then(json => { if (!r.ok) throw new Error(json.error || 'Failed'); return json; }))
+      .then(data => {
+        const entries = (data.entries || []).slice().reverse();
+        body.innerHTML = '';
+        if (entries.length === 0) {
+          body.textContent = 'No changes have been recorded for this row.';
+          return;
+        }
+
+        entries.forEach((entry, index) => {
+          const item = document.createElement('div');
+          item.className = 'history-entry';
+
+          const meta = document.createElement('div');
+          meta.className = 'history-meta';
+          meta.innerHTML = '<strong>' + escapeHtml(entry.action) + '</strong> ' +
+            escapeHtml(new Date(entry.timestamp).toLocaleString()) +
+            (entry.userId ? ' by ' + escapeHtml(entry.userId) : '');
+          item.appendChild(meta);
+
+          const fields = changedFields(entry);
+          if (fields.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'history-changes';
+            fields.forEach(name => {
+              const li = document.createElement('li');
+              li.innerHTML = '<strong>' + escapeHtml(name) + '</strong>: ' +
+                '<span class="history-before">' + escapeHtml(describeValue((entry.before || {})[name])) + '</span> → ' +
+                '<span class="history-after">' + escapeHtml(describeValue((entry.after || {})[name])) + '</span>';
+              list.appendChild(li);
+            });
+            item.appendChild(list);
+          }
+
+          // The newest entry is the current state, so only older ones can be restored
+          if (index > 0 && entry.after) {
+            const revertBtn = document.createElement('button');
+            revertBtn.className = 'btn btn-primary btn-sm';
+            revertBtn.textContent = 'Revert to this version';
+            revertBtn.onclick = () => revert(entry);
+            item.appendChild(revertBtn);
+          }
+
+          body.appendChild(item);
+        });
+      })
+      .catch(e => { console.error(e); body.textContent = 'Failed to load history: ' + e.message; });
+  }
+
+  // Rows deleted from a soft-delete table, with restore and permanent delete
+  function openTrashModal(object, sourceId) {
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+
+    const card = document.createElement('div');
+    card.className = 'modal-card';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+    const title = document.createElement('div');
+    title.className = 'modal-title';
+    title.textContent = 'Trash - ' + object;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-sm';
+    closeBtn.textContent = 'Close';
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+
+    card.appendChild(header);
+    card.appendChild(body);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+
+    let changed = false;
+    closeBtn.onclick = () => {
+      document.body.removeChild(overlay);
+      if (changed) {
+        const main = document.querySelector('.content-area');
+        main.innerHTML = '<div>Loading...</div>';
+        loadTable(main, object, sourceId);
+      }
+    };
+
+    async function act(url, id) {
+      try {
+        const res = await fetchWithAuth(url, {
+          method: 'POST',
+          body: JSON.stringify({ object, source: sourceId, id })
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Failed');
+        changed = true;
+        load();
+      } catch (err) { alert(err.message); }
+    }
+
+    function load() {
+      body.textContent = 'Loading...';
+      fetchWithAuth('/trash?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId))
+        .then(r => r.json().then(json => { if (!r.ok) throw new Error(json.error || 'Failed'); return json; }))
+        .then(data => {
+          const headings = data.headings || [];
+          const rows = data.rows || [];
+          const deleted = data.deleted || [];
+          body.innerHTML = '';
+          if (rows.length === 0) {
+            body.textContent = 'The trash is empty.';
+            return;
+          }
+
+          const table = document.createElement('table');
+          table.className = 'table';
+          const thead = document.createElement('thead');
+          const hr = document.createElement('tr');
+          headings.concat([{ name: 'Deleted' }, { name: '' }]).forEach(h => {
+            const th = document.createElement('th');
+            th.textContent = h.name;
+            hr.appendChild(th);
+          });
+          thead.appendChild(hr);
+          table.appendChild(thead);
+
+          const tbody = document.createElement('tbody');
+          rows.forEach((row, index) => {
+            const info = deleted[index] || {};
+            const tr = document.createElement('tr');
+            headings.forEach((h, i) => {
+              const td = document.createElement('td');
+              td.textContent = row[i] == null ? '' : row[i];
+              tr.appendChild(td);
+            });
+
+            const tdWhen = document.createElement('td');
+            tdWhen.textContent = info.deletedAt ? new Date(info.deletedAt).toLocaleString() : '';
+            if (info.deletedBy) tdWhen.textContent += ' by ' + info.deletedBy;
+            tr.appendChild(tdWhen);
+
+            const tdAction = document.createElement('td');
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-success btn-sm me-1';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.onclick = () => act('/restoreobject', info.id);
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'btn btn-danger btn-sm';
+            purgeBtn.textContent = 'Delete forever';
+            purgeBtn.onclick = () => {
+              if (confirm('Permanently delete this row? This cannot be undone.')) act('/purgeobject', info.id);
+            };
+            tdAction.appendChild(restoreBtn);
+            tdAction.appendChild(purgeBtn);
+            tr.appendChild(tdAction);
+            tbody.appendChild(tr);
+          });
+          table.appendChild(tbody);
+          body.appendChild(table);
+        })
+        .catch(e => { console.error(e); body.textContent = 'Failed to load trash: ' + e.message; });
+    }
+
+    load();
+  }
+
+  // Copy this table into another source, or sync an earlier copy (rows
+  // matched on id); "Preview" reports what would change without writing
+  function openCopyModal(object, sourceId) {
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+
+    const card = document.createElement('div');
+    card.className = 'modal-card';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+    const title = document.createElement('div');
+    title.className = 'modal-title';
+    title.textContent = 'Copy - ' + object;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-sm';
+    closeBtn.textContent = 'Close';
+    closeBtn.onclick = () => document.body.removeChild(overlay);
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+
+    const optionsDiv = document.createElement('div');
+    optionsDiv.className = 'copy-options';
+    const targetSelect = document.createElement('select');
+    targetSelect.className = 'form-control';
+    targetSelect.title = 'Source to copy into';
+    const tableInput = document.createElement('input');
+    tableInput.className = 'form-control';
+    tableInput.title = 'Table to copy into';
+    tableInput.value = object;
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'form-control';
+    [['copy', 'Copy all rows'], ['sync', 'Sync: insert, update and delete by id']].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      modeSelect.appendChild(opt);
+    });
+    optionsDiv.appendChild(targetSelect);
+    optionsDiv.appendChild(tableInput);
+    optionsDiv.appendChild(modeSelect);
+    body.appendChild(optionsDiv);
+
+    function checkbox(label, titleText, checked) {
+      const wrap = document.createElement('label');
+      wrap.className = 'import-atomic';
+      wrap.title = titleText;
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = checked;
+      wrap.appendChild(input);
+      wrap.appendChild(document.createTextNode(' ' + label));
+      body.appendChild(wrap);
+      return input;
+    }
+    const createInput = checkbox('Create the table if it does not exist', 'Uses this table\'s fields', true);
+    const deletesInput = checkbox('Delete rows that are no longer in this table', 'Sync only', true);
+
+    const statusDiv = document.createElement('div');
+    statusDiv.className = 'import-status';
+    body.appendChild(statusDiv);
+
+    fetchWithAuth('/api/v1/sources')
+      .then(r => r.json().then(json => { if (!r.ok) throw new Error(json.error || 'Failed'); return json; }))
+      .then(json => {
+        json.data.forEach(source => {
+          const opt = document.createElement('option');
+          opt.value = source.id;
+          opt.textContent = source.name + (source.id === sourceId ? ' (this source)' : '');
+          targetSelect.appendChild(opt);
+        });
+        const other = json.data.find(source => source.id !== sourceId);
+        if (other) targetSelect.value = other.id;
+      })
+      .catch(e => { statusDiv.innerHTML = `<div class="error">Failed to load sources: ${escapeHtml(e.message)}</div>`; });
+
+    function renderSummary(s) {
+      const where = escapeHtml(s.to.table) + ' in ' + escapeHtml(s.to.source);
+      const verb = s.dryRun ? 'Would' : 'Done:';
+      let html = `<div class="info"><strong>${s.dryRun ? 'Preview' : 'Copy complete'}</strong> (${where}): ${verb}
+        insert ${s.inserted}, update ${s.updated}, delete ${s.deleted}; ${s.unchanged} unchanged.`;
+      if (s.created) html += ' The table was created.';
+      if (s.dryRun) html += ' Nothing has been changed yet.';
+      html += '</div>';
+      const renamed = Object.keys(s.fields).filter(name => s.fields[name] !== name);
+      if (renamed.length) {
+        html += '<p>Fields: ' + renamed.map(name => escapeHtml(name) + ' &rarr; ' + escapeHtml(s.fields[name])).join(', ') + '</p>';
+      }
+      if (s.errors.length) {
+        html += '<div class="import-job-errors">' + s.errors.slice(0, 200)
+          .map(e => escapeHtml((e.id ? 'id ' + e.id + ': ' : '') + e.error)).join('<br>') + '</div>';
+      }
+      statusDiv.innerHTML = html;
+    }
+
+    async function run(dryRun) {
+      const target = tableInput.value.trim();
+      if (!targetSelect.value || !target) {
+        alert('Choose a destination source and table');
+        return;
+      }
+      previewBtn.disabled = true;
+      runBtn.disabled = true;
+      statusDiv.innerHTML = `<div class="info">${dryRun ? 'Comparing tables...' : 'Copying rows...'}</div>`;
+      try {
+        const res = await fetchWithAuth('/copytable', {
+          method: 'POST',
+          body: JSON.stringify({
+            object,
+            source: sourceId,
+            targetSource: targetSelect.value,
+            targetObject: target,
+            mode: modeSelect.value,
+            create: createInput.checked,
+            deletes: deletesInput.checked,
+            dryRun
+          })
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Copy failed');
+        renderSummary(json);
+        if (json.created) refreshSitemap();
+      } catch (err) {
+        statusDiv.innerHTML = `<div class="error">${dryRun ? 'Preview' : 'Copy'} failed: ${escapeHtml(err.message)}</div>`;
+      }
+      previewBtn.disabled = false;
+      runBtn.disabled = false;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-primary';
+    previewBtn.textContent = 'Preview';
+    previewBtn.onclick = () => run(true);
+    const runBtn = document.createElement('button');
+    runBtn.className = 'btn btn-success';
+    runBtn.textContent = 'Run';
+    runBtn.onclick = () => {
+      if (modeSelect.value === 'sync' && deletesInput.checked &&
+          !confirm('Rows missing from ' + object + ' will be deleted from the destination. Continue?')) return;
+      run(false);
+    };
+    actions.appendChild(previewBtn);
+    actions.appendChild(runBtn);
+    body.appendChild(actions);
+
+    card.appendChild(header);
+    card.appendChild(body);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+  }
+
+  // Compare this table with another (e.g. persons / newPersons) on a key
+  // field; chosen differences can be applied to either side
+  function openDiffModal(object, sourceId) {
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+
+    const card = document.createElement('div');
+    card.className = 'modal-card';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+    const title = document.createElement('div');
+    title.className = 'modal-title';
+    title.textContent = 'Compare - ' + object;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-sm';
+    closeBtn.textContent = 'Close';
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+
+    const optionsDiv = document.createElement('div');
+    optionsDiv.className = 'copy-options';
+    const sourceSelect = document.createElement('select');
+    sourceSelect.className = 'form-control';
+    sourceSelect.title = 'Source of the table to compare with';
+    const tableSelect = document.createElement('select');
+    tableSelect.className = 'form-control';
+    tableSelect.title = 'Table to compare with';
+    const keyInput = document.createElement('input');
+    keyInput.className = 'form-control';
+    keyInput.title = 'Field that identifies the same row in both tables';
+    keyInput.value = 'id';
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'btn btn-primary';
+    compareBtn.textContent = 'Compare';
+    optionsDiv.appendChild(sourceSelect);
+    optionsDiv.appendChild(tableSelect);
+    optionsDiv.appendChild(keyInput);
+    optionsDiv.appendChild(compareBtn);
+    body.appendChild(optionsDiv);
+
+    const resultDiv = document.createElement('div');
+    resultDiv.className = 'diff-result';
+    body.appendChild(resultDiv);
+
+    card.appendChild(header);
+    card.appendChild(body);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+
+    let changed = false;
+    closeBtn.onclick = () => {
+      document.body.removeChild(overlay);
+      if (changed) {
+        const main = document.querySelector('.content-area');
+        main.innerHTML = '<div>Loading...</div>';
+        loadTable(main, object, sourceId);
+      }
+    };
+
+    let sources = [];
+    function fillTables() {
+      const source = sources.find(s => s.id === sourceSelect.value);
+      tableSelect.innerHTML = '';
+      (source ? source.tables : []).forEach(t => {
+        if (source.id === sourceId && t.name === object) return;
+        const opt = document.createElement('option');
+        opt.value = t.name;
+        opt.textContent = t.title || t.name;
+        tableSelect.appendChild(opt);
+      });
+      // Suggest the likely counterpart: persons <-> newPersons
+      const names = Array.from(tableSelect.options).map(o => o.value.toLowerCase());
+      const guess = names.indexOf('new' + object.toLowerCase()) >= 0
+        ? 'new' + object.toLowerCase()
+        : object.toLowerCase().replace(/^new/, '');
+      const match = Array.from(tableSelect.options).find(o => o.value.toLowerCase() === guess);
+      if (match) tableSelect.value = match.value;
+    }
+    sourceSelect.onchange = fillTables;
+
+    fetchWithAuth('/api/v1/sources')
+      .then(r => r.json().then(json => { if (!r.ok) throw new Error((json.error && json.error.message) || 'Failed'); return json; }))
+      .then(json => {
+        sources = json.data;
+        sources.forEach(source => {
+          const opt = document.createElement('option');
+          opt.value = source.id;
+          opt.textContent = source.name;
+          sourceSelect.appendChild(opt);
+        });
+        sourceSelect.value = sourceId;
+        fillTables();
+      })
+      .catch(e => { resultDiv.innerHTML = `<div class="error">Failed to load sources: ${escapeHtml(e.message)}</div>`; });
+
+    function request() {
+      return {
+        left: { source: sourceId, table: object },
+        right: { source: sourceSelect.value, table: tableSelect.value },
+        key: keyInput.value.trim() || 'id'
+      };
+    }
+
+    async function post(url, payload) {
+      const res = await fetchWithAuth(url, { method: 'POST', body: JSON.stringify(payload) });
+      const json = await res.json();
+      if (!res.ok) throw new Error((json.error && json.error.message) || 'Request failed');
+      return json.data;
+    }
+
+    const MAX_SHOWN_ROWS = 1000;
+
+    function cellValue(value) {
+      return value === null || value === undefined ? '' : String(value);
+    }
+
+    function renderDiff(diff, note) {
+      resultDiv.innerHTML = '';
+      const s = diff.summary;
+      const info = document.createElement('div');
+      info.className = 'info';
+      info.innerHTML = (note ? escapeHtml(note) + '<br>' : '') +
+        `<strong>${s.added}</strong> only in ${escapeHtml(diff.right.table)}, <strong>${s.removed}</strong> only in ${escapeHtml(diff.left.table)},
+        <strong>${s.changed}</strong> changed, ${s.unchanged} the same (matched on ${escapeHtml(diff.key.left)}).`;
+      if (diff.leftOnlyFields.length || diff.rightOnlyFields.length) {
+        info.innerHTML += '<br>Not compared: ' + diff.leftOnlyFields.concat(diff.rightOnlyFields).map(escapeHtml).join(', ');
+      }
+      resultDiv.appendChild(info);
+
+      if (diff.problems.length) {
+        const problems = document.createElement('div');
+        problems.className = 'import-job-errors';
+        problems.innerHTML = diff.problems.slice(0, 200)
+          .map(p => escapeHtml((p.side === 'left' ? diff.left.table : diff.right.table) + ': ' + p.error)).join('<br>');
+        resultDiv.appendChild(problems);
+      }
+      if (diff.rows.length === 0) return;
+
+      const selected = new Set();
+      const table = document.createElement('table');
+      table.className = 'table diff-table';
+      const thead = document.createElement('thead');
+      const hr = document.createElement('tr');
+      const allTh = document.createElement('th');
+      const allBox = document.createElement('input');
+      allBox.type = 'checkbox';
+      allBox.title = 'Select all';
+      allTh.appendChild(allBox);
+      hr.appendChild(allTh);
+      ['', diff.key.left].concat(diff.fields.map(f => f.left)).forEach(name => {
+        const th = document.createElement('th');
+        th.textContent = name;
+        hr.appendChild(th);
+      });
+      thead.appendChild(hr);
+      table.appendChild(thead);
+
+      const labels = { added: 'Only in ' + diff.right.table, removed: 'Only in ' + diff.left.table, changed: 'Changed' };
+      const boxes = [];
+      const tbody = document.createElement('tbody');
+      diff.rows.slice(0, MAX_SHOWN_ROWS).forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = 'diff-' + row.status;
+        const tdBox = document.createElement('td');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.onchange = () => { if (box.checked) selected.add(row.key); else selected.delete(row.key); };
+        boxes.push({ box, key: row.key });
+        tdBox.appendChild(box);
+        tr.appendChild(tdBox);
+
+        const tdStatus = document.createElement('td');
+        tdStatus.textContent = labels[row.status];
+        tr.appendChild(tdStatus);
+        const tdKey = document.createElement('td');
+        tdKey.textContent = row.key;
+        tr.appendChild(tdKey);
+
+        diff.fields.forEach(f => {
+          const td = document.createElement('td');
+          if (row.status === 'changed' && row.changed.includes(f.left)) {
+            td.className = 'diff-field';
+            const before = document.createElement('del');
+            before.textContent = cellValue(row.left[f.left]);
+            const after = document.createElement('ins');
+            after.textContent = cellValue(row.right[f.right]);
+            td.appendChild(before);
+            td.appendChild(document.createTextNode(' '));
+            td.appendChild(after);
+          } else {
+            td.textContent = row.left ? cellValue(row.left[f.left]) : cellValue(row.right[f.right]);
+          }
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+      allBox.onchange = () => {
+        boxes.forEach(({ box, key }) => {
+          box.checked = allBox.checked;
+          if (allBox.checked) selected.add(key); else selected.delete(key);
+        });
+      };
+      resultDiv.appendChild(table);
+      if (diff.rows.length > MAX_SHOWN_ROWS) {
+        const more = document.createElement('p');
+        more.textContent = `Showing the first ${MAX_SHOWN_ROWS} of ${diff.rows.length} differences.`;
+        resultDiv.appendChild(more);
+      }
+
+      async function apply(direction) {
+        if (selected.size === 0) {
+          alert('Select the differences to apply');
+          return;
+        }
+        const target = direction === 'leftToRight' ? diff.right.table : diff.left.table;
+        if (!confirm(`Change ${selected.size} rows in ${target} to match the other table?`)) return;
+        try {
+          const result = await post('/api/v1/diff/apply', { ...request(), keys: Array.from(selected), direction });
+          if (direction === 'rightToLeft') changed = true;
+          let note = `Applied to ${target}: ${result.inserted} inserted, ${result.updated} updated, ${result.deleted} deleted.`;
+          if (result.failed) note += ` ${result.failed} failed: ` + result.errors.slice(0, 5).map(e => e.key + ' ' + e.error).join('; ');
+          await compare(note);
+        } catch (err) {
+          alert('Apply failed: ' + err.message);
+        }
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+      const toRightBtn = document.createElement('button');
+      toRightBtn.className = 'btn btn-success';
+      toRightBtn.textContent = 'Apply selected to ' + diff.right.table;
+      toRightBtn.onclick = () => apply('leftToRight');
+      const toLeftBtn = document.createElement('button');
+      toLeftBtn.className = 'btn btn-info';
+      toLeftBtn.textContent = 'Apply selected to ' + diff.left.table;
+      toLeftBtn.onclick = () => apply('rightToLeft');
+      actions.appendChild(toRightBtn);
+      actions.appendChild(toLeftBtn);
+      resultDiv.appendChild(actions);
+    }
+
+    async function compare(note) {
+      if (!tableSelect.value) {
+        alert('Choose a table to compare with');
+        return;
+      }
+      compareBtn.disabled = true;
+      if (!note) resultDiv.innerHTML = '<div class="info">Comparing...</div>';
+      try {
+        renderDiff(await post('/api/v1/diff', request()), note);
+      } catch (err) {
+        resultDiv.innerHTML = `<div class="error">Compare failed: ${escapeHtml(err.message)}</div>`;
+      }
+      compareBtn.disabled = false;
+    }
+    compareBtn.onclick = () => compare();
+  }
+
   function openAddModal(object, sourceId) {
-    fetchWithAuth('/objectdata?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId))
+    fetchWithAuth('/objectdata?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId) + '&pageSize=1')
       .then(r => r.json())
       .then(data => {
         const headings = data.headings || [];
-        const emptyRow = headings.map(() => '');
+        const emptyRow = headings.map(h => h.default != null ? h.default : '');
         showModal({ mode: 'add', object, sourceId, headings, row: emptyRow, idValue: null });
       })
       .catch(e => { console.error(e); alert('Failed to load'); });
@@ -433,6 +1924,7 @@
     body.className = 'modal-body';
 
     const inputs = [];
+    const fieldErrors = {};
     for (let i = 0; i < headings.length; i++) {
       const h = headings[i];
       const fieldName = h.name || ('Col ' + i);
@@ -447,6 +1939,12 @@
       const label = document.createElement('div');
       label.className = 'modal-label';
       label.textContent = fieldName;
+      if (h.required && !readonly && (mode === 'edit' || mode === 'add')) {
+        const marker = document.createElement('span');
+        marker.className = 'required-marker';
+        marker.textContent = ' *';
+        label.appendChild(marker);
+      }
 
       const input_wrap = document.createElement('div');
       input_wrap.className = 'modal-input';
@@ -480,6 +1978,26 @@
             console.error('Failed to load lookup:', err);
           }
 
+          select.required = !!h.required;
+          input_wrap.appendChild(select);
+          inputs.push(select);
+        } else if (fieldType === 'enum') {
+          const select = document.createElement('select');
+          select.className = 'form-control';
+          const emptyOpt = document.createElement('option');
+          emptyOpt.value = '';
+          emptyOpt.textContent = '-- Select --';
+          select.appendChild(emptyOpt);
+
+          (h.options || []).forEach(optVal => {
+            const opt = document.createElement('option');
+            opt.value = optVal;
+            opt.textContent = optVal;
+            if (optVal === val) opt.selected = true;
+            select.appendChild(opt);
+          });
+
+          select.required = !!h.required;
           input_wrap.appendChild(select);
           inputs.push(select);
         } else {
@@ -503,11 +2021,23 @@
             inp.checked = val === 'true' || val === true || val === '1';
           } else {
             inp.type = 'text';
+            if (h.pattern) inp.pattern = h.pattern;
           }
+
+          if (fieldType === 'integer' || fieldType === 'number') {
+            if (h.min != null) inp.min = h.min;
+            if (h.max != null) inp.max = h.max;
+          }
+          if (fieldType !== 'boolean') inp.required = !!h.required;
           
           input_wrap.appendChild(inp);
           inputs.push(inp);
         }
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'field-error';
+        input_wrap.appendChild(errorDiv);
+        fieldErrors[fieldName] = errorDiv;
       } else {
         const val_div = document.createElement('div');
         val_div.textContent = val;
@@ -527,6 +2057,12 @@
       submitBtn.className = 'btn btn-success';
       submitBtn.textContent = mode === 'edit' ? 'Save' : 'Add';
       submitBtn.onclick = async () => {
+        const invalid = inputs.find(input => input.checkValidity && !input.checkValidity());
+        if (invalid) {
+          invalid.reportValidity();
+          return;
+        }
+
         const newRow = {};
         headings.forEach((h, i) => {
           const input = inputs[i];
@@ -536,6 +2072,7 @@
             newRow[h.name] = input.value;
           }
         });
+        Object.values(fieldErrors).forEach(el => { el.textContent = ''; });
         const endpoint = mode === 'edit' ? '/saveobject' : '/addobject';
         const payload = mode === 'edit' 
           ? { object, source: sourceId, id: idValue, row: newRow } 
@@ -543,16 +2080,31 @@
         try {
           const res = await fetchWithAuth(endpoint, { method: 'POST', body: JSON.stringify(payload) });
           const json = await res.json();
+          if (res.status === 422 && json.fields) {
+            showFieldErrors(json.fields);
+            return;
+          }
           if (!res.ok) throw new Error(json.error || 'Failed');
           const main = document.querySelector('.content-area');
           main.innerHTML = '<div>Loading...</div>';
-          fetchWithAuth('/objectdata?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId))
-            .then(r => r.json())
-            .then(d => renderTableUI(main, d, sourceId));
+          loadTable(main, object, sourceId);
           document.body.removeChild(overlay);
         } catch (err) { alert('Operation failed: ' + err.message); }
       };
       actions.appendChild(submitBtn);
+
+      // Show server validation messages under the matching inputs
+      const showFieldErrors = (errors) => {
+        const unmatched = [];
+        Object.keys(errors).forEach(name => {
+          if (fieldErrors[name]) {
+            fieldErrors[name].textContent = errors[name];
+          } else {
+            unmatched.push(errors[name]);
+          }
+        });
+        if (unmatched.length > 0) alert(unmatched.join('\n'));
+      };
     }
 
     if (mode === 'delete') {
@@ -569,9 +2121,7 @@
           if (!res.ok) throw new Error(json.error || 'Failed');
           const main = document.querySelector('.content-area');
           main.innerHTML = '<div>Loading...</div>';
-          fetchWithAuth('/objectdata?object=' + encodeURIComponent(object) + '&source=' + encodeURIComponent(sourceId))
-            .then(r => r.json())
-            .then(d => renderTableUI(main, d, sourceId));
+          loadTable(main, object, sourceId);
           document.body.removeChild(overlay);
         } catch (err) { alert('Delete failed: ' + err.message); }
       };
@@ -633,7 +2183,7 @@
                     <li>Click "Add" to create new records</li>
                     <li>Click "Edit" to modify existing records</li>
                     <li>Click "Delete" to remove records</li>
-                    <li>Click "Import CSV" to bulk import data</li>
+                    <li>Click "Import" to bulk import data</li>
                   </ul>
                 </div>
                 
@@ -642,7 +2192,7 @@
                   <ul class="feature-list">
                     <li><strong>Multi-Source Support:</strong> Access data from multiple sources</li>
                     <li><strong>CRUD Operations:</strong> Create, Read, Update, and Delete records</li>
-                    <li><strong>CSV Import:</strong> Bulk import data from CSV files</li>
+                    <li><strong>File Import:</strong> Bulk import data from CSV, TSV, JSON and Excel files</li>
                     <li><strong>Search & Filter:</strong> Quickly find the data you need</li>
                     <li><strong>Pagination:</strong> Navigate through large datasets easily</li>
                     <li><strong>Responsive Design:</strong> Works on desktop, tablet, and mobile</li>
@@ -661,9 +2211,7 @@
           }
           const main = document.querySelector('.content-area');
           main.innerHTML = '<div>Loading...</div>';
-          fetchWithAuth('/objectdata?object=' + encodeURIComponent(obj) + '&source=' + encodeURIComponent(sourceId))
-            .then(r => r.json())
-            .then(d => renderTableUI(main, d, sourceId));
+          loadTable(main, obj, sourceId);
         }
         
         if (window.innerWidth <= 768) {
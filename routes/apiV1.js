@@ -0,0 +1,331 @@
+// routes/apiV1.js - Versioned, resource-style REST API
+//
+//   GET    /api/v1/sources
+//   GET    /api/v1/sources/:source/tables/:table/schema
+//   GET    /api/v1/sources/:source/tables/:table/rows       q, filter[field], sort, page, pageSize
+//   POST   /api/v1/sources/:source/tables/:table/rows
+//   GET    /api/v1/sources/:source/tables/:table/rows/:id
+//   PUT    /api/v1/sources/:source/tables/:table/rows/:id   replaces every writable field
+//   PATCH  /api/v1/sources/:source/tables/:table/rows/:id   changes only the fields given
+//   DELETE /api/v1/sources/:source/tables/:table/rows/:id
+//   POST   /api/v1/diff         { left, right, key } compares two tables
+//   POST   /api/v1/diff/apply   { left, right, key, keys, direction }
+//
+// Rows are JSON objects keyed by field name, with integer, number and
+// boolean fields as JSON numbers and booleans (null when empty), matching
+// the document at /api/openapi.json. Successful responses are
+// { data, meta? }; every error is { error: { code, message, details? } }.
+// Authenticate with the session id from POST /login, either in the
+// x-session-id header or as "Authorization: Bearer <sessionId>".
+const express = require('express');
+const { QueryError, parseQueryOptions, applyQuery } = require('../dataProviders/queryOptions');
+const { DiffError } = require('../dataProviders/tableDiff');
+const { recordFromRow } = require('../dataProviders/rowRecords');
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Map provider errors onto status codes; providers wrap the underlying
+// message ("Failed to fetch row: Row not found"), so match on the message
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof QueryError) return new ApiError(400, 'invalid_query', err.message);
+  if (err instanceof DiffError) return new ApiError(400, 'invalid_diff', err.message);
+  if (err.type === 'entity.parse.failed') return new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+
+  const message = err.message || 'Internal error';
+  if (/Data source not found/.test(message)) return new ApiError(404, 'source_not_found', message);
+  if (/Table not found/.test(message)) return new ApiError(404, 'table_not_found', 'Table not found');
+  if (/Row not found/.test(message)) return new ApiError(404, 'row_not_found', 'Row not found');
+  if (/not supported by this source/.test(message)) return new ApiError(400, 'not_supported', message);
+  return new ApiError(500, 'internal_error', message);
+}
+
+function sendError(res, err) {
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) {
+    console.error('API error:', err);
+  }
+  const body = { error: { code: apiError.code, message: apiError.message } };
+  if (apiError.details) body.error.details = apiError.details;
+  res.status(apiError.status).json(body);
+}
+
+// Express error handler for the /api/v1 mount (e.g. malformed JSON bodies)
+function handleApiError(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+}
+
+function toJsonValue(field, value) {
+  if (value === undefined || value === null) return null;
+
+  switch (field.type) {
+    case 'integer':
+    case 'number': {
+      if (value === '') return null;
+      const number = Number(value);
+      return isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      if (value === '') return null;
+      return value === true || value === 1 || value === 'true' || value === '1';
+    default:
+      return value;
+  }
+}
+
+// Providers take form-style string values; turn JSON numbers, booleans
+// and nulls into that shape
+function toProviderRow(body) {
+  const row = {};
+  Object.keys(body).forEach(name => {
+    const value = body[name];
+    row[name] = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  return row;
+}
+
+// Row array -> object keyed by heading name, with JSON typed values
+function toRecord(headings, row) {
+  return recordFromRow(headings, row, toJsonValue);
+}
+
+function requireObjectBody(req) {
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_body', 'Request body must be a JSON object of field values');
+  }
+  return toProviderRow(body);
+}
+
+function createApiV1Router({ dataProvider, rowValidator, getSessionUser }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const user = getSessionUser(req);
+    if (!user) {
+      return sendError(res, new ApiError(401, 'unauthorized', 'Authentication required'));
+    }
+    req.user = user;
+    next();
+  });
+
+  const handle = handler => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  async function assertTableExists(sourceId, tableName) {
+    const provider = dataProvider.getProvider(sourceId);
+    const tables = await provider.getAvailableTables();
+    if (!tables.some(t => t.name === tableName)) {
+      throw new ApiError(404, 'table_not_found', `Table not found: ${tableName}`);
+    }
+  }
+
+  async function getSchema(req) {
+    const { source, table } = req.params;
+    await assertTableExists(source, table);
+    const result = await dataProvider.getTableData(source, table, req.user.id, parseQueryOptions({ pageSize: '1' }));
+    return { title: result.title, headings: result.headings || [] };
+  }
+
+  async function getRecord(req, headings) {
+    const { source, table, id } = req.params;
+    const result = await dataProvider.getRowById(source, table, id, req.user.id);
+    if (!result || !result.row) {
+      throw new ApiError(404, 'row_not_found', 'Row not found');
+    }
+    return toRecord(headings || result.headings, result.row);
+  }
+
+  // Reject unknown fields, then run the same checks as the form routes
+  async function validate(req, headings, row, partial) {
+    const names = headings.map(h => h.name);
+    const errors = {};
+    Object.keys(row).forEach(name => {
+      if (name !== 'id' && !names.includes(name)) errors[name] = `Unknown field: ${name}`;
+    });
+
+    const validation = await rowValidator.validateRow(req.params.source, req.params.table, row, req.user.id, {
+      headings,
+      partial
+    });
+    Object.assign(errors, validation.errors);
+
+    if (Object.keys(errors).length > 0) {
+      throw new ApiError(422, 'validation_failed', 'Validation failed', { fields: errors });
+    }
+  }
+
+  function rowUrl(req, id) {
+    const { source, table } = req.params;
+    return `${req.baseUrl}/sources/${encodeURIComponent(source)}/tables/${encodeURIComponent(table)}/rows/${encodeURIComponent(id)}`;
+  }
+
+  router.get('/sources', handle(async (req, res) => {
+    const grouped = await dataProvider.getAvailableTablesGroupedBySource();
+    res.json({
+      data: grouped.map(source => ({
+        id: source.sourceId,
+        name: source.sourceName,
+        type: source.sourceType,
+        tables: source.tables.map(t => ({ name: t.name, title: t.title })),
+        ...(source.error ? { error: source.error } : {})
+      }))
+    });
+  }));
+
+  router.get('/sources/:source/tables/:table/schema', handle(async (req, res) => {
+    const { source, table } = req.params;
+    const schema = await getSchema(req);
+    res.json({
+      data: {
+        source,
+        table,
+        title: schema.title,
+        fields: schema.headings
+      }
+    });
+  }));
+
+  router.get('/sources/:source/tables/:table/rows', handle(async (req, res) => {
+    const { source, table } = req.params;
+    await assertTableExists(source, table);
+
+    // Always paged, so clients get the same shape whatever the source supports
+    const options = parseQueryOptions({ page: '1', ...req.query });
+    const result = await dataProvider.getTableData(source, table, req.user.id, options);
+    const headings = result.headings || [];
+    let rows = result.rows || [];
+    let total = result.total;
+
+    if (total === undefined) {
+      const paged = applyQuery(headings, rows, options);
+      rows = paged.rows;
+      total = paged.total;
+    }
+
+    res.json({
+      data: rows.map(row => toRecord(headings, row)),
+      meta: { total, page: options.page, pageSize: options.pageSize }
+    });
+  }));
+
+  router.post('/sources/:source/tables/:table/rows', handle(async (req, res) => {
+    const { source, table } = req.params;
+    const body = requireObjectBody(req);
+    const { headings } = await getSchema(req);
+    await validate(req, headings, body, false);
+
+    const result = await dataProvider.insertRow(source, table, body, req.user.id);
+    if (result && result.id !== undefined && result.id !== null) {
+      req.params.id = String(result.id);
+      res.status(201).location(rowUrl(req, result.id)).json({ data: await getRecord(req, headings) });
+    } else {
+      // The source did not report the new id, so the row cannot be read back
+      res.status(201).json({ data: null });
+    }
+  }));
+
+  router.get('/sources/:source/tables/:table/rows/:id', handle(async (req, res) => {
+    await assertTableExists(req.params.source, req.params.table);
+    res.json({ data: await getRecord(req) });
+  }));
+
+  router.put('/sources/:source/tables/:table/rows/:id', handle(async (req, res) => {
+    const { source, table, id } = req.params;
+    const body = requireObjectBody(req);
+    const { headings } = await getSchema(req);
+    await getRecord(req, headings);
+
+    const row = {};
+    headings.forEach(h => {
+      if (!h.readonly) row[h.name] = body[h.name] !== undefined ? body[h.name] : '';
+    });
+    Object.keys(body).forEach(name => {
+      if (!(name in row) && name !== 'id') row[name] = body[name];
+    });
+    await validate(req, headings, row, false);
+
+    await dataProvider.updateRow(source, table, id, row, req.user.id);
+    res.json({ data: await getRecord(req, headings) });
+  }));
+
+  router.patch('/sources/:source/tables/:table/rows/:id', handle(async (req, res) => {
+    const { source, table, id } = req.params;
+    const body = requireObjectBody(req);
+    const { headings } = await getSchema(req);
+    const existing = toProviderRow(await getRecord(req, headings));
+    await validate(req, headings, body, true);
+
+    await dataProvider.updateRow(source, table, id, { ...existing, ...body }, req.user.id);
+    res.json({ data: await getRecord(req, headings) });
+  }));
+
+  router.delete('/sources/:source/tables/:table/rows/:id', handle(async (req, res) => {
+    const { source, table, id } = req.params;
+    await assertTableExists(source, table);
+    await getRecord(req);
+
+    await dataProvider.deleteRow(source, table, id, req.user.id);
+    res.status(204).end();
+  }));
+
+  // Both sides are { source, table }; rows are reported with the values
+  // as stored, so scripts can compare them exactly
+  function diffSides(req) {
+    const { left, right, key } = req.body || {};
+    const isSide = side => side && typeof side === 'object' && side.source && side.table;
+    if (!isSide(left) || !isSide(right)) {
+      throw new ApiError(400, 'invalid_body', 'left and right must each be { source, table }');
+    }
+    return {
+      left: { source: String(left.source), table: String(left.table) },
+      right: { source: String(right.source), table: String(right.table) },
+      key: key ? String(key) : 'id'
+    };
+  }
+
+  router.post('/diff', handle(async (req, res) => {
+    const { left, right, key } = diffSides(req);
+    await assertTableExists(left.source, left.table);
+    await assertTableExists(right.source, right.table);
+    res.json({ data: await dataProvider.diffTables(left, right, req.user.id, { key }) });
+  }));
+
+  router.post('/diff/apply', handle(async (req, res) => {
+    const { left, right, key } = diffSides(req);
+    const { keys, direction } = req.body;
+    if (!Array.isArray(keys)) {
+      throw new ApiError(400, 'invalid_body', 'keys must be an array of key values');
+    }
+    await assertTableExists(left.source, left.table);
+    await assertTableExists(right.source, right.table);
+    res.json({ data: await dataProvider.applyDiff(left, right, req.user.id, { key, keys, direction }) });
+  }));
+
+  router.use((req, res) => {
+    sendError(res, new ApiError(404, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+  });
+
+  return router;
+}
+
+module.exports = {
+  ApiError,
+  createApiV1Router,
+  handleApiError,
+  toRecord
+};
\ No newline at end of file
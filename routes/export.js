@@ -0,0 +1,168 @@
+// routes/export.js - Download a table as CSV, JSON or XLSX
+//
+//   GET /export?object=cities&source=source2&format=csv
+//
+// format is csv (default), json or xlsx. The same q, filter[field] and sort
+// parameters as /objectdata narrow the export to the current search result;
+// paging parameters are ignored and every matching row is written. Column
+// headers are the table's headings and lu fields are written as the value
+// shown in the app rather than a stored id. Rows are streamed as they are
+// read, so large tables are never held in memory whole; lookup tables are
+// streamed too and only their id -> shown value pairs are kept.
+const express = require('express');
+const ExcelJS = require('exceljs');
+const { formatCSVRow } = require('../dataProviders/csv');
+const { QueryError, parseQueryOptions } = require('../dataProviders/queryOptions');
+const { toRecord } = require('./apiV1');
+const { idOffset } = require('../dataProviders/rowRecords');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Lookup values are matched the way they are stored: the referenced row's
+// first field after the id, or failing that its id (Supabase foreign keys)
+async function createLookupResolver(dataProvider, sourceId, headings, userId) {
+  const maps = {};
+  for (const field of headings) {
+    if (field.type !== 'lu' || !field.luFile || maps[field.luFile] !== undefined) continue;
+    try {
+      const byDisplay = new Set();
+      const byId = new Map();
+      for await (const batch of dataProvider.streamTableData(sourceId, field.luFile, userId)) {
+        batch.rows.forEach(row => {
+          if (row[1] !== undefined && row[1] !== null) byDisplay.add(String(row[1]));
+          byId.set(String(row[0]), row[1]);
+        });
+      }
+      maps[field.luFile] = { byDisplay, byId };
+    } catch (error) {
+      console.warn(`Export: lookup table ${field.luFile} could not be loaded, writing stored values:`, error.message);
+      maps[field.luFile] = null;
+    }
+  }
+
+  return record => {
+    headings.forEach(field => {
+      const map = field.type === 'lu' ? maps[field.luFile] : null;
+      const value = record[field.name];
+      if (!map || value === null || value === undefined || value === '') return;
+      if (!map.byDisplay.has(String(value)) && map.byId.has(String(value))) {
+        record[field.name] = map.byId.get(String(value));
+      }
+    });
+    return record;
+  };
+}
+
+function exportFileName(object, extension) {
+  const base = String(object).replace(/\.(csv|tsv)$/i, '').replace(/[^\w.-]+/g, '_') || 'export';
+  return `${base}.${extension}`;
+}
+
+// Resolves once the response is ready for more, so a slow client slows
+// down the read instead of filling memory
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+function createExportRouter({ dataProvider, requireAuth }) {
+  const router = express.Router();
+
+  router.get('/', requireAuth, async (req, res) => {
+    const { object, source } = req.query;
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!object) return res.status(400).json({ error: 'invalid object' });
+    if (!source) return res.status(400).json({ error: 'invalid source' });
+    if (!FORMATS[format]) return res.status(400).json({ error: `Unknown export format: ${format}` });
+
+    let batches;
+    let first;
+    try {
+      const tables = await dataProvider.getProvider(source).getAvailableTables();
+      if (!tables.some(t => t.name === object)) {
+        return res.status(404).json({ error: `Table not found: ${object}` });
+      }
+      const { page, pageSize, ...query } = req.query;
+      batches = dataProvider.streamTableData(source, object, req.user.id, parseQueryOptions(query));
+      first = await batches.next();
+    } catch (err) {
+      if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+      if (/Data source not found/.test(err.message)) return res.status(404).json({ error: err.message });
+      console.error('Error exporting:', err);
+      return res.status(500).json({ error: err.message });
+    }
+
+    const headings = first.done ? [] : first.value.headings;
+    const resolveLookups = await createLookupResolver(dataProvider, source, headings, req.user.id);
+    // Tables whose headings omit the id still export it as the first column
+    const firstRow = first.done ? null : first.value.rows[0];
+    const columns = (idOffset(headings, firstRow) ? ['id'] : [])
+      .concat(headings.map(h => h.name));
+
+    const { contentType, extension } = FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(object, extension)}"`);
+
+    try {
+      let workbook;
+      let worksheet;
+      let count = 0;
+
+      if (format === 'csv') {
+        // The byte order mark lets Excel open the file as UTF-8
+        await write(res, '\ufeff' + formatCSVRow(columns) + '\r\n');
+      } else if (format === 'json') {
+        await write(res, '[');
+      } else {
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        worksheet = workbook.addWorksheet(String(object).slice(0, 31));
+        const header = worksheet.addRow(columns);
+        header.font = { bold: true };
+        header.commit();
+      }
+
+      for (let batch = first; !batch.done; batch = await batches.next()) {
+        // Stop reading once the client has gone away
+        if (res.destroyed) {
+          await batches.return();
+          return;
+        }
+        for (const row of batch.value.rows) {
+          const record = resolveLookups(toRecord(headings, row));
+          if (format === 'csv') {
+            await write(res, formatCSVRow(columns.map(name => record[name])) + '\r\n');
+          } else if (format === 'json') {
+            await write(res, (count > 0 ? ',\n' : '\n') + JSON.stringify(record));
+          } else {
+            worksheet.addRow(columns.map(name => record[name] === null || record[name] === undefined ? '' : record[name])).commit();
+          }
+          count++;
+        }
+      }
+
+      if (format === 'xlsx') {
+        worksheet.commit();
+        await workbook.commit();
+      } else {
+        res.end(format === 'json' ? (count > 0 ? '\n]\n' : ']\n') : '');
+      }
+    } catch (err) {
+      // Headers are already out, so all that can be done is cut the download short
+      console.error('Error exporting:', err);
+      res.destroy(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createExportRouter
+};
\ No newline at end of file
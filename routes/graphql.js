@@ -0,0 +1,523 @@
+// routes/graphql.js - GraphQL endpoint over every configured data source
+//
+// The schema is built at runtime from getAvailableTablesGroupedBySource()
+// and each table's headings, then cached until invalidateSchema() is called
+// (the sitemap refresh routes do this when they clear provider caches).
+//
+// For a table "cities" there is a type Cities, and:
+//   query    cities(q, filter, sort, page, pageSize): CitiesPage!
+//            citiesById(id: ID!): Cities
+//   mutation insertCities(input: CitiesInput!): Cities
+//            updateCities(id: ID!, input: CitiesInput!): Cities   (only the fields given)
+//            deleteCities(id: ID!): Boolean!
+//
+// lu fields resolve to the referenced table's type, matched the way lookup
+// values are stored (the first field after the id, falling back to the id);
+// the stored value itself is available as <field>Value. Field names that are
+// not valid GraphQL names ("First name") have other characters replaced by _.
+// Tables whose name exists in more than one source are prefixed with the
+// source id (Source2Cities, source2Cities, ...).
+const express = require('express');
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLID,
+  GraphQLError,
+  parse,
+  validate,
+  execute,
+  getOperationAST
+} = require('graphql');
+const { parseQueryOptions, applyQuery } = require('../dataProviders/queryOptions');
+const { toRecord } = require('./apiV1');
+
+const RESERVED_TYPE_NAMES = ['Query', 'Mutation', 'Source', 'Filter', 'FilterOp', 'String', 'Int', 'Float', 'Boolean', 'ID'];
+
+function pascalCase(name) {
+  const words = String(name).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  let result = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  if (!result || /^[0-9]/.test(result)) result = 'T' + result;
+  return result;
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function graphqlFieldName(name) {
+  let result = String(name).replace(/[^_0-9A-Za-z]/g, '_');
+  if (!result || /^[0-9]/.test(result)) result = '_' + result;
+  if (result.startsWith('__')) result = result.replace(/^_+/, '_');
+  return result;
+}
+
+function scalarType(field) {
+  if (field.name === 'id' && field.readonly) return GraphQLID;
+  switch (field.type) {
+    case 'integer': return GraphQLInt;
+    case 'number': return GraphQLFloat;
+    case 'boolean': return GraphQLBoolean;
+    default: return GraphQLString;
+  }
+}
+
+function inputScalarType(field) {
+  switch (field.type) {
+    case 'integer': return GraphQLInt;
+    case 'number': return GraphQLFloat;
+    case 'boolean': return GraphQLBoolean;
+    default: return GraphQLString;
+  }
+}
+
+function toGraphQLError(err) {
+  if (err instanceof GraphQLError) return err;
+  if (/Row not found/.test(err.message)) {
+    return new GraphQLError('Row not found', { extensions: { code: 'NOT_FOUND' } });
+  }
+  return new GraphQLError(err.message, { originalError: err });
+}
+
+// Per-request cache of whole tables, used to resolve lookups without
+// reloading the referenced table for every row
+function createLoaders(dataProvider, userId) {
+  const tables = new Map();
+
+  return {
+    loadTable(sourceId, tableName) {
+      const key = `${sourceId}/${tableName}`;
+      if (!tables.has(key)) {
+        tables.set(key, dataProvider.getTableData(sourceId, tableName, userId).then(result => {
+          const byDisplay = new Map();
+          const byId = new Map();
+          (result.rows || []).forEach(row => {
+            if (row[1] !== undefined && !byDisplay.has(String(row[1]))) byDisplay.set(String(row[1]), row);
+            byId.set(String(row[0]), row);
+          });
+          return { headings: result.headings || [], byDisplay, byId };
+        }));
+      }
+      return tables.get(key);
+    }
+  };
+}
+
+/**
+ * Build the GraphQL schema for every table the providers expose
+ * @returns {Promise<GraphQLSchema>}
+ */
+async function buildGraphQLSchema({ dataProvider, rowValidator, userId }) {
+  const grouped = await dataProvider.getAvailableTablesGroupedBySource();
+
+  // Load headings first so lookups can refer to any table's type
+  const tables = [];
+  const nameCounts = {};
+  for (const source of grouped) {
+    for (const table of source.tables) {
+      try {
+        const result = await dataProvider.getTableData(source.sourceId, table.name, userId, parseQueryOptions({ pageSize: '1' }));
+        tables.push({ sourceId: source.sourceId, name: table.name, title: table.title, headings: result.headings || [] });
+        nameCounts[table.name] = (nameCounts[table.name] || 0) + 1;
+      } catch (error) {
+        console.warn(`Skipping ${source.sourceId}/${table.name} in GraphQL schema:`, error.message);
+      }
+    }
+  }
+
+  const usedTypeNames = new Set(RESERVED_TYPE_NAMES);
+  tables.forEach(table => {
+    let typeName = pascalCase(nameCounts[table.name] > 1 ? `${table.sourceId} ${table.name}` : table.name);
+    while (usedTypeNames.has(typeName) || usedTypeNames.has(`${typeName}Page`) || usedTypeNames.has(`${typeName}Input`)) {
+      typeName += 'Row';
+    }
+    usedTypeNames.add(typeName);
+    usedTypeNames.add(`${typeName}Page`);
+    usedTypeNames.add(`${typeName}Input`);
+    table.typeName = typeName;
+    table.fieldName = lowerFirst(typeName);
+
+    // GraphQL field name -> heading name
+    table.fieldMap = {};
+    table.headings.forEach(h => {
+      let name = graphqlFieldName(h.name);
+      while (table.fieldMap[name] !== undefined) name += '_';
+      table.fieldMap[name] = h.name;
+    });
+    if (!table.headings.some(h => h.name === 'id') && table.fieldMap.id === undefined) {
+      table.fieldMap.id = 'id';
+    }
+  });
+
+  const findTable = (sourceId, tableName) => tables.find(t => t.sourceId === sourceId && t.name === tableName);
+
+  const FilterOp = new GraphQLEnumType({
+    name: 'FilterOp',
+    values: { eq: {}, ne: {}, gt: {}, gte: {}, lt: {}, lte: {}, like: {}, in: {} }
+  });
+
+  const Filter = new GraphQLInputObjectType({
+    name: 'Filter',
+    fields: {
+      field: { type: new GraphQLNonNull(GraphQLString), description: 'Field name, as in the type or the original heading' },
+      op: { type: FilterOp, defaultValue: 'eq' },
+      value: { type: new GraphQLNonNull(GraphQLString), description: 'Comma separated list for op: in' }
+    }
+  });
+
+  const Source = new GraphQLObjectType({
+    name: 'Source',
+    fields: {
+      id: { type: new GraphQLNonNull(GraphQLID) },
+      name: { type: GraphQLString },
+      type: { type: GraphQLString },
+      tables: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))) }
+    }
+  });
+
+  const objectTypes = new Map();
+
+  tables.forEach(table => {
+    const headingByName = {};
+    table.headings.forEach(h => { headingByName[h.name] = h; });
+
+    const objectType = new GraphQLObjectType({
+      name: table.typeName,
+      description: `${table.title || table.name} (${table.sourceId})`,
+      fields: () => {
+        const fields = {};
+        Object.entries(table.fieldMap).forEach(([gqlName, headingName]) => {
+          const heading = headingByName[headingName] || { name: 'id', type: 'text', readonly: true };
+          const target = heading.type === 'lu' && heading.luFile ? findTable(table.sourceId, heading.luFile) : null;
+
+          if (target) {
+            fields[gqlName] = {
+              type: objectTypes.get(target),
+              description: `Looked up in ${heading.luFile}`,
+              resolve: async (record, args, context) => {
+                const value = record[headingName];
+                if (value === null || value === undefined || value === '') return null;
+                const loaded = await context.loaders.loadTable(target.sourceId, target.name);
+                const row = loaded.byDisplay.get(String(value)) || loaded.byId.get(String(value));
+                return row ? toRecord(loaded.headings, row) : null;
+              }
+            };
+            let valueName = `${gqlName}Value`;
+            while (table.fieldMap[valueName] !== undefined || fields[valueName]) valueName += '_';
+            fields[valueName] = {
+              type: GraphQLString,
+              description: `Stored ${headingName} value`,
+              resolve: record => record[headingName] === null || record[headingName] === undefined ? null : String(record[headingName])
+            };
+          } else {
+            fields[gqlName] = {
+              type: scalarType(heading),
+              resolve: record => record[headingName]
+            };
+          }
+        });
+        return fields;
+      }
+    });
+    objectTypes.set(table, objectType);
+
+    table.pageType = new GraphQLObjectType({
+      name: `${table.typeName}Page`,
+      fields: {
+        rows: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(objectType))) },
+        total: { type: new GraphQLNonNull(GraphQLInt) },
+        page: { type: new GraphQLNonNull(GraphQLInt) },
+        pageSize: { type: new GraphQLNonNull(GraphQLInt) }
+      }
+    });
+
+    const inputFields = {};
+    Object.entries(table.fieldMap).forEach(([gqlName, headingName]) => {
+      const heading = headingByName[headingName];
+      if (heading && !heading.readonly) {
+        inputFields[gqlName] = { type: inputScalarType(heading) };
+      }
+    });
+    table.inputType = Object.keys(inputFields).length > 0
+      ? new GraphQLInputObjectType({ name: `${table.typeName}Input`, fields: inputFields })
+      : null;
+  });
+
+  // Input objects use GraphQL names; providers expect heading names and strings
+  const toProviderRow = (table, input) => {
+    const row = {};
+    Object.entries(input || {}).forEach(([gqlName, value]) => {
+      const headingName = table.fieldMap[gqlName];
+      row[headingName] = value === null || value === undefined ? '' : String(value);
+    });
+    return row;
+  };
+
+  const toOptions = (table, args) => {
+    const query = {
+      page: args.page !== undefined && args.page !== null ? String(args.page) : '1',
+      pageSize: args.pageSize !== undefined && args.pageSize !== null ? String(args.pageSize) : undefined,
+      q: args.q || undefined,
+      sort: args.sort || undefined
+    };
+    const options = parseQueryOptions(query);
+    (args.filter || []).forEach(filter => {
+      const field = table.fieldMap[filter.field] || filter.field;
+      options.filters.push({
+        field,
+        op: filter.op || 'eq',
+        value: filter.op === 'in' ? filter.value.split(',').map(s => s.trim()) : filter.value
+      });
+    });
+    options.sort = options.sort.map(s => ({ field: table.fieldMap[s.field] || s.field, descending: s.descending }));
+    return options;
+  };
+
+  const fetchRecord = async (table, id, userId) => {
+    try {
+      const result = await dataProvider.getRowById(table.sourceId, table.name, id, userId);
+      return result && result.row ? toRecord(table.headings, result.row) : null;
+    } catch (err) {
+      if (/Row not found/.test(err.message)) return null;
+      throw err;
+    }
+  };
+
+  const validateInput = async (table, row, userId, partial) => {
+    const validation = await rowValidator.validateRow(table.sourceId, table.name, row, userId, {
+      headings: table.headings,
+      partial
+    });
+    if (!validation.valid) {
+      throw new GraphQLError('Validation failed', { extensions: { code: 'VALIDATION_FAILED', fields: validation.errors } });
+    }
+  };
+
+  const queryFields = {
+    sources: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Source))),
+      resolve: () => grouped.map(source => ({
+        id: source.sourceId,
+        name: source.sourceName,
+        type: source.sourceType,
+        tables: source.tables.map(t => t.name)
+      }))
+    }
+  };
+  const mutationFields = {};
+
+  tables.forEach(table => {
+    const objectType = objectTypes.get(table);
+
+    queryFields[table.fieldName] = {
+      type: new GraphQLNonNull(table.pageType),
+      description: `Rows of ${table.title || table.name}`,
+      args: {
+        q: { type: GraphQLString },
+        filter: { type: new GraphQLList(new GraphQLNonNull(Filter)) },
+        sort: { type: GraphQLString, description: 'Comma separated fields, prefix with - for descending' },
+        page: { type: GraphQLInt },
+        pageSize: { type: GraphQLInt }
+      },
+      resolve: async (root, args, context) => {
+        try {
+          const options = toOptions(table, args);
+          const result = await dataProvider.getTableData(table.sourceId, table.name, context.user.id, options);
+          let rows = result.rows || [];
+          let total = result.total;
+          if (total === undefined) {
+            const paged = applyQuery(table.headings, rows, options);
+            rows = paged.rows;
+            total = paged.total;
+          }
+          return {
+            rows: rows.map(row => toRecord(table.headings, row)),
+            total,
+            page: options.page,
+            pageSize: options.pageSize
+          };
+        } catch (err) {
+          throw toGraphQLError(err);
+        }
+      }
+    };
+
+    queryFields[`${table.fieldName}ById`] = {
+      type: objectType,
+      args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+      resolve: async (root, args, context) => {
+        try {
+          return await fetchRecord(table, args.id, context.user.id);
+        } catch (err) {
+          throw toGraphQLError(err);
+        }
+      }
+    };
+
+    if (table.inputType) {
+      mutationFields[`insert${table.typeName}`] = {
+        type: objectType,
+        description: 'Returns the new row when the source reports its id',
+        args: { input: { type: new GraphQLNonNull(table.inputType) } },
+        resolve: async (root, args, context) => {
+          try {
+            const row = toProviderRow(table, args.input);
+            await validateInput(table, row, context.user.id, false);
+            const result = await dataProvider.insertRow(table.sourceId, table.name, row, context.user.id);
+            return result && result.id !== undefined && result.id !== null
+              ? await fetchRecord(table, String(result.id), context.user.id)
+              : null;
+          } catch (err) {
+            throw toGraphQLError(err);
+          }
+        }
+      };
+
+      mutationFields[`update${table.typeName}`] = {
+        type: objectType,
+        args: {
+          id: { type: new GraphQLNonNull(GraphQLID) },
+          input: { type: new GraphQLNonNull(table.inputType) }
+        },
+        resolve: async (root, args, context) => {
+          try {
+            const existing = await fetchRecord(table, args.id, context.user.id);
+            if (!existing) throw new GraphQLError('Row not found', { extensions: { code: 'NOT_FOUND' } });
+
+            const changes = toProviderRow(table, args.input);
+            await validateInput(table, changes, context.user.id, true);
+
+            const row = {};
+            Object.keys(existing).forEach(name => {
+              row[name] = existing[name] === null || existing[name] === undefined ? '' : String(existing[name]);
+            });
+            await dataProvider.updateRow(table.sourceId, table.name, args.id, { ...row, ...changes }, context.user.id);
+            return await fetchRecord(table, args.id, context.user.id);
+          } catch (err) {
+            throw toGraphQLError(err);
+          }
+        }
+      };
+    }
+
+    mutationFields[`delete${table.typeName}`] = {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+      resolve: async (root, args, context) => {
+        try {
+          const existing = await fetchRecord(table, args.id, context.user.id);
+          if (!existing) return false;
+          await dataProvider.deleteRow(table.sourceId, table.name, args.id, context.user.id);
+          return true;
+        } catch (err) {
+          throw toGraphQLError(err);
+        }
+      }
+    };
+  });
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: queryFields }),
+    mutation: Object.keys(mutationFields).length > 0
+      ? new GraphQLObjectType({ name: 'Mutation', fields: mutationFields })
+      : undefined
+  });
+}
+
+function createGraphQLRouter({ dataProvider, rowValidator, requireAuth }) {
+  const router = express.Router();
+  let schemaPromise = null;
+
+  const getSchema = userId => {
+    if (!schemaPromise) {
+      schemaPromise = buildGraphQLSchema({ dataProvider, rowValidator, userId }).catch(err => {
+        schemaPromise = null;
+        throw err;
+      });
+    }
+    return schemaPromise;
+  };
+
+  const handle = async (req, res, { query, variables, operationName }) => {
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ errors: [{ message: 'Missing query' }] });
+    }
+
+    let schema;
+    try {
+      schema = await getSchema(req.user.id);
+    } catch (err) {
+      console.error('Error building GraphQL schema:', err);
+      return res.status(500).json({ errors: [{ message: err.message }] });
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      return res.status(400).json({ errors: [err] });
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (req.method === 'GET' && operation && operation.operation !== 'query') {
+      return res.status(405).set('Allow', 'POST').json({ errors: [{ message: 'Mutations must use POST' }] });
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { user: req.user, loaders: createLoaders(dataProvider, req.user.id) }
+    });
+    res.json(result);
+  };
+
+  // Anything handle() did not expect (an invalid generated schema, a
+  // response that cannot be serialised) still gets a GraphQL error body
+  const respond = (req, res, params) => handle(req, res, params).catch(err => {
+    console.error('Error handling GraphQL request:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ errors: [{ message: err.message || 'Internal error' }] });
+    }
+  });
+
+  router.post('/', requireAuth, (req, res) => {
+    const { query, variables, operationName } = req.body || {};
+    respond(req, res, { query, variables, operationName });
+  });
+
+  router.get('/', requireAuth, (req, res) => {
+    let variables;
+    try {
+      variables = req.query.variables ? JSON.parse(req.query.variables) : undefined;
+    } catch (err) {
+      return res.status(400).json({ errors: [{ message: 'variables must be JSON' }] });
+    }
+    respond(req, res, { query: req.query.query, variables, operationName: req.query.operationName });
+  });
+
+  // Called when provider caches are cleared so new tables and columns appear
+  router.invalidateSchema = () => {
+    schemaPromise = null;
+  };
+
+  return router;
+}
+
+module.exports = {
+  buildGraphQLSchema,
+  createGraphQLRouter
+};
\ No newline at end of file
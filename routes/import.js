@@ -0,0 +1,367 @@
+// routes/import.js - File import wizard
+//
+//   POST   /import/preview     file (csvFile), object, source[, template]
+//                              [, format, sheet]
+//                              -> columns, sample rows, table headings and a
+//                                 proposed (or saved) column mapping; the
+//                                 format read and, for workbooks, the sheets
+//   POST   /import/convert     { object, source, columns, rows, mapping[, locale...]
+//                              [, fileFormat] }
+//                              -> the rows mapped and converted, with the
+//                                 validation errors of each
+//   POST   /import-csv         file (csvFile), object, source[, mapping | template]
+//                              [, format, sheet][, mode, keyField, dryRun, atomic]
+//                              [, locale, dateOrder, decimal, thousands]
+//                              -> 202 { jobId, job } as soon as the upload is
+//                                 in; the file is then read and imported in
+//                                 the background. For a dry run the report
+//                                 { dryRun, total, summary, rows } straight away
+//   GET    /import/jobs        ?object&source -> { jobs }, running ones first
+//   GET    /import/jobs/:id    -> { job } including its row errors
+//   GET    /import/jobs/:id/events
+//                              Server-Sent Events: job (the state so far), then
+//                              progress, rowerror and a final done
+//   POST   /import/jobs/:id/cancel
+//   GET    /import/templates   ?object&source
+//   POST   /import/templates   { object, source, name, mapping }
+//   DELETE /import/templates   ?object&source&name
+//
+// The upload field and route keep their CSV names, but the file may be any
+// format in importers/parse.js: format is guessed from the file name unless
+// given, and sheet picks an Excel worksheet (the first by default).
+// mapping is the JSON described in importers/mapping.js; without one the
+// columns are matched automatically and columns with no match are ignored.
+// mode (insert, update or upsert) and keyField are described in
+// importers/pipeline.js; rows carries the per-row report. With atomic=true
+// the import is all-or-nothing and any failing row fails the job; a file
+// that cannot be read or mapped fails it too, with the reason as the job's
+// error. Job states
+// and events are described in importers/jobs.js. locale and the
+// separator options choose how dates, numbers and booleans in the file are
+// read (importers/coerce.js); the preview lists the locales on offer.
+const fs = require('fs').promises;
+const express = require('express');
+const { MappingError, autoMatchColumns, normalizeMapping, applyMapping } = require('../importers/mapping');
+const { ImportParseError, detectFormat, parseFile } = require('../importers/parse');
+const { ImportValidationError, checkOptions, importRows } = require('../importers/pipeline');
+const { DEFAULT_LOCALE, resolveFormat, listLocales, coerceRow } = require('../importers/coerce');
+
+const PREVIEW_ROWS = 5;
+const MAX_CONVERT_ROWS = 100;
+const KEEP_ALIVE_MS = 15000;
+
+function createImportRouter({ dataProvider, rowValidator, requireAuth, upload, templateStore, jobManager, defaultLocale = DEFAULT_LOCALE }) {
+  const router = express.Router();
+
+  function sendError(res, err) {
+    if (err instanceof ImportParseError || err instanceof MappingError) {
+      return res.status(400).json(err.validColumns ? { error: err.message, validColumns: err.validColumns } : { error: err.message });
+    }
+    if (err instanceof ImportValidationError) {
+      return res.status(422).json({ error: err.message, errors: err.errors });
+    }
+    console.error('Import error:', err);
+    res.status(500).json({ error: err.message });
+  }
+
+  // Upload failures (such as a file over the size limit) answer in JSON
+  function receiveFile(req, res, next) {
+    upload.single('csvFile')(req, res, err => {
+      if (!err) return next();
+      res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+    });
+  }
+
+  function checkUpload(req) {
+    const { object, source } = req.body;
+    if (!object) throw new ImportParseError('Object name required');
+    if (!source) throw new ImportParseError('Source required');
+    if (!req.file) throw new ImportParseError('No file uploaded');
+    return detectFormat(req.file.originalname, req.body.format || undefined);
+  }
+
+  // hooks are passed on to parseFile(): onProgress and isCancelled
+  async function parseUpload(req, hooks = {}) {
+    return await parseFile(req.file.path, {
+      fileName: req.file.originalname,
+      format: checkUpload(req),
+      sheet: req.body.sheet || undefined,
+      ...hooks
+    });
+  }
+
+  // Uploads land in a temporary file; once parsed it is no longer needed
+  function removeUpload(req) {
+    if (req.file) {
+      fs.unlink(req.file.path).catch(error => console.warn(`Could not remove upload ${req.file.path}:`, error.message));
+    }
+  }
+
+  // fileFormat is the type of the file the values were read from
+  function formatOf(body, fileFormat) {
+    const { locale, dateOrder, decimal, thousands } = body;
+    return resolveFormat({ locale, dateOrder, decimal, thousands, fileFormat }, defaultLocale);
+  }
+
+  // The mapping sent with the request, else the named template, else a guess
+  async function resolveMapping(req, columns, headings) {
+    const { object, source, mapping, template } = req.body;
+    if (mapping) {
+      let parsed;
+      try {
+        parsed = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+      } catch (error) {
+        throw new MappingError('Mapping is not valid JSON');
+      }
+      return normalizeMapping(parsed, columns, headings);
+    }
+    if (template) {
+      const saved = await templateStore.get(source, object, template);
+      if (!saved) throw new MappingError(`No import template named "${template}"`);
+      return normalizeMapping(saved, columns, headings);
+    }
+    return autoMatchColumns(columns, headings);
+  }
+
+  // The mapping to import a parsed file with, or an error saying why none
+  // of it can be imported
+  async function importMapping(req, parsed, headings) {
+    if (parsed.rows.length === 0) {
+      throw new ImportParseError('The file has no data rows');
+    }
+    const mapping = await resolveMapping(req, parsed.columns, headings);
+    if (!Object.values(mapping.columns).some(Boolean) && Object.keys(mapping.constants).length === 0) {
+      const error = new MappingError('None of the file columns match a table column');
+      error.validColumns = headings.map(h => h.name);
+      throw error;
+    }
+    return mapping;
+  }
+
+  router.post('/import/preview', requireAuth, receiveFile, async (req, res) => {
+    try {
+      const { object, source } = req.body;
+      const parsed = await parseUpload(req);
+      const headings = await rowValidator.getHeadings(source, object, req.user.id);
+      const mapping = await resolveMapping(req, parsed.columns, headings);
+      const templates = await templateStore.list(source, object);
+
+      res.json({
+        format: parsed.format,
+        sheets: parsed.sheets || null,
+        sheet: parsed.sheet || null,
+        columns: parsed.columns,
+        sample: parsed.rows.slice(0, PREVIEW_ROWS),
+        totalRows: parsed.rows.length,
+        headings,
+        mapping,
+        templates: templates.map(t => t.name),
+        locales: listLocales(),
+        locale: defaultLocale
+      });
+    } catch (err) {
+      sendError(res, err);
+    } finally {
+      removeUpload(req);
+    }
+  });
+
+  // Sample rows as they would be written, for the wizard to show before importing
+  router.post('/import/convert', requireAuth, async (req, res) => {
+    const { object, source, columns, rows } = req.body || {};
+    if (!object || !source || !Array.isArray(columns) || !Array.isArray(rows)) {
+      return res.status(400).json({ error: 'invalid input' });
+    }
+
+    try {
+      const format = formatOf(req.body, req.body.fileFormat);
+      const headings = await rowValidator.getHeadings(source, object, req.user.id);
+      const mapping = await resolveMapping(req, columns, headings);
+      const converted = rows.slice(0, MAX_CONVERT_ROWS)
+        .map(values => coerceRow(headings, applyMapping(columns, Array.isArray(values) ? values : [], mapping), format));
+      const checks = await rowValidator.validateRows(source, object, converted, req.user.id, { headings, partial: true });
+
+      res.json({
+        format,
+        rows: converted,
+        errors: checks.map(check => check.errors)
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/import-csv', requireAuth, receiveFile, async (req, res) => {
+    // A running job removes the upload itself once it has read it
+    let uploadInUse = false;
+    try {
+      const { object, source } = req.body;
+      const fileFormat = checkUpload(req);
+      const headings = await rowValidator.getHeadings(source, object, req.user.id);
+
+      const options = {
+        dataProvider,
+        rowValidator,
+        sourceId: source,
+        tableName: object,
+        headings,
+        userId: req.user.id,
+        mode: req.body.mode || 'insert',
+        keyField: req.body.keyField || 'id',
+        format: formatOf(req.body, fileFormat),
+        atomic: req.body.atomic === 'true' || req.body.atomic === '1'
+      };
+      checkOptions(options, headings);
+
+      if (req.body.dryRun === 'true' || req.body.dryRun === '1') {
+        const parsed = await parseUpload(req);
+        const mapping = await importMapping(req, parsed, headings);
+        return res.json(await importRows({ ...options, parsed, mapping, dryRun: true }));
+      }
+
+      const job = jobManager.create({
+        source,
+        table: object,
+        userId: req.user.id,
+        fileName: req.file.originalname,
+        mode: options.mode
+      });
+      jobManager.start(job, async context => {
+        let parsed;
+        try {
+          parsed = await parseUpload(req, {
+            onProgress: bytes => context.progress({ phase: 'reading', ...bytes }),
+            isCancelled: context.isCancelled
+          });
+        } finally {
+          removeUpload(req);
+          // From here on processed and total count rows, not bytes
+          context.progress({ phase: null, processed: 0, total: parsed ? parsed.rows.length : 0 });
+        }
+        return importRows({
+          ...options,
+          parsed,
+          mapping: await importMapping(req, parsed, headings),
+          onProgress: context.progress,
+          onRowError: context.rowError,
+          isCancelled: context.isCancelled
+        });
+      });
+      uploadInUse = true;
+      res.status(202).json({ jobId: job.id, job });
+    } catch (err) {
+      sendError(res, err);
+    } finally {
+      if (!uploadInUse) removeUpload(req);
+    }
+  });
+
+  router.get('/import/jobs', requireAuth, async (req, res) => {
+    try {
+      const { object, source } = req.query;
+      res.json({ jobs: await jobManager.list({ source, table: object }) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/import/jobs/:id', requireAuth, async (req, res) => {
+    try {
+      const job = await jobManager.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Import job not found' });
+      res.json({ job });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/import/jobs/:id/events', requireAuth, async (req, res) => {
+    let job;
+    try {
+      job = await jobManager.get(req.params.id);
+    } catch (err) {
+      return sendError(res, err);
+    }
+    if (!job) return res.status(404).json({ error: 'Import job not found' });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('job', job);
+    if (jobManager.isFinished(job)) {
+      send('done', job);
+      return res.end();
+    }
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    const listener = (type, data) => {
+      send(type, data);
+      if (type === 'done') res.end();
+    };
+    jobManager.on(job.id, listener);
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      jobManager.off(job.id, listener);
+    });
+  });
+
+  router.post('/import/jobs/:id/cancel', requireAuth, async (req, res) => {
+    try {
+      if (jobManager.cancel(req.params.id)) return res.json({ ok: true });
+      const job = await jobManager.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Import job not found' });
+      res.status(409).json({ error: `Import job has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}` });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/import/templates', requireAuth, async (req, res) => {
+    const { object, source } = req.query;
+    if (!object || !source) return res.status(400).json({ error: 'invalid input' });
+
+    try {
+      res.json({ templates: await templateStore.list(source, object) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/import/templates', requireAuth, async (req, res) => {
+    const { object, source, mapping } = req.body || {};
+    const name = typeof (req.body || {}).name === 'string' ? req.body.name.trim() : '';
+    if (!object || !source || !name || !mapping) return res.status(400).json({ error: 'invalid input' });
+
+    try {
+      const headings = await rowValidator.getHeadings(source, object, req.user.id);
+      const checked = normalizeMapping(mapping, Object.keys(mapping.columns || {}), headings);
+      await templateStore.save(source, object, name, checked, req.user.id);
+      res.json({ ok: true, name });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete('/import/templates', requireAuth, async (req, res) => {
+    const { object, source, name } = req.query;
+    if (!object || !source || !name) return res.status(400).json({ error: 'invalid input' });
+
+    try {
+      const removed = await templateStore.remove(source, object, name);
+      if (!removed) return res.status(404).json({ error: `No import template named "${name}"` });
+      res.json({ ok: true });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createImportRouter
+};
\ No newline at end of file
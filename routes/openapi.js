@@ -0,0 +1,520 @@
+// routes/openapi.js - OpenAPI 3 document generated from discovered schemas
+//
+// Every request rebuilds the document from the tables the providers report
+// and their headings, so it always matches the data: one set of /api/v1
+// paths per source/table, with row schemas carrying types, readonly ids,
+// lookups (x-lookup), enums and header constraints.
+const express = require('express');
+const path = require('path');
+const { parseQueryOptions } = require('../dataProviders/queryOptions');
+const packageInfo = require('../package.json');
+
+const API_BASE = '/api/v1';
+
+// Component names may only contain letters, digits, '.', '-' and '_'
+function componentName(...parts) {
+  return parts.map(part => String(part).replace(/[^A-Za-z0-9._-]/g, '_')).join('.');
+}
+
+function operationId(verb, sourceId, tableName) {
+  return `${verb}_${sourceId}_${tableName}`.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function typedDefault(field) {
+  if (field.type === 'integer' || field.type === 'number') {
+    const number = Number(field.default);
+    return isNaN(number) ? field.default : number;
+  }
+  if (field.type === 'boolean') return field.default === 'true' || field.default === '1';
+  return field.default;
+}
+
+function fieldSchema(field, forInput) {
+  const schema = {};
+
+  switch (field.type) {
+    case 'integer':
+      schema.type = 'integer';
+      break;
+    case 'number':
+      schema.type = 'number';
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date';
+      break;
+    default:
+      schema.type = 'string';
+  }
+
+  if (schema.type !== 'string') schema.nullable = true;
+  if (field.readonly) schema.readOnly = true;
+  if (field.type === 'enum' && field.options && field.options.length > 0) schema.enum = field.options;
+  if (field.type === 'lu' && field.luFile) {
+    schema.description = `Value from the ${field.luFile} table`;
+    schema['x-lookup'] = { table: field.luFile };
+  }
+
+  if (forInput) {
+    if (field.default !== undefined) schema.default = typedDefault(field);
+    if (field.min !== undefined) schema.minimum = field.min;
+    if (field.max !== undefined) schema.maximum = field.max;
+    if (field.pattern) schema.pattern = `^(?:${field.pattern})$`;
+  }
+
+  return schema;
+}
+
+function rowSchemas(headings) {
+  const rowProperties = {};
+  const inputProperties = {};
+  const required = [];
+
+  headings.forEach(field => {
+    rowProperties[field.name] = fieldSchema(field, false);
+    if (!field.readonly) {
+      inputProperties[field.name] = fieldSchema(field, true);
+      if (field.required) required.push(field.name);
+    }
+  });
+
+  // Rows always carry their id, even where the headings leave it out
+  if (!rowProperties.id) {
+    rowProperties.id = { type: 'string', readOnly: true };
+  }
+
+  const input = { type: 'object', properties: inputProperties, additionalProperties: false };
+  if (required.length > 0) input.required = required;
+
+  return {
+    row: { type: 'object', properties: rowProperties },
+    input,
+    patch: { type: 'object', properties: inputProperties, additionalProperties: false }
+  };
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function dataResponse(description, schema) {
+  return {
+    description,
+    content: jsonContent({ type: 'object', properties: { data: schema } })
+  };
+}
+
+function tablePaths(sourceId, table, schemaNames) {
+  const base = `${API_BASE}/sources/${encodeURIComponent(sourceId)}/tables/${encodeURIComponent(table.name)}`;
+  const tag = `${sourceId} / ${table.title || table.name}`;
+  const ref = name => ({ $ref: `#/components/schemas/${name}` });
+  const idParam = { $ref: '#/components/parameters/id' };
+  const errors = {
+    401: { $ref: '#/components/responses/Unauthorized' },
+    404: { $ref: '#/components/responses/NotFound' }
+  };
+
+  return {
+    [`${base}/schema`]: {
+      get: {
+        tags: [tag],
+        summary: `Field definitions of ${table.title || table.name}`,
+        operationId: operationId('schema', sourceId, table.name),
+        responses: {
+          200: dataResponse('Table schema', ref('TableSchema')),
+          ...errors
+        }
+      }
+    },
+    [`${base}/rows`]: {
+      get: {
+        tags: [tag],
+        summary: 'List rows',
+        operationId: operationId('list', sourceId, table.name),
+        parameters: ['q', 'filter', 'sort', 'page', 'pageSize'].map(name => ({ $ref: `#/components/parameters/${name}` })),
+        responses: {
+          200: {
+            description: 'One page of rows',
+            content: jsonContent({
+              type: 'object',
+              properties: {
+                data: { type: 'array', items: ref(schemaNames.row) },
+                meta: ref('PageMeta')
+              }
+            })
+          },
+          400: { $ref: '#/components/responses/BadRequest' },
+          ...errors
+        }
+      },
+      post: {
+        tags: [tag],
+        summary: 'Create a row',
+        operationId: operationId('create', sourceId, table.name),
+        requestBody: { required: true, content: jsonContent(ref(schemaNames.input)) },
+        responses: {
+          201: dataResponse('Created row', ref(schemaNames.row)),
+          400: { $ref: '#/components/responses/BadRequest' },
+          422: { $ref: '#/components/responses/ValidationFailed' },
+          ...errors
+        }
+      }
+    },
+    [`${base}/rows/{id}`]: {
+      parameters: [idParam],
+      get: {
+        tags: [tag],
+        summary: 'Get a row',
+        operationId: operationId('get', sourceId, table.name),
+        responses: {
+          200: dataResponse('The row', ref(schemaNames.row)),
+          ...errors
+        }
+      },
+      put: {
+        tags: [tag],
+        summary: 'Replace a row',
+        description: 'Writable fields left out of the body are cleared.',
+        operationId: operationId('replace', sourceId, table.name),
+        requestBody: { required: true, content: jsonContent(ref(schemaNames.input)) },
+        responses: {
+          200: dataResponse('Updated row', ref(schemaNames.row)),
+          400: { $ref: '#/components/responses/BadRequest' },
+          422: { $ref: '#/components/responses/ValidationFailed' },
+          ...errors
+        }
+      },
+      patch: {
+        tags: [tag],
+        summary: 'Update some fields of a row',
+        operationId: operationId('update', sourceId, table.name),
+        requestBody: { required: true, content: jsonContent(ref(schemaNames.patch)) },
+        responses: {
+          200: dataResponse('Updated row', ref(schemaNames.row)),
+          400: { $ref: '#/components/responses/BadRequest' },
+          422: { $ref: '#/components/responses/ValidationFailed' },
+          ...errors
+        }
+      },
+      delete: {
+        tags: [tag],
+        summary: 'Delete a row',
+        operationId: operationId('delete', sourceId, table.name),
+        responses: {
+          204: { description: 'Row deleted' },
+          ...errors
+        }
+      }
+    }
+  };
+}
+
+function commonComponents() {
+  const errorResponse = description => ({
+    description,
+    content: jsonContent({ $ref: '#/components/schemas/Error' })
+  });
+
+  return {
+    securitySchemes: {
+      sessionHeader: { type: 'apiKey', in: 'header', name: 'x-session-id', description: 'Session id returned by POST /login' },
+      bearerSession: { type: 'http', scheme: 'bearer', description: 'Session id returned by POST /login' }
+    },
+    parameters: {
+      id: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+      q: { name: 'q', in: 'query', description: 'Case-insensitive text search across all fields', schema: { type: 'string' } },
+      filter: {
+        name: 'filter',
+        in: 'query',
+        style: 'deepObject',
+        explode: true,
+        description: 'filter[field]=op:value with op one of eq, ne, gt, gte, lt, lte, like, in (comma separated)',
+        schema: { type: 'object', additionalProperties: { type: 'string' } }
+      },
+      sort: { name: 'sort', in: 'query', description: 'Comma separated fields, prefix with - for descending', schema: { type: 'string' } },
+      page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+      pageSize: { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 50 } }
+    },
+    responses: {
+      BadRequest: errorResponse('Malformed request or query'),
+      Unauthorized: errorResponse('Missing or unknown session'),
+      NotFound: errorResponse('Source, table or row not found'),
+      ValidationFailed: errorResponse('Field values failed validation; details.fields maps field name to message')
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { type: 'string', example: 'row_not_found' },
+              message: { type: 'string' },
+              details: { type: 'object', additionalProperties: true }
+            }
+          }
+        }
+      },
+      PageMeta: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' }
+        }
+      },
+      Field: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['integer', 'number', 'date', 'boolean', 'text', 'lu', 'enum'] },
+          readonly: { type: 'boolean' },
+          luFile: { type: 'string' },
+          options: { type: 'array', items: { type: 'string' } },
+          required: { type: 'boolean' },
+          default: { type: 'string' },
+          min: { type: 'number' },
+          max: { type: 'number' },
+          pattern: { type: 'string' }
+        }
+      },
+      TableSchema: {
+        type: 'object',
+        properties: {
+          source: { type: 'string' },
+          table: { type: 'string' },
+          title: { type: 'string' },
+          fields: { type: 'array', items: { $ref: '#/components/schemas/Field' } }
+        }
+      },
+      Source: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          tables: {
+            type: 'array',
+            items: { type: 'object', properties: { name: { type: 'string' }, title: { type: 'string' } } }
+          },
+          error: { type: 'string' }
+        }
+      },
+      TableRef: {
+        type: 'object',
+        required: ['source', 'table'],
+        properties: {
+          source: { type: 'string' },
+          table: { type: 'string' }
+        }
+      },
+      DiffRequest: {
+        type: 'object',
+        required: ['left', 'right'],
+        properties: {
+          left: { $ref: '#/components/schemas/TableRef' },
+          right: { $ref: '#/components/schemas/TableRef' },
+          key: { type: 'string', default: 'id', description: 'Field the rows are matched on' }
+        }
+      },
+      Diff: {
+        type: 'object',
+        properties: {
+          left: { $ref: '#/components/schemas/TableRef' },
+          right: { $ref: '#/components/schemas/TableRef' },
+          key: { type: 'object', properties: { left: { type: 'string' }, right: { type: 'string' } } },
+          fields: {
+            type: 'array',
+            items: { type: 'object', properties: { left: { type: 'string' }, right: { type: 'string' } } }
+          },
+          leftOnlyFields: { type: 'array', items: { type: 'string' } },
+          rightOnlyFields: { type: 'array', items: { type: 'string' } },
+          summary: {
+            type: 'object',
+            properties: {
+              added: { type: 'integer' },
+              removed: { type: 'integer' },
+              changed: { type: 'integer' },
+              unchanged: { type: 'integer' }
+            }
+          },
+          rows: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                key: { type: 'string' },
+                status: { type: 'string', enum: ['added', 'removed', 'changed'] },
+                left: { type: 'object', nullable: true, additionalProperties: true },
+                right: { type: 'object', nullable: true, additionalProperties: true },
+                changed: { type: 'array', items: { type: 'string' }, description: 'Left field names that differ' }
+              }
+            }
+          },
+          problems: {
+            type: 'array',
+            description: 'Rows that could not be matched (no key value, or a repeated key)',
+            items: { type: 'object', additionalProperties: true }
+          }
+        }
+      },
+      DiffResult: {
+        type: 'object',
+        properties: {
+          direction: { type: 'string' },
+          inserted: { type: 'integer' },
+          updated: { type: 'integer' },
+          deleted: { type: 'integer' },
+          failed: { type: 'integer' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { key: { type: 'string' }, action: { type: 'string' }, error: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the OpenAPI document for every table the providers expose
+ * @returns {Promise<Object>} OpenAPI 3.0 document
+ */
+async function buildOpenApiDocument(dataProvider, userId) {
+  const components = commonComponents();
+  const paths = {
+    [`${API_BASE}/sources`]: {
+      get: {
+        tags: ['sources'],
+        summary: 'List data sources and their tables',
+        operationId: 'listSources',
+        responses: {
+          200: dataResponse('Sources', { type: 'array', items: { $ref: '#/components/schemas/Source' } }),
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      }
+    },
+    [`${API_BASE}/diff`]: {
+      post: {
+        tags: ['diff'],
+        summary: 'Compare two tables on a key field',
+        operationId: 'diffTables',
+        requestBody: { required: true, content: jsonContent({ $ref: '#/components/schemas/DiffRequest' }) },
+        responses: {
+          200: dataResponse('Rows added, removed and changed from left to right', { $ref: '#/components/schemas/Diff' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: { $ref: '#/components/responses/NotFound' }
+        }
+      }
+    },
+    [`${API_BASE}/diff/apply`]: {
+      post: {
+        tags: ['diff'],
+        summary: 'Copy chosen differences from one table to the other',
+        operationId: 'applyDiff',
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            allOf: [
+              { $ref: '#/components/schemas/DiffRequest' },
+              {
+                type: 'object',
+                required: ['keys'],
+                properties: {
+                  keys: { type: 'array', items: { type: 'string' } },
+                  direction: { type: 'string', enum: ['leftToRight', 'rightToLeft'], default: 'leftToRight' }
+                }
+              }
+            ]
+          })
+        },
+        responses: {
+          200: dataResponse('Changes made', { $ref: '#/components/schemas/DiffResult' }),
+          400: { $ref: '#/components/responses/BadRequest' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: { $ref: '#/components/responses/NotFound' }
+        }
+      }
+    }
+  };
+  const tags = [{ name: 'sources' }, { name: 'diff' }];
+
+  const grouped = await dataProvider.getAvailableTablesGroupedBySource();
+  for (const source of grouped) {
+    for (const table of source.tables) {
+      let headings;
+      try {
+        const result = await dataProvider.getTableData(source.sourceId, table.name, userId, parseQueryOptions({ pageSize: '1' }));
+        headings = result.headings || [];
+      } catch (error) {
+        console.warn(`Skipping ${source.sourceId}/${table.name} in OpenAPI document:`, error.message);
+        continue;
+      }
+
+      const schemas = rowSchemas(headings);
+      const schemaNames = {
+        row: componentName(source.sourceId, table.name),
+        input: componentName(source.sourceId, table.name, 'input'),
+        patch: componentName(source.sourceId, table.name, 'patch')
+      };
+      components.schemas[schemaNames.row] = schemas.row;
+      components.schemas[schemaNames.input] = schemas.input;
+      components.schemas[schemaNames.patch] = schemas.patch;
+
+      Object.assign(paths, tablePaths(source.sourceId, table, schemaNames));
+      tags.push({
+        name: `${source.sourceId} / ${table.title || table.name}`,
+        description: `${table.name} in ${source.sourceName || source.sourceId} (${source.sourceType})`
+      });
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'dotConfig Data App API',
+      version: packageInfo.version,
+      description: packageInfo.description
+    },
+    servers: [{ url: '/' }],
+    security: [{ sessionHeader: [] }, { bearerSession: [] }],
+    tags,
+    paths,
+    components
+  };
+}
+
+// Serves /api/openapi.json and the bundled Swagger UI explorer at /api/docs
+function createOpenApiRouter({ dataProvider, requireAuth }) {
+  const router = express.Router();
+
+  router.get('/openapi.json', requireAuth, async (req, res) => {
+    try {
+      res.json(await buildOpenApiDocument(dataProvider, req.user.id));
+    } catch (err) {
+      console.error('Error building OpenAPI document:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'api-docs.html'));
+  });
+  router.use('/docs/assets', express.static(require('swagger-ui-dist').getAbsoluteFSPath()));
+
+  return router;
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  createOpenApiRouter
+};
\ No newline at end of file
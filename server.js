@@ -1,27 +1,39 @@
 // server.js - Unified server with multi-source support
 const express = require('express');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const multer = require('multer');
-const csv = require('csv-parser');
-const { Readable } = require('stream');
 const config = require('./config');
 const { DataProviderFactory } = require('./dataProviders');
+const RowValidator = require('./dataProviders/rowValidator');
+const { QueryError, parseQueryOptions } = require('./dataProviders/queryOptions');
+const { CopyError } = require('./dataProviders/tableSync');
+const { createApiV1Router, handleApiError } = require('./routes/apiV1');
+const { createOpenApiRouter } = require('./routes/openapi');
+const { createGraphQLRouter } = require('./routes/graphql');
+const { createExportRouter } = require('./routes/export');
+const { createImportRouter } = require('./routes/import');
+const { ImportTemplateStore } = require('./importers/templates');
+const { ImportJobManager } = require('./importers/jobs');
 
 const app = express();
 const PORT = config.getPort();
+const DEFAULT_MAX_UPLOAD_SIZE = 1024 * 1024 * 1024; // 1GB
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Configure multer for file uploads
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+// Configure multer for file uploads; files stream to a temporary directory
+// so large imports are not held in memory while they arrive
+const upload = multer({
+  dest: config.imports.uploadPath || path.join(os.tmpdir(), 'basegrid-uploads'),
+  limits: { fileSize: config.imports.maxFileSize || DEFAULT_MAX_UPLOAD_SIZE }
 });
 
 // Initialize multi-source data provider
 const dataProvider = DataProviderFactory.createProvider();
+const rowValidator = new RowValidator(dataProvider);
 
 // Session management
 const sessions = new Map();
@@ -30,21 +42,34 @@ function generateSessionId() {
   return Math.random().toString(36).substring(2) + Date.now().toString(36);
 }
 
-function requireAuth(req, res, next) {
+// Resolve the logged-in user from x-session-id (or a Bearer token holding
+// the session id, for scripts); null when the request is not authenticated
+function getSessionUser(req) {
   if (!dataProvider.isAuthRequired()) {
-    req.user = { id: 'guest', email: 'guest' };
-    return next();
+    return { id: 'guest', email: 'guest' };
   }
 
-  const sessionId = req.headers['x-session-id'];
+  const authHeader = req.headers['authorization'] || '';
+  const sessionId = req.headers['x-session-id'] ||
+    (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null);
   if (sessionId && sessions.has(sessionId)) {
-    req.user = sessions.get(sessionId);
+    return sessions.get(sessionId);
+  }
+  return null;
+}
+
+function requireAuth(req, res, next) {
+  const user = getSessionUser(req);
+  if (user) {
+    req.user = user;
     next();
   } else {
     res.status(401).json({ error: 'Unauthorized' });
   }
 }
 
+const graphqlRouter = createGraphQLRouter({ dataProvider, rowValidator, requireAuth });
+
 function escapeHtml(s) {
   if (s == null) return '';
   return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
@@ -186,10 +211,12 @@ app.get('/objectdata', requireAuth, async (req, res) => {
       const result = await dataProvider.getRowById(sourceId, obj, id, req.user.id);
       res.json(result);
     } else {
-      const result = await dataProvider.getTableData(sourceId, obj, req.user.id);
+      const options = parseQueryOptions(req.query);
+      const result = await dataProvider.getTableData(sourceId, obj, req.user.id, options);
       res.json(result);
     }
   } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
     console.error('Error fetching data:', err);
     res.status(500).json({ error: err.message });
   }
@@ -216,6 +243,11 @@ app.post('/saveobject', requireAuth, async (req, res) => {
   if (!object || !source || !id || !row) return res.status(400).json({ error: 'invalid input' });
   
   try {
+    const validation = await rowValidator.validateRow(source, object, row, req.user.id);
+    if (!validation.valid) {
+      return res.status(422).json({ error: 'Validation failed', fields: validation.errors });
+    }
+
     await dataProvider.updateRow(source, object, id, row, req.user.id);
     res.json({ ok: true });
   } catch (err) {
@@ -229,6 +261,11 @@ app.post('/addobject', requireAuth, async (req, res) => {
   if (!object || !source || !row) return res.status(400).json({ error: 'invalid input' });
   
   try {
+    const validation = await rowValidator.validateRow(source, object, row, req.user.id);
+    if (!validation.valid) {
+      return res.status(422).json({ error: 'Validation failed', fields: validation.errors });
+    }
+
     await dataProvider.insertRow(source, object, row, req.user.id);
     res.json({ ok: true });
   } catch (err) {
@@ -250,69 +287,168 @@ app.post('/deleteobject', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/import-csv', requireAuth, upload.single('csvFile'), async (req, res) => {
+// Bulk actions on selected rows; the response reports each row separately
+function summarizeBulk(results) {
+  return {
+    results,
+    succeeded: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length
+  };
+}
+
+function parseBulkIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  const unique = Array.from(new Set(ids.map(String).filter(id => id !== '')));
+  return unique.length > 0 ? unique : null;
+}
+
+app.post('/bulkdelete', requireAuth, async (req, res) => {
+  const { object, source } = req.body || {};
+  const ids = parseBulkIds((req.body || {}).ids);
+  if (!object || !source || !ids) return res.status(400).json({ error: 'invalid input' });
+
   try {
-    const { object, source } = req.body;
-    if (!object) return res.status(400).json({ error: 'Object name required' });
-    if (!source) return res.status(400).json({ error: 'Source required' });
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const results = await dataProvider.deleteRows(source, object, ids, req.user.id);
+    res.json(summarizeBulk(results));
+  } catch (err) {
+    console.error('Error bulk deleting:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const results = [];
-    const errors = [];
-    
-    // Parse CSV
-    const stream = Readable.from(req.file.buffer.toString());
-    
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', resolve)
-        .on('error', reject);
-    });
+app.post('/bulkupdate', requireAuth, async (req, res) => {
+  const { object, source, field, value } = req.body || {};
+  const ids = parseBulkIds((req.body || {}).ids);
+  if (!object || !source || !ids || !field) return res.status(400).json({ error: 'invalid input' });
 
-    if (results.length === 0) {
-      return res.status(400).json({ error: 'CSV file is empty' });
+  try {
+    const headings = await rowValidator.getHeadings(source, object, req.user.id);
+    const heading = headings.find(h => h.name === field);
+    if (!heading || heading.readonly) {
+      return res.status(422).json({ error: 'Validation failed', fields: { [field]: `${field} cannot be set in bulk` } });
     }
 
-    // Get table schema to validate columns
-    const tableData = await dataProvider.getTableData(source, object, req.user.id);
-    const validColumns = tableData.headings.map(h => h.name);
-    const csvColumns = Object.keys(results[0]);
-
-    // Check if CSV columns match table columns
-    const invalidColumns = csvColumns.filter(col => !validColumns.includes(col));
-    if (invalidColumns.length > 0) {
-      return res.status(400).json({ 
-        error: `Invalid columns in CSV: ${invalidColumns.join(', ')}`,
-        validColumns: validColumns
-      });
+    const changes = { [field]: value === undefined || value === null ? '' : String(value) };
+    const validation = await rowValidator.validateRow(source, object, changes, req.user.id, { headings, partial: true });
+    if (!validation.valid) {
+      return res.status(422).json({ error: 'Validation failed', fields: validation.errors });
     }
 
-    // Import each row
-    let successCount = 0;
-    for (let i = 0; i < results.length; i++) {
-      try {
-        await dataProvider.insertRow(source, object, results[i], req.user.id);
-        successCount++;
-      } catch (err) {
-        errors.push({ row: i + 1, error: err.message });
-      }
-    }
+    const results = await dataProvider.updateRows(source, object, ids, changes, req.user.id);
+    res.json(summarizeBulk(results));
+  } catch (err) {
+    console.error('Error bulk updating:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.json({ 
-      success: true, 
-      imported: successCount,
-      total: results.length,
-      errors: errors.length > 0 ? errors : undefined
-    });
+app.get('/history', requireAuth, async (req, res) => {
+  const { object, source, id } = req.query;
+  if (!object || !source || !id) return res.status(400).json({ error: 'invalid input' });
+
+  try {
+    const entries = await dataProvider.getRowHistory(source, object, id);
+    res.json({ entries });
+  } catch (err) {
+    console.error('Error fetching history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/revertobject', requireAuth, async (req, res) => {
+  const { object, source, id, entryId } = req.body || {};
+  if (!object || !source || !id || !entryId) return res.status(400).json({ error: 'invalid input' });
+
+  try {
+    const result = await dataProvider.revertRow(source, object, id, entryId, req.user.id);
+    res.json({ ok: true, id: result.id });
+  } catch (err) {
+    if (err.message === 'History entry not found') return res.status(404).json({ error: err.message });
+    console.error('Error reverting:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/trash', requireAuth, async (req, res) => {
+  const { object, source } = req.query;
+  if (!object || !source) return res.status(400).json({ error: 'invalid input' });
 
+  try {
+    res.json(await dataProvider.getDeletedRows(source, object, req.user.id));
   } catch (err) {
-    console.error('CSV import error:', err);
+    console.error('Error fetching trash:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+app.post('/restoreobject', requireAuth, async (req, res) => {
+  const { object, source, id } = req.body || {};
+  if (!object || !source || !id) return res.status(400).json({ error: 'invalid input' });
+
+  try {
+    await dataProvider.restoreRow(source, object, id, req.user.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Error restoring:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/purgeobject', requireAuth, async (req, res) => {
+  const { object, source, id } = req.body || {};
+  if (!object || !source || !id) return res.status(400).json({ error: 'invalid input' });
+
+  try {
+    await dataProvider.purgeRow(source, object, id, req.user.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Error purging:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Copy a table into another source (mode copy) or bring a copy up to date
+// (mode sync: inserts, updates and deletes keyed on id); dryRun only reports
+app.post('/copytable', requireAuth, async (req, res) => {
+  const { object, source, targetSource, targetObject, mode, fieldMap, create, deletes, dryRun } = req.body || {};
+  if (!object || !source || !targetSource) return res.status(400).json({ error: 'invalid input' });
+  if (fieldMap !== undefined && (fieldMap === null || typeof fieldMap !== 'object' || Array.isArray(fieldMap))) {
+    return res.status(400).json({ error: 'fieldMap must be an object' });
+  }
+
+  try {
+    const summary = await dataProvider.copyTable(source, object, targetSource, req.user.id, {
+      targetTable: targetObject,
+      mode,
+      fieldMap,
+      create: !!create,
+      deletes: deletes !== false,
+      dryRun: !!dryRun
+    });
+    res.json(summary);
+  } catch (err) {
+    if (err instanceof CopyError) return res.status(400).json({ error: err.message });
+    if (/not supported by this source/.test(err.message)) return res.status(400).json({ error: err.message });
+    if (/^Data source not found/.test(err.message)) return res.status(404).json({ error: err.message });
+    console.error('Error copying table:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CSV import wizard: preview, column mapping, saved templates and background jobs
+app.use(createImportRouter({
+  dataProvider,
+  rowValidator,
+  requireAuth,
+  upload,
+  templateStore: new ImportTemplateStore(config.imports.templatesPath || './data/imports/templates.json'),
+  jobManager: new ImportJobManager({
+    historyPath: config.imports.jobsPath || './data/imports/jobs.json',
+    maxHistory: config.imports.maxJobHistory
+  }),
+  defaultLocale: config.imports.locale
+}));
+
 app.get('/api/refresh-sitemap', requireAuth, async (req, res) => {
   try {
     // Clear caches for all providers
@@ -320,7 +456,9 @@ app.get('/api/refresh-sitemap', requireAuth, async (req, res) => {
       if (provider.metadataCache) provider.metadataCache = null;
       if (provider.schemaCache) provider.schemaCache = {};
       if (provider.foreignKeyCache) provider.foreignKeyCache = {};
+      if (provider.clearTableCache) provider.clearTableCache();
     });
+    graphqlRouter.invalidateSchema();
     
     const sitemap = await generateDynamicSitemap();
     const totalTables = sitemap.pages.reduce((sum, page) => {
@@ -341,7 +479,9 @@ app.get('/api/sitemap-html', requireAuth, async (req, res) => {
       if (provider.metadataCache) provider.metadataCache = null;
       if (provider.schemaCache) provider.schemaCache = {};
       if (provider.foreignKeyCache) provider.foreignKeyCache = {};
+      if (provider.clearTableCache) provider.clearTableCache();
     });
+    graphqlRouter.invalidateSchema();
     
     const sitemap = await loadSitemap();
     const items = Array.isArray(sitemap?.pages) ? sitemap.pages : Array.isArray(sitemap) ? sitemap : [];
@@ -423,6 +563,26 @@ app.get('/logout', (req, res) => {
   res.redirect('/');
 });
 
+// Versioned REST API, its OpenAPI document and explorer
+app.use('/api/v1', createApiV1Router({ dataProvider, rowValidator, getSessionUser }));
+app.use('/api/v1', handleApiError);
+app.use('/api', createOpenApiRouter({ dataProvider, requireAuth }));
+
+// Table downloads as CSV, JSON or XLSX
+app.use('/export', createExportRouter({ dataProvider, requireAuth }));
+
+// GraphQL over all sources; the schema is rebuilt after a sitemap refresh
+app.use('/graphql', graphqlRouter);
+
+// Empty the trash of rows past their retention period, at startup and daily
+function purgeExpiredRows() {
+  dataProvider.purgeExpiredRows()
+    .then(count => { if (count > 0) console.log(`Purged ${count} expired row(s) from the trash`); })
+    .catch(err => console.error('Trash purge failed:', err));
+}
+purgeExpiredRows();
+setInterval(purgeExpiredRows, 24 * 60 * 60 * 1000).unref();
+
 app.listen(PORT, () => {
   console.log(`dotConfig Data App listening on http://localhost:${PORT}`);
   console.log(`Connected data sources:`);
@@ -0,0 +1,52 @@
+// test/auditLog.test.js - Row history for sources that share a data folder
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { MultiSourceManager } = require('../dataProviders');
+const TextFileProvider = require('../dataProviders/textFileProvider');
+const JsonFileProvider = require('../dataProviders/jsonFileProvider');
+
+// Only the sources a test gives it, none from config.json
+class TestManager extends MultiSourceManager {
+  initializeProviders() {}
+}
+
+let dataPath;
+let manager;
+
+beforeEach(async () => {
+  dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-audit-'));
+  await fs.writeFile(path.join(dataPath, 'cities.txt'), 'id:int,Name:str\r\n3,Leeds');
+  await fs.writeFile(path.join(dataPath, 'cities.json'), JSON.stringify([{ id: 3, Name: 'Cardiff' }]));
+  manager = new TestManager();
+  [['text', new TextFileProvider({ dataPath, cache: false })], ['json', new JsonFileProvider({ dataPath })]].forEach(([id, provider]) => {
+    manager.providers.set(id, provider);
+    manager.auditStores.set(id, provider.createAuditStore());
+  });
+});
+
+afterEach(() => fs.rm(dataPath, { recursive: true, force: true }));
+
+test('each source only sees its own history of a shared audit log', async () => {
+  await manager.updateRow('text', 'cities', '3', { Name: 'York' }, 'guest');
+  await manager.updateRow('json', 'cities', '3', { Name: 'Swansea' }, 'guest');
+
+  const text = await manager.getRowHistory('text', 'cities', '3');
+  const json = await manager.getRowHistory('json', 'cities', '3');
+  assert.deepStrictEqual(text.map(e => [e.source, e.after.Name]), [['text', 'York']]);
+  assert.deepStrictEqual(json.map(e => [e.source, e.after.Name]), [['json', 'Swansea']]);
+
+  // An entry of one source cannot be reverted through the other
+  await assert.rejects(manager.revertRow('text', 'cities', '3', json[0].id, 'guest'), /History entry not found/);
+  assert.deepStrictEqual((await manager.getRowById('text', 'cities', '3', 'guest')).row, ['3', 'York']);
+});
+
+test('inserted rows are recorded under the id the source stored', async () => {
+  const [result] = await manager.insertRows('text', 'cities', [{ id: '3', Name: 'Hull' }], 'guest');
+  assert.strictEqual(result.id, '4');
+
+  const history = await manager.getRowHistory('text', 'cities', '4');
+  assert.deepStrictEqual(history.map(e => [e.action, e.after]), [['insert', { id: '4', Name: 'Hull' }]]);
+});
\ No newline at end of file
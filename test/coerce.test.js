@@ -0,0 +1,76 @@
+// test/coerce.test.js - Converting imported text to field types
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ImportParseError } = require('../importers/parse');
+const { resolveFormat, listLocales, coerceValue, coerceRow } = require('../importers/coerce');
+
+const DATE = { name: 'Born', type: 'date' };
+const NUMBER = { name: 'Value', type: 'number' };
+const INTEGER = { name: 'Age', type: 'integer' };
+const BOOLEAN = { name: 'Active', type: 'boolean' };
+
+test('dates follow the date order of the locale', () => {
+  const uk = resolveFormat({ locale: 'en-GB' });
+  const us = resolveFormat({ locale: 'en-US' });
+  assert.strictEqual(coerceValue(DATE, '27/04/1960', uk), '1960-04-27');
+  assert.strictEqual(coerceValue(DATE, '04/27/1960', us), '1960-04-27');
+  assert.strictEqual(coerceValue(DATE, '27.4.60', resolveFormat({ locale: 'de-DE' })), '1960-04-27');
+  assert.strictEqual(coerceValue(DATE, '1960-4-27T10:00:00Z', us), '1960-04-27');
+  assert.strictEqual(coerceValue(DATE, '5/6/07', resolveFormat({ locale: 'en-GB', dateOrder: 'mdy' })), '2007-05-06');
+  // Unreadable or impossible dates are left for validation to report
+  assert.strictEqual(coerceValue(DATE, '31/02/2024', uk), '31/02/2024');
+  assert.strictEqual(coerceValue(DATE, '27/04/1960', resolveFormat({ locale: 'iso' })), '27/04/1960');
+});
+
+test('digits are only an Excel serial date in values read from Excel', () => {
+  const csv = resolveFormat({ locale: 'en-GB', fileFormat: 'csv' });
+  const xlsx = resolveFormat({ locale: 'en-GB', fileFormat: 'xlsx' });
+  assert.strictEqual(coerceValue(DATE, '2024', csv), '2024');
+  assert.strictEqual(coerceValue(DATE, '20240115', csv), '2024-01-15');
+  assert.strictEqual(coerceValue(DATE, '20240115', xlsx), '2024-01-15');
+  assert.strictEqual(coerceValue(DATE, '22033', csv), '22033');
+  assert.strictEqual(coerceValue(DATE, '22033', xlsx), '1960-04-27');
+  assert.strictEqual(coerceValue(DATE, '22033.75', xlsx), '1960-04-27');
+  assert.strictEqual(coerceValue(DATE, '0', xlsx), '0');
+});
+
+test('numbers use the decimal and thousands separators of the locale', () => {
+  const uk = resolveFormat({ locale: 'en-GB' });
+  const de = resolveFormat({ locale: 'de-DE' });
+  const fr = resolveFormat({ locale: 'fr-FR' });
+  assert.strictEqual(coerceValue(NUMBER, '1,234.5', uk), '1234.5');
+  assert.strictEqual(coerceValue(NUMBER, '1.234,5', de), '1234.5');
+  assert.strictEqual(coerceValue(NUMBER, '1 234,5', fr), '1234.5');
+  assert.strictEqual(coerceValue(NUMBER, '(12.5)', uk), '-12.5');
+  assert.strictEqual(coerceValue(NUMBER, '1e3', uk), '1000');
+  // A misread decimal point is not taken as grouping
+  assert.strictEqual(coerceValue(NUMBER, '1,5', uk), '1,5');
+  assert.strictEqual(coerceValue(INTEGER, '1,234', uk), '1234');
+  assert.strictEqual(coerceValue(INTEGER, '12.5', uk), '12.5');
+});
+
+test('booleans accept the common words and those of the locale', () => {
+  const uk = resolveFormat({ locale: 'en-GB' });
+  const nl = resolveFormat({ locale: 'nl-NL' });
+  assert.deepStrictEqual(['Yes', 'y', 'ON', '1'].map(v => coerceValue(BOOLEAN, v, uk)), ['true', 'true', 'true', 'true']);
+  assert.deepStrictEqual(['no', 'F', 'off', '0'].map(v => coerceValue(BOOLEAN, v, uk)), ['false', 'false', 'false', 'false']);
+  assert.strictEqual(coerceValue(BOOLEAN, 'ja', uk), 'ja');
+  assert.strictEqual(coerceValue(BOOLEAN, 'Onwaar', nl), 'false');
+});
+
+test('rows are trimmed and only known fields converted', () => {
+  const format = resolveFormat();
+  assert.deepStrictEqual(coerceRow([DATE, INTEGER], { Born: ' 27/04/1960 ', Age: '', Note: ' 1,234 ' }, format), {
+    Born: '1960-04-27',
+    Age: '',
+    Note: ' 1,234 '
+  });
+});
+
+test('formats are checked when they are resolved', () => {
+  assert.deepStrictEqual(resolveFormat({ locale: 'de-DE', thousands: '' }).thousands, '');
+  assert.throws(() => resolveFormat({ locale: 'xx' }), ImportParseError);
+  assert.throws(() => resolveFormat({ dateOrder: 'ydm' }), /Unknown date order/);
+  assert.throws(() => resolveFormat({ decimal: ',' }), /must differ/);
+  assert.ok(listLocales().some(l => l.id === 'iso' && l.dateOrder === 'ymd'));
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+// test/export.test.js - The export route with a stand-in data provider
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createExportRouter } = require('../routes/export');
+
+const TABLES = {
+  people: {
+    headings: [{ name: 'id', type: 'integer' }, { name: 'Name', type: 'text' }, { name: 'Country', type: 'lu', luFile: 'Countries' }],
+    rows: [['1', 'Ann', '2'], ['2', 'Bob', 'Wales']]
+  },
+  Countries: {
+    headings: [{ name: 'id', type: 'integer' }, { name: 'Name', type: 'text' }],
+    rows: [['1', 'Wales'], ['2', 'England']]
+  }
+};
+
+const read = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  const dataProvider = {
+    getProvider: sourceId => {
+      if (sourceId !== 's') throw new Error(`Data source not found: ${sourceId}`);
+      return { getAvailableTables: async () => Object.keys(TABLES).map(name => ({ name })) };
+    },
+    getTableData: async () => {
+      throw new Error('Whole tables are never read');
+    },
+    async *streamTableData(sourceId, table) {
+      read.push(table);
+      const { headings, rows } = TABLES[table];
+      for (const row of rows) yield { headings, rows: [row] };
+    }
+  };
+  const requireAuth = (req, res, next) => {
+    req.user = { id: 'guest' };
+    next();
+  };
+  const app = express();
+  app.use('/export', createExportRouter({ dataProvider, requireAuth }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/export`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('lookup ids are exported as the value shown in the app', async () => {
+  const response = await fetch(`${baseUrl}?source=s&object=people&format=json`);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), [
+    { id: 1, Name: 'Ann', Country: 'England' },
+    { id: 2, Name: 'Bob', Country: 'Wales' }
+  ]);
+  assert.deepStrictEqual(read.slice(-2), ['people', 'Countries']);
+});
+
+test('unknown tables and sources are not found', async () => {
+  const table = await fetch(`${baseUrl}?source=s&object=missing`);
+  assert.strictEqual(table.status, 404);
+  assert.deepStrictEqual(await table.json(), { error: 'Table not found: missing' });
+
+  const source = await fetch(`${baseUrl}?source=nope&object=people`);
+  assert.strictEqual(source.status, 404);
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+// test/httpProvider.test.js - HttpProvider against the local mock service
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const HttpProvider = require('../dataProviders/httpProvider');
+const { parseQueryOptions } = require('../dataProviders/queryOptions');
+const { createMockHttpService } = require('../tools/mockHttpService');
+
+let server;
+let baseUrl;
+
+function ticketsConfig(overrides = {}) {
+  return {
+    baseUrl,
+    auth: { type: 'bearer', token: 'secret' },
+    tables: {
+      tickets: {
+        idField: 'id',
+        rowsPath: 'items',
+        list: '/tickets',
+        get: '/tickets/{id}',
+        create: '/tickets',
+        update: '/tickets/{id}',
+        delete: '/tickets/{id}'
+      }
+    },
+    ...overrides
+  };
+}
+
+before(async () => {
+  const app = createMockHttpService({ token: 'secret' });
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('lists rows with the id first and types inferred from the JSON', async () => {
+  const provider = new HttpProvider(ticketsConfig());
+  const data = await provider.getTableData('tickets', 'guest');
+
+  assert.deepStrictEqual(data.headings.map(h => [h.name, h.type]), [
+    ['id', 'integer'], ['title', 'text'], ['priority', 'integer'], ['open', 'boolean'], ['due', 'date']
+  ]);
+  assert.strictEqual(data.rows.length, 3);
+  assert.deepStrictEqual(data.rows[0], [1, 'Printer on floor 2 is jammed', 2, 'true', '2024-05-01']);
+});
+
+test('creates, reads, updates and deletes a row', async () => {
+  const provider = new HttpProvider(ticketsConfig());
+  const created = await provider.insertRow('tickets', { title: 'Order toner', priority: '2', open: 'true', due: '' }, 'guest');
+  assert.strictEqual(created.success, true);
+
+  const fetched = await provider.getRowById('tickets', created.id, 'guest');
+  assert.deepStrictEqual(fetched.row, [created.id, 'Order toner', 2, 'true', '']);
+
+  await provider.updateRow('tickets', created.id, { title: 'Order toner', priority: '1', open: 'false', due: '2024-06-01' }, 'guest');
+  const updated = await provider.getRowById('tickets', created.id, 'guest');
+  assert.deepStrictEqual(updated.row, [created.id, 'Order toner', 1, 'false', '2024-06-01']);
+
+  await provider.deleteRow('tickets', created.id, 'guest');
+  await assert.rejects(provider.getRowById('tickets', created.id, 'guest'), /Row not found/);
+});
+
+test('filters and pages the fetched list', async () => {
+  const provider = new HttpProvider(ticketsConfig());
+  const data = await provider.getTableData('tickets', 'guest', parseQueryOptions({ filter: { open: 'eq:true' }, sort: '-priority' }));
+
+  assert.strictEqual(data.total, 2);
+  assert.deepStrictEqual(data.rows.map(row => row[0]), [3, 1]);
+});
+
+test('reports service errors with their status', async () => {
+  const provider = new HttpProvider(ticketsConfig({ auth: { type: 'bearer', token: 'wrong' } }));
+  await assert.rejects(provider.getTableData('tickets', 'guest'), /HTTP 401: Invalid token/);
+});
+
+test('times out a slow response', async () => {
+  const app = createMockHttpService({ token: 'secret', delay: 500 });
+  const slow = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  try {
+    const provider = new HttpProvider(ticketsConfig({ baseUrl: `http://127.0.0.1:${slow.address().port}/api`, timeout: 100 }));
+    await assert.rejects(provider.getTableData('tickets', 'guest'), /Request timed out/);
+  } finally {
+    slow.closeAllConnections();
+    await new Promise(resolve => slow.close(resolve));
+  }
+});
+
+test('times out a response whose body stalls after the headers', async () => {
+  const stalled = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"items": [');
+  });
+  await new Promise(resolve => stalled.listen(0, resolve));
+  try {
+    const provider = new HttpProvider(ticketsConfig({ baseUrl: `http://127.0.0.1:${stalled.address().port}/api`, timeout: 100 }));
+    await assert.rejects(provider.getTableData('tickets', 'guest'), /Request timed out/);
+  } finally {
+    stalled.closeAllConnections();
+    await new Promise(resolve => stalled.close(resolve));
+  }
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+// test/importParse.test.js - Reading uploaded files from disk
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { ImportParseError, parseFile } = require('../importers/parse');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-import-'));
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function upload(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+test('a csv file larger than one read is parsed whole, with the read reported in bytes', async () => {
+  const lines = ['\ufeffName,Note'];
+  for (let i = 1; i <= 5000; i++) lines.push(`Row ${i},"quoted, with ""quotes"" and\r\na line break"`);
+  const filePath = await upload('big.csv', lines.join('\r\n'));
+  const { size } = await fs.stat(filePath);
+  const reports = [];
+
+  const parsed = await parseFile(filePath, { fileName: 'big.csv', onProgress: p => reports.push(p) });
+  assert.strictEqual(parsed.format, 'csv');
+  assert.deepStrictEqual(parsed.columns, ['Name', 'Note']);
+  assert.strictEqual(parsed.rows.length, 5000);
+  assert.deepStrictEqual(parsed.rows[4999], ['Row 5000', 'quoted, with "quotes" and\r\na line break']);
+  assert.deepStrictEqual(reports[reports.length - 1], { processed: size, total: size });
+});
+
+test('ndjson lines are joined across reads', async () => {
+  const lines = [];
+  for (let i = 1; i <= 5000; i++) lines.push(JSON.stringify({ id: i, name: `Name ${i}` }));
+  const filePath = await upload('rows.jsonl', '\ufeff' + lines.join('\r\n') + '\r\n\r\n');
+
+  const parsed = await parseFile(filePath, { fileName: 'rows.jsonl' });
+  assert.strictEqual(parsed.format, 'ndjson');
+  assert.deepStrictEqual(parsed.columns, ['id', 'name']);
+  assert.strictEqual(parsed.rows.length, 5000);
+  assert.deepStrictEqual(parsed.rows[2500], ['2501', 'Name 2501']);
+});
+
+test('bad rows and cancelled reads are parse errors', async () => {
+  const csv = await upload('bad.csv', 'Name\n"unterminated');
+  await assert.rejects(parseFile(csv, { fileName: 'bad.csv' }), ImportParseError);
+
+  const ndjson = await upload('bad.ndjson', '{"a":1}\n{oops}');
+  await assert.rejects(parseFile(ndjson, { fileName: 'bad.ndjson' }), /Invalid JSON on line 2/);
+
+  await assert.rejects(parseFile(csv, { fileName: 'bad.csv', isCancelled: () => true }), /cancelled/);
+  await assert.rejects(parseFile(await upload('empty.tsv', ''), { fileName: 'empty.tsv' }), /TSV file is empty/);
+});
\ No newline at end of file
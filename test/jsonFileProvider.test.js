@@ -0,0 +1,40 @@
+// test/jsonFileProvider.test.js - JsonFileProvider on a throwaway data folder
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const JsonFileProvider = require('../dataProviders/jsonFileProvider');
+
+let dataPath;
+
+beforeEach(async () => {
+  dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-json-'));
+});
+
+afterEach(() => fs.rm(dataPath, { recursive: true, force: true }));
+
+test('reading records without ids leaves the file as it is', async () => {
+  const filePath = path.join(dataPath, 'cities.json');
+  const content = JSON.stringify([{ Name: 'Leeds' }, { id: 5, Name: 'Cardiff' }]);
+  await fs.writeFile(filePath, content);
+  const provider = new JsonFileProvider({ dataPath });
+
+  const data = await provider.getTableData('cities', 'guest');
+  assert.deepStrictEqual(data.rows, [[6, 'Leeds'], [5, 'Cardiff']]);
+  assert.strictEqual(await fs.readFile(filePath, 'utf8'), content);
+
+  // The generated ids are saved with the next write
+  await provider.insertRow('cities', { Name: 'York' }, 'guest');
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(filePath, 'utf8')).map(r => r.id), [6, 5, 7]);
+});
+
+test('inserts at the same time each get their own id and none is lost', async () => {
+  await fs.writeFile(path.join(dataPath, 'cities.json'), '[]');
+  const provider = new JsonFileProvider({ dataPath });
+
+  const results = await Promise.all(['Leeds', 'York', 'Bath', 'Hull'].map(Name => provider.insertRow('cities', { Name }, 'guest')));
+  assert.deepStrictEqual(results.map(r => r.id).sort(), [1, 2, 3, 4]);
+  assert.strictEqual((await provider.getTableData('cities', 'guest')).rows.length, 4);
+  assert.deepStrictEqual(await fs.readdir(dataPath), ['cities.json']);
+});
\ No newline at end of file
@@ -0,0 +1,34 @@
+// test/queryOptions.test.js - In-memory filtering, sorting and paging
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseQueryOptions, applyQuery } = require('../dataProviders/queryOptions');
+
+const HEADINGS = [
+  { name: 'First name', type: 'text' },
+  { name: 'Last name', type: 'text' },
+  { name: 'Age', type: 'integer' }
+];
+// As text files return persons.txt: the id is an extra first cell
+const ROWS = [
+  ['1', 'Laura', 'Davis', '38'],
+  ['2', 'Chris', 'Brown', '49'],
+  ['3', 'Amy', 'Zane', '7']
+];
+
+test('filters the right column of a table whose headings omit the id', () => {
+  const result = applyQuery(HEADINGS, ROWS, parseQueryOptions({ filter: { 'First name': 'Laura' } }));
+  assert.strictEqual(result.total, 1);
+  assert.deepStrictEqual(result.rows, [ROWS[0]]);
+});
+
+test('sorts the right column of a table whose headings omit the id', () => {
+  const result = applyQuery(HEADINGS, ROWS, parseQueryOptions({ sort: '-Age' }));
+  assert.deepStrictEqual(result.rows.map(row => row[0]), ['2', '1', '3']);
+});
+
+test('filters and sorts tables with an id heading by position', () => {
+  const headings = [{ name: 'id', type: 'integer' }].concat(HEADINGS);
+  const result = applyQuery(headings, ROWS, parseQueryOptions({ filter: { Age: 'gt:10' }, sort: 'Last name', pageSize: '1' }));
+  assert.strictEqual(result.total, 2);
+  assert.deepStrictEqual(result.rows, [ROWS[1]]);
+});
\ No newline at end of file
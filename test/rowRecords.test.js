@@ -0,0 +1,27 @@
+// test/rowRecords.test.js - Row arrays to records, with and without an id heading
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { idOffset, cellFor, recordFromRow } = require('../dataProviders/rowRecords');
+
+const WITH_ID = [{ name: 'id' }, { name: 'Name' }, { name: 'Age' }];
+const WITHOUT_ID = [{ name: 'Name' }, { name: 'Age' }];
+
+test('headings that name the id map cells one to one', () => {
+  const row = ['7', 'Laura', 38];
+  assert.strictEqual(idOffset(WITH_ID, row), 0);
+  assert.strictEqual(cellFor(WITH_ID, row, 2), 38);
+  assert.deepStrictEqual(recordFromRow(WITH_ID, row), { id: '7', Name: 'Laura', Age: 38 });
+});
+
+test('headings without an id skip the extra first cell', () => {
+  const row = ['7', 'Laura', 38];
+  assert.strictEqual(idOffset(WITHOUT_ID, row), 1);
+  assert.strictEqual(cellFor(WITHOUT_ID, row, 1), 38);
+  assert.deepStrictEqual(recordFromRow(WITHOUT_ID, row), { id: '7', Name: 'Laura', Age: 38 });
+});
+
+test('values can be converted per field', () => {
+  const record = recordFromRow(WITHOUT_ID, ['7', 'Laura', null], (field, value) => value === null ? null : String(value));
+  assert.deepStrictEqual(record, { id: '7', Name: 'Laura', Age: null });
+  assert.deepStrictEqual(recordFromRow(WITH_ID, ['7', 'Laura']), { id: '7', Name: 'Laura', Age: '' });
+});
\ No newline at end of file
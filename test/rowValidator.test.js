@@ -0,0 +1,57 @@
+// test/rowValidator.test.js - RowValidator with a stand-in data provider
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RowValidator = require('../dataProviders/rowValidator');
+
+const HEADINGS = [
+  { name: 'id', type: 'integer', readonly: true },
+  { name: 'Name', type: 'text' },
+  { name: 'Age', type: 'integer' },
+  { name: 'Country', type: 'lu', luFile: 'Countries' }
+];
+
+// lookups maps table name -> values; tables missing from it do not exist
+function stubProvider(lookups, calls = []) {
+  return {
+    getProvider: () => ({
+      getAvailableTables: async () => Object.keys(lookups).map(name => ({ name, title: name }))
+    }),
+    getLookupValues: async (sourceId, table) => {
+      if (lookups[table] instanceof Error) throw lookups[table];
+      return { values: lookups[table] };
+    },
+    getTableData: async (sourceId, table, userId, options) => {
+      calls.push(options);
+      return { headings: HEADINGS, rows: [] };
+    }
+  };
+}
+
+test('lookup values must exist in the lookup table', async () => {
+  const validator = new RowValidator(stubProvider({ Countries: ['Wales', 'England'] }));
+  const ok = await validator.validateRow('s', 'people', { Name: 'Ann', Age: '40', Country: 'Wales' }, 'guest');
+  const bad = await validator.validateRow('s', 'people', { Name: 'Ann', Age: 'forty', Country: 'Mars' }, 'guest');
+
+  assert.deepStrictEqual(ok, { valid: true, errors: {} });
+  assert.deepStrictEqual(bad.errors, {
+    Age: 'Age must be a whole number',
+    Country: 'Country must be an existing Countries value'
+  });
+});
+
+test('a missing, empty or unreadable lookup table does not block saving', async () => {
+  const row = { Name: 'Ann', Age: '40', Country: 'Wales' };
+  for (const lookups of [{}, { Countries: [] }, { Countries: new Error('disk error') }]) {
+    const validator = new RowValidator(stubProvider(lookups));
+    assert.deepStrictEqual(await validator.validateRow('s', 'people', row, 'guest'), { valid: true, errors: {} });
+  }
+});
+
+test('headings are read with a single-row page', async () => {
+  const calls = [];
+  const validator = new RowValidator(stubProvider({}, calls));
+  await validator.getHeadings('s', 'people', 'guest');
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].pageSize, 1);
+});
\ No newline at end of file
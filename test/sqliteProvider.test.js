@@ -0,0 +1,37 @@
+// test/sqliteProvider.test.js - SqliteProvider on a throwaway database
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+const SqliteProvider = require('../dataProviders/sqliteProvider');
+
+let dir;
+let dbPath;
+let provider;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-sqlite-'));
+  dbPath = path.join(dir, 'app.db');
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE countries (id INTEGER PRIMARY KEY, name TEXT);
+    CREATE TABLE regions (id INTEGER PRIMARY KEY, name TEXT);
+    CREATE TABLE cities (id INTEGER PRIMARY KEY, name TEXT, country INTEGER REFERENCES countries(id), region INTEGER REFERENCES regions(id));
+  `);
+  db.close();
+});
+
+afterEach(async () => {
+  if (provider) provider.db.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('configured lookups win over detected foreign keys', () => {
+  provider = new SqliteProvider({ dbPath, lookups: { cities: { region: 'countries' } } });
+  const fields = provider.discoverTableSchema('cities');
+
+  assert.deepStrictEqual(fields.find(f => f.name === 'country'), { name: 'country', type: 'lu', readonly: false, luFile: 'countries' });
+  assert.strictEqual(fields.find(f => f.name === 'region').luFile, 'countries');
+});
\ No newline at end of file
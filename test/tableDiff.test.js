@@ -0,0 +1,148 @@
+// test/tableDiff.test.js - Comparing tables and applying the differences
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+const { MultiSourceManager } = require('../dataProviders');
+const TextFileProvider = require('../dataProviders/textFileProvider');
+const JsonFileProvider = require('../dataProviders/jsonFileProvider');
+const { DiffError } = require('../dataProviders/tableDiff');
+const { createApiV1Router, handleApiError } = require('../routes/apiV1');
+
+// Only the sources a test gives it, none from config.json
+class TestManager extends MultiSourceManager {
+  initializeProviders() {}
+}
+
+const LEFT = { source: 'text', table: 'people' };
+const RIGHT = { source: 'json', table: 'people' };
+
+let dir;
+let manager;
+
+async function writeRight(records) {
+  await fs.writeFile(path.join(dir, 'json', 'people.json'), JSON.stringify(records));
+}
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-diff-'));
+  await fs.mkdir(path.join(dir, 'text'));
+  await fs.mkdir(path.join(dir, 'json'));
+  await fs.writeFile(path.join(dir, 'text', 'people.txt'), 'id:int,Email:str,Name:str\r\n1,ann@x,Ann\r\n2,bob@x,Bob\r\n3,cat@x,Cat');
+  await writeRight([
+    { id: 1, Email: 'ann@x', name: 'Ann' },
+    { id: 2, Email: 'bob@x', name: 'Robert' },
+    { id: 4, Email: 'dan@x', name: 'Dan' }
+  ]);
+  manager = new TestManager();
+  manager.providers.set('text', new TextFileProvider({ dataPath: path.join(dir, 'text'), cache: false }));
+  manager.providers.set('json', new JsonFileProvider({ dataPath: path.join(dir, 'json') }));
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function names(side) {
+  const { rows } = await manager.getTableData(side.source, side.table, 'guest');
+  return rows.map(row => row.map(String).join(' '));
+}
+
+test('rows are added, removed or changed by id, with fields paired ignoring case', async () => {
+  const diff = await manager.diffTables(LEFT, RIGHT, 'guest');
+  assert.deepStrictEqual(diff.key, { left: 'id', right: 'id' });
+  assert.deepStrictEqual(diff.fields, [{ left: 'Email', right: 'Email' }, { left: 'Name', right: 'name' }]);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepStrictEqual(diff.rows.map(r => [r.key, r.status, r.changed]), [
+    ['2', 'changed', ['Name']],
+    ['3', 'removed', undefined],
+    ['4', 'added', undefined]
+  ]);
+  assert.deepStrictEqual(diff.problems, []);
+});
+
+test('another key field matches rows whatever their ids', async () => {
+  await writeRight([
+    { id: 10, Email: 'ann@x', name: 'Ann' },
+    { id: 11, Email: 'cat@x', name: 'Catherine' }
+  ]);
+  const diff = await manager.diffTables(LEFT, RIGHT, 'guest', { key: 'email' });
+  assert.deepStrictEqual(diff.key, { left: 'Email', right: 'Email' });
+  assert.deepStrictEqual(diff.fields, [{ left: 'Name', right: 'name' }]);
+  assert.deepStrictEqual(diff.rows.map(r => [r.key, r.status]), [['bob@x', 'removed'], ['cat@x', 'changed']]);
+
+  await assert.rejects(manager.diffTables(LEFT, RIGHT, 'guest', { key: 'Phone' }), DiffError);
+});
+
+test('repeated and missing key values are reported instead of matched', async () => {
+  await writeRight([
+    { id: 1, Email: 'ann@x', name: 'Ann' },
+    { id: 2, Email: 'ann@x', name: 'Annie' },
+    { id: 3, Email: '', name: 'Nobody' }
+  ]);
+  const diff = await manager.diffTables(LEFT, RIGHT, 'guest', { key: 'Email' });
+  assert.deepStrictEqual(diff.problems, [
+    { side: 'right', id: '3', error: 'No Email value' },
+    { side: 'right', key: 'ann@x', error: 'Email ann@x appears on 2 rows' }
+  ]);
+  assert.deepStrictEqual(diff.rows.map(r => [r.key, r.status]), [
+    ['ann@x', 'removed'], ['bob@x', 'removed'], ['cat@x', 'removed']
+  ]);
+});
+
+test('applying left to right inserts, updates and deletes on the right', async () => {
+  const result = await manager.applyDiff(LEFT, RIGHT, 'guest', { keys: ['2', '3', '4', '9'] });
+  assert.deepStrictEqual(result, {
+    direction: 'leftToRight',
+    inserted: 1,
+    updated: 1,
+    deleted: 1,
+    failed: 1,
+    errors: [{ key: '9', error: 'No difference for this key (it may already have been applied)' }]
+  });
+  assert.deepStrictEqual(await names(RIGHT), ['1 ann@x Ann', '2 bob@x Bob', '3 cat@x Cat']);
+  assert.strictEqual((await manager.diffTables(LEFT, RIGHT, 'guest')).rows.length, 0);
+});
+
+test('applying right to left on another key changes the left table', async () => {
+  const result = await manager.applyDiff(LEFT, RIGHT, 'guest', { key: 'Email', keys: ['bob@x', 'dan@x'], direction: 'rightToLeft' });
+  assert.deepStrictEqual([result.inserted, result.updated, result.failed], [1, 1, 0]);
+  assert.deepStrictEqual(await names(LEFT), ['1 ann@x Ann', '2 bob@x Robert', '3 cat@x Cat', '4 dan@x Dan']);
+
+  await assert.rejects(manager.applyDiff(LEFT, RIGHT, 'guest', { keys: ['3'], direction: 'sideways' }), /Unknown direction/);
+  await assert.rejects(manager.applyDiff(LEFT, RIGHT, 'guest', { keys: [] }), /at least one difference/);
+});
+
+test('the /api/v1 diff routes compare, apply and report bad requests', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', createApiV1Router({ dataProvider: manager, rowValidator: null, getSessionUser: () => ({ id: 'guest' }) }));
+  app.use('/api/v1', handleApiError);
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const post = async (url, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const diff = await post('/diff', { left: LEFT, right: RIGHT });
+    assert.strictEqual(diff.status, 200);
+    assert.deepStrictEqual(diff.body.data.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+
+    const applied = await post('/diff/apply', { left: LEFT, right: RIGHT, keys: ['2'] });
+    assert.deepStrictEqual([applied.status, applied.body.data.updated], [200, 1]);
+
+    assert.strictEqual((await post('/diff', { left: LEFT })).body.error.code, 'invalid_body');
+    assert.strictEqual((await post('/diff/apply', { left: LEFT, right: RIGHT })).body.error.code, 'invalid_body');
+    assert.deepStrictEqual((await post('/diff', { left: LEFT, right: { source: 'json', table: 'nope' } })).status, 404);
+    const badKey = await post('/diff', { left: LEFT, right: RIGHT, key: 'Phone' });
+    assert.deepStrictEqual([badKey.status, badKey.body.error.code], [400, 'invalid_diff']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
\ No newline at end of file
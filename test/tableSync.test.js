@@ -0,0 +1,72 @@
+// test/tableSync.test.js - Copying and diffing tables into SQLite and JSON sources
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { MultiSourceManager } = require('../dataProviders');
+const TextFileProvider = require('../dataProviders/textFileProvider');
+const SqliteProvider = require('../dataProviders/sqliteProvider');
+const JsonFileProvider = require('../dataProviders/jsonFileProvider');
+
+// Only the sources a test gives it, none from config.json
+class TestManager extends MultiSourceManager {
+  initializeProviders() {}
+}
+
+let dir;
+let manager;
+let sqlite;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-sync-'));
+  await fs.mkdir(path.join(dir, 'text'));
+  await fs.mkdir(path.join(dir, 'json'));
+  await fs.writeFile(path.join(dir, 'text', 'cities.txt'), 'id:int,Name:str,Country:str\r\n3,London,England\r\n7,Cardiff,Wales');
+  sqlite = new SqliteProvider({ dbPath: path.join(dir, 'app.db') });
+  manager = new TestManager();
+  manager.providers.set('text', new TextFileProvider({ dataPath: path.join(dir, 'text'), cache: false }));
+  manager.providers.set('sqlite', sqlite);
+  manager.providers.set('json', new JsonFileProvider({ dataPath: path.join(dir, 'json') }));
+});
+
+afterEach(async () => {
+  sqlite.db.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function rowsOf(source, table) {
+  return (await manager.getTableData(source, table, 'guest')).rows.map(row => row.map(String));
+}
+
+for (const target of ['sqlite', 'json']) {
+  test(`copying creates the ${target} table and keeps the row ids`, async () => {
+    const summary = await manager.copyTable('text', 'cities', target, 'guest', { create: true });
+    assert.strictEqual(summary.created, true);
+    assert.strictEqual(summary.inserted, 2);
+    assert.deepStrictEqual(await rowsOf(target, 'cities'), [['3', 'London', 'England'], ['7', 'Cardiff', 'Wales']]);
+
+    // New rows are numbered after the kept ids
+    await manager.insertRow(target, 'cities', { Name: 'Leeds', Country: 'England' }, 'guest');
+    assert.deepStrictEqual((await rowsOf(target, 'cities'))[2], ['8', 'Leeds', 'England']);
+  });
+
+  test(`applying a diff inserts into ${target} under the source ids`, async () => {
+    await manager.getProvider(target).createTable('cities', [{ name: 'Name', type: 'text' }, { name: 'Country', type: 'text' }]);
+    const result = await manager.applyDiff({ source: 'text', table: 'cities' }, { source: target, table: 'cities' }, 'guest', { keys: ['7'] });
+    assert.strictEqual(result.inserted, 1);
+    assert.deepStrictEqual(await rowsOf(target, 'cities'), [['7', 'Cardiff', 'Wales']]);
+  });
+
+  test(`an atomic ${target} batch with a taken id keeps nothing`, async () => {
+    await manager.copyTable('text', 'cities', target, 'guest', { create: true });
+    const results = await manager.insertRows(target, 'cities', [
+      { id: '9', Name: 'Leeds', Country: 'England' },
+      { id: '3', Name: 'Swansea', Country: 'Wales' }
+    ], 'guest', { keepIds: true, atomic: true });
+    assert.deepStrictEqual(results.map(r => r.success), [false, false]);
+    assert.strictEqual(results[0].rolledBack, true);
+    assert.strictEqual((await rowsOf(target, 'cities')).length, 2);
+    await assert.rejects(manager.getProvider(target).createTable('cities', []), /already exists/);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+// test/textFileProvider.test.js - TextFileProvider on a throwaway data folder
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const TextFileProvider = require('../dataProviders/textFileProvider');
+
+let dataPath;
+
+beforeEach(async () => {
+  dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-text-'));
+});
+
+afterEach(() => fs.rm(dataPath, { recursive: true, force: true }));
+
+function createProvider() {
+  return new TextFileProvider({ dataPath, cache: false });
+}
+
+test('reading a spreadsheet csv without ids leaves the file as it is', async () => {
+  const filePath = path.join(dataPath, 'cities.csv');
+  const content = 'Name,Country\r\nLeeds,England\r\nCardiff,Wales';
+  await fs.writeFile(filePath, content);
+  const provider = createProvider();
+
+  const data = await provider.getTableData('cities.csv', 'guest');
+  assert.deepStrictEqual(data.headings.map(h => h.name), ['id', 'Name', 'Country']);
+  assert.deepStrictEqual(data.rows, [['1', 'Leeds', 'England'], ['2', 'Cardiff', 'Wales']]);
+  assert.deepStrictEqual((await provider.getRowById('cities.csv', '2', 'guest')).row, ['2', 'Cardiff', 'Wales']);
+  assert.strictEqual(await fs.readFile(filePath, 'utf8'), content);
+});
+
+test('generated ids are saved with the first change', async () => {
+  const filePath = path.join(dataPath, 'cities.csv');
+  await fs.writeFile(filePath, 'Name,Country\nLeeds,England\nCardiff,Wales');
+  const provider = createProvider();
+
+  const result = await provider.insertRow('cities.csv', { Name: 'Bangor', Country: 'Wales' }, 'guest');
+  assert.strictEqual(result.id, '3');
+  assert.strictEqual(await fs.readFile(filePath, 'utf8'), 'id,Name,Country\n1,Leeds,England\n2,Cardiff,Wales\n3,Bangor,Wales');
+});
+
+test('rows of a table whose headings omit the id keep their id when written', async () => {
+  const filePath = path.join(dataPath, 'people.txt');
+  await fs.writeFile(filePath, 'First name:str,Age:int\n1,Laura,38\n2,Chris,49');
+  const provider = createProvider();
+
+  await provider.updateRow('people', '1', { 'First name': 'Laura', Age: '39' }, 'guest');
+  await provider.updateRows('people', ['2'], { Age: '50' }, 'guest');
+  const { id } = await provider.insertRow('people', { 'First name': 'Sam', Age: '20' }, 'guest');
+
+  assert.strictEqual(id, '3');
+  assert.strictEqual(await fs.readFile(filePath, 'utf8'), 'First name:str,Age:int\n1,Laura,39\n2,Chris,50\n3,Sam,20');
+});
\ No newline at end of file
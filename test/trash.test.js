@@ -0,0 +1,46 @@
+// test/trash.test.js - FileTrashStore on a throwaway folder
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { FileTrashStore } = require('../dataProviders/trash');
+
+let dir;
+let trashPath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'basegrid-trash-'));
+  trashPath = path.join(dir, '.trash');
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+function entry(id, deletedAt) {
+  return { id, rows: [[id, `row ${id}`]], deletedAt, deletedBy: 'guest' };
+}
+
+test('purging an empty trash does not create the file', async () => {
+  const store = new FileTrashStore(trashPath);
+  assert.strictEqual(await store.purgeBefore(new Date()), 0);
+  assert.strictEqual(await store.take('people', '1'), null);
+  await assert.rejects(fs.access(trashPath), { code: 'ENOENT' });
+});
+
+test('purging leaves the file alone when nothing is old enough', async () => {
+  const store = new FileTrashStore(trashPath);
+  await store.add('people', entry('1', '2026-01-02T00:00:00.000Z'));
+  const before = await fs.stat(trashPath);
+
+  assert.strictEqual(await store.purgeBefore(new Date('2026-01-01T00:00:00.000Z')), 0);
+  assert.strictEqual((await fs.stat(trashPath)).mtimeMs, before.mtimeMs);
+});
+
+test('purging drops old entries and leaves no temp files behind', async () => {
+  const store = new FileTrashStore(trashPath);
+  await store.add('people', [entry('1', '2026-01-01T00:00:00.000Z'), entry('2', '2026-03-01T00:00:00.000Z')]);
+
+  assert.strictEqual(await store.purgeBefore(new Date('2026-02-01T00:00:00.000Z')), 1);
+  assert.deepStrictEqual((await store.list('people')).map(e => e.id), ['2']);
+  assert.deepStrictEqual(await fs.readdir(dir), ['.trash']);
+});
\ No newline at end of file
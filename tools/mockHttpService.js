@@ -0,0 +1,78 @@
+// tools/mockHttpService.js - A local JSON service for trying the http source
+//
+// Serves the "tickets" table the sample http source in config.json points
+// at (list, get, create, update and delete under /api/tickets), checking
+// the same bearer token. Run it with `npm run mock-http` (port 4000, or
+// PORT) and enable source5; tests start it on a free port instead.
+const express = require('express');
+
+const SAMPLE_TICKETS = [
+  { id: 1, title: 'Printer on floor 2 is jammed', priority: 2, open: true, due: '2024-05-01' },
+  { id: 2, title: 'Reset VPN token', priority: 1, open: false, due: '2024-04-12' },
+  { id: 3, title: 'New starter laptop', priority: 3, open: true, due: '2024-05-20' }
+];
+
+/**
+ * Build the mock service
+ * @param {Object} options - token (bearer token to require, none when
+ *        empty), tickets (initial rows) and delay (ms before each response)
+ * @returns {Object} The express app; app.locals.tickets holds the rows
+ */
+function createMockHttpService({ token = 'change-me', tickets = SAMPLE_TICKETS, delay = 0 } = {}) {
+  const app = express();
+  const rows = tickets.map(ticket => ({ ...ticket }));
+  let nextId = rows.reduce((max, ticket) => Math.max(max, ticket.id), 0) + 1;
+  app.locals.tickets = rows;
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (token && req.headers['authorization'] !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    setTimeout(next, delay);
+  });
+
+  const find = id => rows.find(ticket => String(ticket.id) === String(id));
+
+  app.get('/api/tickets', (req, res) => res.json({ items: rows }));
+
+  app.get('/api/tickets/:id', (req, res) => {
+    const ticket = find(req.params.id);
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    res.json(ticket);
+  });
+
+  app.post('/api/tickets', (req, res) => {
+    if (!req.body || !req.body.title) return res.status(400).json({ error: 'title is required' });
+    const ticket = { ...req.body, id: nextId++ };
+    rows.push(ticket);
+    res.status(201).json(ticket);
+  });
+
+  app.put('/api/tickets/:id', (req, res) => {
+    const ticket = find(req.params.id);
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    Object.assign(ticket, req.body, { id: ticket.id });
+    res.json(ticket);
+  });
+
+  app.delete('/api/tickets/:id', (req, res) => {
+    const ticket = find(req.params.id);
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+    rows.splice(rows.indexOf(ticket), 1);
+    res.status(204).end();
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.PORT || 4000;
+  createMockHttpService().listen(port, () => {
+    console.log(`Mock http service on http://localhost:${port}/api/tickets`);
+  });
+}
+
+module.exports = {
+  createMockHttpService
+};
\ No newline at end of file